@@ -5,6 +5,8 @@ import { WorldState } from './world/state.js';
 import { ChunkManager } from './world/chunks.js';
 import { BasicMovementSystem } from './world/systems/movement.js';
 import { BasicDurabilitySystem } from './world/systems/durability.js';
+import { BasicInteractionSystem } from './world/systems/interaction.js';
+import { BasicPathfindingSystem } from './world/systems/pathfinding.js';
 import { 
   gameLoopDuration, 
   gameLoopLag, 
@@ -14,6 +16,9 @@ import {
   connectedClients 
 } from './metrics.js';
 import { TARGET_FPS, TICK_RATE_DISABLED, METRICS_ENABLED, OPEN_VISUALIZER, SERVER_PORT } from './config.js';
+import { MAX_DELTA_TIME, SIMULATION_SEED } from './config.js';
+import { FixedStepLoop, SYSTEM_CLOCK, createSeededClock } from './simulation.js';
+import type { SimulationClock } from './simulation.js';
 import { DevEventHub } from './dev/events.js';
 import open from 'open';
 import { ChunkUtils } from '@worldhost/shared';
@@ -23,10 +28,25 @@ export interface AppContext {
   chunkManager: ChunkManager;
   movementSystem: BasicMovementSystem;
   durabilitySystem: BasicDurabilitySystem;
+  interactionSystem: BasicInteractionSystem;
+  pathfindingSystem: BasicPathfindingSystem;
   devEvents: DevEventHub;
+  // Fixed steps simulated so far; stays 0 when the loop is disabled
+  tick: number;
+  // Simulated seconds per tick
+  stepSeconds: number;
+  // Time and randomness for ids and input timing; derived from the tick when seeded
+  clock: SimulationClock;
+  seed?: number;
+  // Run at the start of every tick, before the systems update
+  tickHandlers: Set<(tick: number) => void>;
 }
 
-export function createApp() {
+/**
+ * Build the world, its systems and the simulation clock, without servers or the game loop.
+ * A seed makes the clock replayable (see createSeededClock).
+ */
+export function createAppContext(seed: number | undefined = SIMULATION_SEED): AppContext {
   // Initialize ECS world and systems
   const ecsWorld = createECSWorld();
   const devEvents = new DevEventHub();
@@ -38,6 +58,20 @@ export function createApp() {
   
   // Initialize world state
   const worldState = new WorldState(ecsWorld);
+  chunkManager.setLayerResolver(entityId => worldState.getEntityLayer(entityId));
+  movementSystem.setWorld(worldState);
+  movementSystem.onTransfer(transfer => {
+    devEvents.publish({ type: 'entity_transfer', payload: transfer });
+  });
+  movementSystem.onTrigger(event => {
+    devEvents.publish({ type: 'collision_trigger', payload: event });
+  });
+  movementSystem.onBoundary(event => {
+    devEvents.publish({ type: 'entity_boundary', payload: event });
+  });
+  const interactionSystem = new BasicInteractionSystem(ecsWorld, worldState, durabilitySystem);
+  const pathfindingSystem = new BasicPathfindingSystem(ecsWorld, chunkManager, movementSystem);
+  pathfindingSystem.setWorld(worldState);
   // Ensure at least one default layer exists so a blank server is valid
   worldState.createLayer({
     id: 'default',
@@ -54,8 +88,27 @@ export function createApp() {
     chunkManager,
     movementSystem,
     durabilitySystem,
+    interactionSystem,
+    pathfindingSystem,
     devEvents,
+    tick: 0,
+    stepSeconds: 1 / TARGET_FPS,
+    clock: SYSTEM_CLOCK,
+    seed,
+    tickHandlers: new Set(),
   };
+  if (seed !== undefined) {
+    context.clock = createSeededClock(seed, 1000 / TARGET_FPS, () => context.tick);
+  }
+  worldState.setClock(context.clock);
+  chunkManager.setClock(context.clock);
+  durabilitySystem.setClock(context.clock);
+  return context;
+}
+
+export function createApp() {
+  const context = createAppContext();
+  const { chunkManager } = context;
 
   // Create Fastify HTTP server
   const fastify = createHttpServer(context);
@@ -115,72 +168,99 @@ export async function start(port: number = 8080) {
   throw new Error(`Unable to bind server after multiple attempts starting at port ${port}`);
 }
 
+/**
+ * Advance the world by one fixed step: bump the tick, run the tick handlers (queued inputs)
+ * and update the systems. The game loop calls this; tests and replays can call it directly.
+ */
+export function runTick(context: AppContext, deltaTime: number = context.stepSeconds) {
+  context.tick++;
+
+  // Update systems with metrics
+  try {
+    for (const handler of context.tickHandlers) {
+      handler(context.tick);
+    }
+
+    if (METRICS_ENABLED) {
+      // Walk entities along their paths before physics runs
+      const pathfindingStart = Date.now();
+      context.pathfindingSystem.update(deltaTime);
+      const pathfindingDuration = (Date.now() - pathfindingStart) / 1000;
+      systemUpdateDuration.labels('pathfinding').observe(pathfindingDuration);
+
+      // Update movement system with timing
+      const movementStart = Date.now();
+      context.movementSystem.update(deltaTime);
+      const movementDuration = (Date.now() - movementStart) / 1000;
+      systemUpdateDuration.labels('movement').observe(movementDuration);
+      
+      // Update durability system with timing
+      const durabilityStart = Date.now();
+      context.durabilitySystem.update(deltaTime);
+      const durabilityDuration = (Date.now() - durabilityStart) / 1000;
+      systemUpdateDuration.labels('durability').observe(durabilityDuration);
+      
+      // Update metrics
+      updateECSMetrics(context.worldState.getECSWorld().getStats());
+      updateChunkMetrics(context.chunkManager.getStats());
+    } else {
+      // Normal updates without metrics overhead
+      context.pathfindingSystem.update(deltaTime);
+      context.movementSystem.update(deltaTime);
+      context.durabilitySystem.update(deltaTime);
+    }
+  } catch (error) {
+    console.error('Game loop error:', error);
+    if (METRICS_ENABLED) {
+      // Import synchronously to avoid async issues in game loop
+      import('./metrics.js').then(({ errors }) => {
+        errors.labels('game_loop_error', 'system_update').inc();
+      }).catch(metricsError => {
+        console.error('Failed to record error metric:', metricsError);
+      });
+    }
+  }
+}
+
 function startGameLoop(context: AppContext) {
   if (TICK_RATE_DISABLED) {
     console.log('🎮 Game loop disabled (event-driven mode)');
     return;
   }
 
+  const loop = new FixedStepLoop(context.stepSeconds * 1000, MAX_DELTA_TIME);
   let lastTime = Date.now();
-  const targetFrameTime = 1000 / TARGET_FPS; // Target time per frame in ms
-  
+  let droppedMs = 0;
+
   const gameLoop = () => {
     const loopStartTime = Date.now();
-    const currentTime = loopStartTime;
-    const deltaTime = (currentTime - lastTime) / 1000; // Convert to seconds
-    lastTime = currentTime;
-    
-    // Update systems with metrics
-    try {
-      if (METRICS_ENABLED) {
-        // Update movement system with timing
-        const movementStart = Date.now();
-        context.movementSystem.update(deltaTime);
-        const movementDuration = (Date.now() - movementStart) / 1000;
-        systemUpdateDuration.labels('movement').observe(movementDuration);
-        
-        // Update durability system with timing
-        const durabilityStart = Date.now();
-        context.durabilitySystem.update(deltaTime);
-        const durabilityDuration = (Date.now() - durabilityStart) / 1000;
-        systemUpdateDuration.labels('durability').observe(durabilityDuration);
-        
-        // Update metrics
-        updateECSMetrics(context.worldState.getECSWorld().getStats());
-        updateChunkMetrics(context.chunkManager.getStats());
-      } else {
-        // Normal updates without metrics overhead
-        context.movementSystem.update(deltaTime);
-        context.durabilitySystem.update(deltaTime);
-      }
-    } catch (error) {
-      console.error('Game loop error:', error);
-      if (METRICS_ENABLED) {
-        // Import synchronously to avoid async issues in game loop
-        import('./metrics.js').then(({ errors }) => {
-          errors.labels('game_loop_error', 'system_update').inc();
-        }).catch(metricsError => {
-          console.error('Failed to record error metric:', metricsError);
-        });
-      }
+    const steps = loop.advance(loopStartTime - lastTime);
+    lastTime = loopStartTime;
+    if (loop.droppedMs > droppedMs) {
+      console.warn(`⏱️ Game loop fell behind; skipped ${Math.round(loop.droppedMs - droppedMs)}ms`);
+      droppedMs = loop.droppedMs;
+    }
+    for (let step = 0; step < steps; step++) {
+      runTick(context, loop.stepSeconds);
     }
-    
+
     // Calculate loop timing
     const loopEndTime = Date.now();
     const loopDuration = loopEndTime - loopStartTime;
-    const lag = Math.max(0, loopDuration - targetFrameTime);
-    
+    const lag = Math.max(0, loopDuration - loop.stepMs);
+
     if (METRICS_ENABLED) {
       gameLoopDuration.observe(loopDuration / 1000);
       gameLoopLag.observe(lag / 1000);
     }
-    
-    // Schedule next update with lag compensation
-    const nextFrameDelay = Math.max(1, targetFrameTime - loopDuration);
+
+    // Wake up when the next step is due
+    const nextFrameDelay = Math.max(1, loop.untilNextStepMs - loopDuration);
     setTimeout(gameLoop, nextFrameDelay);
   };
-  
+
   // Start the game loop
-  console.log(`🎮 Starting game loop (${TARGET_FPS} FPS target)...`);
+  const seeded = context.seed === undefined ? '' : `, seed ${context.seed}`;
+  console.log(`🎮 Starting game loop (${TARGET_FPS} ticks/s fixed step${seeded})...`);
   gameLoop();
 }
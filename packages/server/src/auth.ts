@@ -0,0 +1,166 @@
+/**
+ * Login tokens for the enhanced WebSocket protocol.
+ *
+ * Tokens are compact JWTs (`header.payload.signature`, base64url) verified locally:
+ * HS256/384/512 against a shared secret, or RS256/ES256/EdDSA against a public key.
+ * The subject names a persistent player; `commands` seeds its command_access.
+ */
+import { createHmac, createPublicKey, timingSafeEqual, verify } from 'node:crypto';
+import type { KeyObject } from 'node:crypto';
+
+export interface LoginClaims {
+  sub: string;
+  // Display name for a newly created player
+  name?: string;
+  // Commands the player may use (command_access.allowed)
+  commands?: string[];
+  exp?: number;
+  nbf?: number;
+  iat?: number;
+  iss?: string;
+  aud?: string | string[];
+}
+
+export interface LoginTokenOptions {
+  // Shared secret for HS* tokens
+  secret?: string;
+  // PEM public key for RS256/ES256/EdDSA tokens
+  publicKey?: string;
+  issuer?: string;
+  audience?: string;
+  // Allowed clock drift for exp/nbf, in seconds
+  clockSkewSec?: number;
+}
+
+const HMAC_ALGORITHMS: Record<string, string> = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512',
+};
+
+// Digest per public-key algorithm (EdDSA signs the message directly)
+const PUBLIC_KEY_ALGORITHMS: Record<string, string | null> = {
+  RS256: 'sha256',
+  ES256: 'sha256',
+  EdDSA: null,
+};
+
+// Subjects become part of entity ids, so keep them to a safe alphabet
+const SUBJECT_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+export class LoginTokenVerifier {
+  private readonly secret?: Buffer;
+  private readonly publicKey?: KeyObject;
+  private readonly issuer?: string;
+  private readonly audience?: string;
+  private readonly clockSkewSec: number;
+
+  constructor(options: LoginTokenOptions) {
+    if (options.secret) this.secret = Buffer.from(options.secret, 'utf8');
+    if (options.publicKey) this.publicKey = createPublicKey(options.publicKey);
+    this.issuer = options.issuer || undefined;
+    this.audience = options.audience || undefined;
+    this.clockSkewSec = options.clockSkewSec ?? 30;
+  }
+
+  /**
+   * Whether a secret or key is configured; without one, login stays anonymous
+   */
+  get enabled(): boolean {
+    return this.secret !== undefined || this.publicKey !== undefined;
+  }
+
+  /**
+   * Check a token's signature and claims. Throws with a client-safe reason on failure.
+   */
+  verify(token: string, now: number = Date.now()): LoginClaims {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new Error('Malformed token');
+    const [headerPart, payloadPart, signaturePart] = parts as [string, string, string];
+
+    const header = decodeSegment(headerPart);
+    const alg = typeof header.alg === 'string' ? header.alg : '';
+    const signed = Buffer.from(`${headerPart}.${payloadPart}`, 'utf8');
+    const signature = Buffer.from(signaturePart, 'base64url');
+    if (!this.checkSignature(alg, signed, signature)) {
+      throw new Error('Invalid token signature');
+    }
+
+    const claims = decodeSegment(payloadPart);
+    const seconds = now / 1000;
+    if (typeof claims.sub !== 'string' || !SUBJECT_PATTERN.test(claims.sub)) {
+      throw new Error('Token subject is missing or invalid');
+    }
+    if (typeof claims.exp === 'number' && seconds > claims.exp + this.clockSkewSec) {
+      throw new Error('Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && seconds < claims.nbf - this.clockSkewSec) {
+      throw new Error('Token is not valid yet');
+    }
+    if (this.issuer && claims.iss !== this.issuer) {
+      throw new Error('Token issuer mismatch');
+    }
+    if (this.audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.audience)) throw new Error('Token audience mismatch');
+    }
+    if (
+      claims.commands !== undefined &&
+      !(Array.isArray(claims.commands) && claims.commands.every(c => typeof c === 'string'))
+    ) {
+      throw new Error('Token commands claim must be a list of strings');
+    }
+    if (claims.name !== undefined && typeof claims.name !== 'string') {
+      throw new Error('Token name claim must be a string');
+    }
+
+    return claims as unknown as LoginClaims;
+  }
+
+  private checkSignature(alg: string, signed: Buffer, signature: Buffer): boolean {
+    const hmac = HMAC_ALGORITHMS[alg];
+    if (hmac) {
+      if (!this.secret) throw new Error(`Token algorithm ${alg} is not accepted`);
+      const expected = createHmac(hmac, this.secret).update(signed).digest();
+      return expected.length === signature.length && timingSafeEqual(expected, signature);
+    }
+
+    if (Object.hasOwn(PUBLIC_KEY_ALGORITHMS, alg)) {
+      if (!this.publicKey) throw new Error(`Token algorithm ${alg} is not accepted`);
+      // JWT ECDSA signatures are raw r||s rather than DER
+      const key =
+        alg === 'ES256'
+          ? { key: this.publicKey, dsaEncoding: 'ieee-p1363' as const }
+          : this.publicKey;
+      try {
+        return verify(PUBLIC_KEY_ALGORITHMS[alg] ?? null, signed, key, signature);
+      } catch {
+        // Key type does not match the algorithm
+        return false;
+      }
+    }
+
+    // Includes 'none': unsigned tokens are never accepted
+    throw new Error(`Token algorithm ${alg || '(none)'} is not accepted`);
+  }
+}
+
+/**
+ * Entity id of the persistent player for a token subject
+ */
+export function playerIdForSubject(subject: string): string {
+  return `user-${subject}`;
+}
+
+function decodeSegment(segment: string): Record<string, unknown> {
+  let value: unknown;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed token');
+  }
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('Malformed token');
+  }
+  return value as Record<string, unknown>;
+}
@@ -0,0 +1,96 @@
+import type { EntityId, LayerId, ServerChatMessage } from '@worldhost/shared';
+import { ConnectionLimiter } from './rate-limit.js';
+
+export interface ChatServiceOptions {
+  // Messages kept for replay on login
+  historySize: number;
+  // Sustained rate per player, with bursts up to `burst` messages
+  messagesPerMinute: number;
+  burst: number;
+}
+
+interface ChatRecord {
+  message: ServerChatMessage;
+  layerId: LayerId;
+}
+
+// Limiters idle this long have refilled completely and can be dropped
+const LIMITER_IDLE_MS = 5 * 60 * 1000;
+
+/**
+ * Chat bookkeeping for the enhanced WebSocket protocol: per-player rate limits and a
+ * short history of layer, global and whisper messages. Proximity chat is not kept,
+ * since who could hear it depends on where everyone stood at the time.
+ */
+export class ChatService {
+  private history: ChatRecord[] = [];
+  private limiters = new Map<EntityId, { limiter: ConnectionLimiter; lastUsed: number }>();
+  private lastPrune = 0;
+
+  constructor(private readonly options: ChatServiceOptions) {}
+
+  /**
+   * Take a chat allowance for a player; false means the message must be dropped
+   */
+  allow(playerId: EntityId, now: number = Date.now()): boolean {
+    this.prune(now);
+    let entry = this.limiters.get(playerId);
+    if (!entry) {
+      const limiter = new ConnectionLimiter(
+        {
+          messagesPerSecond: this.options.messagesPerMinute / 60,
+          burst: this.options.burst,
+          // Chat is only ever refused, never escalated to a disconnect
+          maxViolations: Infinity,
+        },
+        now
+      );
+      entry = { limiter, lastUsed: now };
+      this.limiters.set(playerId, entry);
+    }
+    entry.lastUsed = now;
+    return entry.limiter.consume(now) === 'allow';
+  }
+
+  /**
+   * Keep a delivered message for replay. Proximity messages are skipped.
+   */
+  record(message: ServerChatMessage, layerId: LayerId): void {
+    if (message.channel === 'proximity' || this.options.historySize <= 0) return;
+    this.history.push({ message, layerId });
+    if (this.history.length > this.options.historySize) {
+      this.history.splice(0, this.history.length - this.options.historySize);
+    }
+  }
+
+  /**
+   * Messages a player logging in on a layer may see: global chat, chat on that layer,
+   * and whispers they sent or received. Oldest first.
+   */
+  historyFor(playerId: EntityId, layerId: LayerId): ServerChatMessage[] {
+    return this.history
+      .filter(({ message, layerId: sentOn }) => {
+        switch (message.channel) {
+          case 'global':
+            return true;
+          case 'layer':
+            return sentOn === layerId;
+          case 'whisper':
+            return message.playerId === playerId || message.to === playerId;
+          default:
+            return false;
+        }
+      })
+      .map(record => record.message);
+  }
+
+  private prune(now: number): void {
+    if (now - this.lastPrune < LIMITER_IDLE_MS) return;
+    this.lastPrune = now;
+    for (const [playerId, entry] of this.limiters) {
+      if (now - entry.lastUsed > LIMITER_IDLE_MS) {
+        this.limiters.delete(playerId);
+      }
+    }
+  }
+}
@@ -33,6 +33,7 @@ export const CHUNK_SIZE = getEnvNumber('WORLDHOST_CHUNK_SIZE', 32);
 export const CHUNK_HEIGHT = getEnvNumber('WORLDHOST_CHUNK_HEIGHT', 256);
 export const MAX_LOADED_CHUNKS = getEnvNumber('WORLDHOST_MAX_LOADED_CHUNKS', 1000);
 export const CHUNK_UNLOAD_DELAY_MS = getEnvNumber('WORLDHOST_CHUNK_UNLOAD_DELAY_MS', 60000); // 1 minute
+export const CHUNK_DELTA_HISTORY = getEnvNumber('WORLDHOST_CHUNK_DELTA_HISTORY', 256); // Deltas kept per chunk for resync
 
 // ECS Performance Configuration  
 export const MAX_CONTRACTS_PER_ADD_CHECK = getEnvNumber('WORLDHOST_MAX_CONTRACTS_PER_ADD_CHECK', 50);
@@ -42,14 +43,33 @@ export const ECS_CLEANUP_INTERVAL_MS = getEnvNumber('WORLDHOST_ECS_CLEANUP_INTER
 // Game Loop Configuration
 export const TICK_RATE_DISABLED = getEnvBoolean('WORLDHOST_TICK_RATE_DISABLED', false); // MVP is event-driven
 export const TARGET_FPS = getEnvNumber('WORLDHOST_TARGET_FPS', 60);
-export const MAX_DELTA_TIME = getEnvNumber('WORLDHOST_MAX_DELTA_TIME', 100); // Max 100ms delta to prevent huge jumps
+export const MAX_DELTA_TIME = getEnvNumber('WORLDHOST_MAX_DELTA_TIME', 100); // ms of wall time one loop frame may simulate
+// Seeded runs take time and ids from the tick count and this seed, so they can be replayed
+export const SIMULATION_SEED =
+  process.env.WORLDHOST_SIMULATION_SEED === undefined
+    ? undefined
+    : getEnvNumber('WORLDHOST_SIMULATION_SEED', 0);
+export const MOVE_MAX_INTERVAL_MS = getEnvNumber('WORLDHOST_MOVE_MAX_INTERVAL_MS', 250); // Longest gap a single client move may cover at maxSpeed
 
 // WebSocket Configuration
 export const WS_HEARTBEAT_MS = getEnvNumber('WORLDHOST_WS_HEARTBEAT_MS', 30000); // 30 seconds
 export const WS_CONNECTION_TIMEOUT_MS = getEnvNumber('WORLDHOST_WS_CONNECTION_TIMEOUT_MS', 60000); // 1 minute
+export const WS_RESUME_GRACE_MS = getEnvNumber('WORLDHOST_WS_RESUME_GRACE_MS', 30000); // Dropped players wait this long for a resume (0 disables)
 export const MAX_SUBS_PER_CLIENT = getEnvNumber('WORLDHOST_MAX_SUBS_PER_CLIENT', 100);
 export const MAX_MESSAGE_SIZE = getEnvNumber('WORLDHOST_MAX_MESSAGE_SIZE', 65536); // 64KB
 export const MAX_MESSAGES_PER_SECOND = getEnvNumber('WORLDHOST_MAX_MESSAGES_PER_SECOND', 60);
+export const MAX_PENDING_INPUTS = getEnvNumber('WORLDHOST_MAX_PENDING_INPUTS', 32); // Movement inputs queued per client between ticks
+
+// Chat Configuration
+export const CHAT_PROXIMITY_RADIUS = getEnvNumber('WORLDHOST_CHAT_PROXIMITY_RADIUS', 32); // meters
+export const CHAT_MESSAGES_PER_MINUTE = getEnvNumber('WORLDHOST_CHAT_MESSAGES_PER_MINUTE', 30); // per player
+export const CHAT_BURST = getEnvNumber('WORLDHOST_CHAT_BURST', 5);
+export const CHAT_HISTORY_SIZE = getEnvNumber('WORLDHOST_CHAT_HISTORY_SIZE', 50); // replayed on login
+export const CHAT_MAX_LENGTH = getEnvNumber('WORLDHOST_CHAT_MAX_LENGTH', 500); // characters
+
+// Interaction Configuration
+export const INTERACT_RANGE = getEnvNumber('WORLDHOST_INTERACT_RANGE', 3); // meters between actor and target
+export const ATTACK_DAMAGE = getEnvNumber('WORLDHOST_ATTACK_DAMAGE', 10);
 
 // HTTP Server Configuration
 export const SERVER_PORT = getEnvNumber('PORT', 8080);
@@ -62,6 +82,13 @@ export const GRAVITY = parseFloat(process.env.WORLDHOST_GRAVITY || '-9.81');
 export const TERMINAL_VELOCITY = parseFloat(process.env.WORLDHOST_TERMINAL_VELOCITY || '-53');
 export const GROUND_FRICTION = parseFloat(process.env.WORLDHOST_GROUND_FRICTION || '0.8');
 export const AIR_FRICTION = parseFloat(process.env.WORLDHOST_AIR_FRICTION || '0.98');
+export const BROADPHASE_CELL_SIZE = getEnvNumber('WORLDHOST_BROADPHASE_CELL_SIZE', 4); // meters per collision index cell
+export const RAYCAST_MAX_DISTANCE = getEnvNumber('WORLDHOST_RAYCAST_MAX_DISTANCE', 256); // meters; also the default range
+
+// Pathfinding Configuration
+export const PATHFINDING_CELL_SIZE = getEnvNumber('WORLDHOST_PATHFINDING_CELL_SIZE', 1); // meters per walkability cell
+export const PATHFINDING_MAX_NODES = getEnvNumber('WORLDHOST_PATHFINDING_MAX_NODES', 4000); // A* cells expanded per search
+export const PATHFINDING_CACHE_SIZE = getEnvNumber('WORLDHOST_PATHFINDING_CACHE_SIZE', 256); // paths kept until invalidated
 
 // Performance Monitoring
 export const METRICS_ENABLED = getEnvBoolean('WORLDHOST_METRICS_ENABLED', false);
@@ -79,6 +106,12 @@ export const RATE_LIMIT_WINDOW_MS = getEnvNumber('WORLDHOST_RATE_LIMIT_WINDOW_MS
 export const RATE_LIMIT_MAX_REQUESTS = getEnvNumber('WORLDHOST_RATE_LIMIT_MAX_REQUESTS', 100);
 export const MAX_CONCURRENT_CONNECTIONS = getEnvNumber('WORLDHOST_MAX_CONCURRENT_CONNECTIONS', 1000);
 
+// Login tokens: a secret or public key makes login require a signed token ('\n' in the PEM may be escaped)
+export const AUTH_SECRET = getEnvString('WORLDHOST_AUTH_SECRET', '');
+export const AUTH_PUBLIC_KEY = getEnvString('WORLDHOST_AUTH_PUBLIC_KEY', '').replace(/\\n/g, '\n');
+export const AUTH_ISSUER = getEnvString('WORLDHOST_AUTH_ISSUER', '');
+export const AUTH_AUDIENCE = getEnvString('WORLDHOST_AUTH_AUDIENCE', '');
+
 // Development and Debug Configuration
 export const NODE_ENV = getEnvString('NODE_ENV', 'development');
 export const LOG_LEVEL = getEnvString('WORLDHOST_LOG_LEVEL', 'info');
@@ -2,9 +2,16 @@ import { createServer, IncomingMessage, ServerResponse } from 'node:http';
 import Fastify from 'fastify';
 import { z } from 'zod';
 import type { AppContext } from './app.js';
-import { Vec3Schema, AnyContractOverrideSchema, AnyContractSchema } from './world/contracts.js';
+import {
+  Vec3Schema,
+  AnyContractOverrideSchema,
+  AnyContractSchema,
+  PhysicsConditionsSchema,
+} from './world/contracts.js';
 import { register as metricsRegister, httpRequests, httpDuration, startTimer } from './metrics.js';
-import { METRICS_ENABLED } from './config.js';
+import { RaycastFilterSchema } from './ws-messages.js';
+import { isChunkInBounds } from './world/space.js';
+import { METRICS_ENABLED, RAYCAST_MAX_DISTANCE } from './config.js';
 import type { FastifyInstance } from 'fastify';
 
 // Request schemas
@@ -17,9 +24,14 @@ const CreateLayerSchema = z.object({
   boundaries: z.object({
     min: Vec3Schema,
     max: Vec3Schema,
-  }).optional(),
+    mode: z.enum(['clamp', 'wrap', 'void']).optional(),
+    onVoid: z.enum(['respawn', 'destroy']).optional(),
+  }).refine(
+    ({ min, max }) => min.x < max.x && min.y < max.y && min.z < max.z,
+    { message: 'boundaries.min must be below boundaries.max on every axis' }
+  ).optional(),
   properties: z.record(z.any()).optional(),
-});
+}).merge(PhysicsConditionsSchema.omit({ gravity: true }));
 
 const DefineArchetypeSchema = z.object({
   id: z.string().optional(),
@@ -27,6 +39,12 @@ const DefineArchetypeSchema = z.object({
   description: z.string().optional(),
   contracts: z.array(AnyContractSchema),
   tags: z.array(z.string()).optional(),
+  use: z
+    .object({
+      behavior: z.string().min(1),
+      params: z.record(z.any()).optional(),
+    })
+    .optional(),
 });
 
 const SpawnSchema = z.object({
@@ -40,6 +58,14 @@ const SaveLoadSchema = z.object({
   filename: z.string().optional(),
 });
 
+const RaycastQuerySchema = z.object({
+  layerId: z.string().min(1),
+  origin: Vec3Schema,
+  direction: Vec3Schema,
+  maxDistance: z.number().positive().max(RAYCAST_MAX_DISTANCE).optional(),
+  filter: RaycastFilterSchema.optional(),
+});
+
 export function createHttpServer(context: AppContext) {
   const fastify = Fastify({ logger: false });
   
@@ -96,6 +122,7 @@ export function createHttpServer(context: AppContext) {
         'POST /spawn': 'Spawn entity from archetype',
         'POST /save': 'Save world to file',
         'POST /load': 'Load world from file',
+        'POST /query/raycast': 'First solid entity or voxel along a ray',
         'WS /ws': 'WebSocket connection',
       },
     };
@@ -425,7 +452,8 @@ export function createHttpServer(context: AppContext) {
       const layerId = String(body.layerId ?? 'default');
       for (let x = cx - radius; x <= cx + radius; x++) {
         for (let z = cz - radius; z <= cz + radius; z++) {
-          context.chunkManager.loadChunk({ layerId, cx: x, cy: 0, cz: z });
+          const key = { layerId, cx: x, cy: 0, cz: z };
+          if (isChunkInBounds(key)) context.chunkManager.loadChunk(key);
         }
       }
       const items = context.chunkManager.getLoadedChunkGrids();
@@ -519,6 +547,7 @@ export function createHttpServer(context: AppContext) {
         contracts: body.contracts,
         tags: body.tags || [],
         created: Date.now(),
+        use: body.use,
       };
       
       context.worldState.defineArchetype(archetype);
@@ -629,6 +658,28 @@ export function createHttpServer(context: AppContext) {
     }
   });
 
+  // Raycast against solid entities and chunk solid grids; hit is null when nothing is in range
+  fastify.post('/query/raycast', async (request, reply) => {
+    const parsed = RaycastQuerySchema.safeParse(request.body);
+    if (!parsed.success) {
+      reply.code(400);
+      return { success: false, error: parsed.error.message };
+    }
+    const body = parsed.data;
+    if (!context.worldState.getLayerRegistry().hasLayer(body.layerId)) {
+      reply.code(404);
+      return { success: false, error: `Layer ${body.layerId} not found` };
+    }
+    const hit = context.movementSystem.raycast(
+      body.layerId,
+      body.origin,
+      body.direction,
+      body.maxDistance ?? RAYCAST_MAX_DISTANCE,
+      body.filter
+    );
+    return { success: true, hit: hit ?? null };
+  });
+
   // Prometheus metrics endpoint (optional)
   if (METRICS_ENABLED) {
     fastify.get('/metrics', async (request, reply) => {
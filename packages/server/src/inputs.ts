@@ -0,0 +1,64 @@
+import { MAX_PENDING_INPUTS } from './config.js';
+
+export interface QueuedInput<T> {
+  input: T;
+  // Client sequence number, when the client sends them
+  seq?: number;
+  receivedAt: number;
+}
+
+/**
+ * Movement inputs of one connection, waiting for the next tick. Inputs are processed in
+ * arrival order; sequence numbers must increase, so duplicates and replays are dropped.
+ */
+export class InputQueue<T> {
+  private pending: QueuedInput<T>[] = [];
+  private lastQueuedSeq?: number;
+  private lastProcessed?: number;
+
+  constructor(private readonly maxPending: number = MAX_PENDING_INPUTS) {}
+
+  /**
+   * Queue an input. Returns false when its sequence number is not newer than the last one.
+   * When the queue is full the oldest input is dropped; the next ack still covers it.
+   */
+  push(input: T, seq?: number, now: number = Date.now()): boolean {
+    if (seq !== undefined) {
+      if (this.lastQueuedSeq !== undefined && seq <= this.lastQueuedSeq) return false;
+      this.lastQueuedSeq = seq;
+    }
+    this.pending.push({ input, seq, receivedAt: now });
+    if (this.pending.length > this.maxPending) {
+      this.pending.splice(0, this.pending.length - this.maxPending);
+    }
+    return true;
+  }
+
+  /**
+   * Take every queued input, oldest first. They are acknowledged one by one as they are applied.
+   */
+  drain(): QueuedInput<T>[] {
+    const inputs = this.pending;
+    this.pending = [];
+    return inputs;
+  }
+
+  /**
+   * Record that the input with this sequence number was applied
+   */
+  acknowledge(seq: number | undefined): void {
+    if (seq === undefined) return;
+    if (this.lastProcessed === undefined || seq > this.lastProcessed) this.lastProcessed = seq;
+  }
+
+  /**
+   * Highest sequence number processed so far; undefined until the client sends one
+   */
+  get lastProcessedSeq(): number | undefined {
+    return this.lastProcessed;
+  }
+
+  get size(): number {
+    return this.pending.length;
+  }
+}
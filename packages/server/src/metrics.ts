@@ -45,6 +45,13 @@ export const messagesSent = new Counter({
   registers: METRICS_ENABLED ? [register] : [],
 });
 
+export const bytesSent = new Counter({
+  name: 'worldhost_bytes_sent_total',
+  help: 'Total WebSocket payload bytes sent',
+  labelNames: ['encoding'], // 'json' or 'binary'
+  registers: METRICS_ENABLED ? [register] : [],
+});
+
 export const messagesPerSecond = new Gauge({
   name: 'worldhost_messages_per_second',
   help: 'Current rate of messages per second',
@@ -52,6 +59,13 @@ export const messagesPerSecond = new Gauge({
   registers: METRICS_ENABLED ? [register] : [],
 });
 
+export const wsLimitEvents = new Counter({
+  name: 'worldhost_ws_limit_events_total',
+  help: 'WebSocket limit enforcement steps taken',
+  labelNames: ['limit', 'action'], // limit: 'rate' | 'subscriptions' | 'payload' | 'connections'; action: 'warn' | 'throttle' | 'disconnect' | 'refuse'
+  registers: METRICS_ENABLED ? [register] : [],
+});
+
 // Operation latency metrics
 export const operationDuration = new Histogram({
   name: 'worldhost_operation_duration_seconds',
@@ -215,13 +229,22 @@ export function trackInboundMessage(type: string, clientId?: string): void {
   inboundMessageCount++;
 }
 
-export function trackOutboundMessage(type: string): void {
+export function trackOutboundMessage(type: string, encoding?: string, bytes?: number): void {
   if (!METRICS_ENABLED) return;
   
   messagesSent.labels(type).inc();
+  if (encoding && bytes !== undefined) {
+    bytesSent.labels(encoding).inc(bytes);
+  }
   outboundMessageCount++;
 }
 
+export function trackLimitEvent(limit: string, action: string): void {
+  if (!METRICS_ENABLED) return;
+  
+  wsLimitEvents.labels(limit, action).inc();
+}
+
 // Update message rates every second
 if (METRICS_ENABLED) {
   setInterval(() => {
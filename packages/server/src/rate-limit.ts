@@ -0,0 +1,86 @@
+/**
+ * Per-connection limits for the enhanced WebSocket protocol.
+ *
+ * Inbound messages draw from a token bucket. Messages beyond the bucket, and other
+ * quota breaches, count as violations. Violations escalate: the first few are answered
+ * with an error, then over-limit messages are dropped silently, then the connection is
+ * closed. The count resets after a quiet period with no violations.
+ */
+
+export type LimitAction = 'allow' | 'warn' | 'throttle' | 'disconnect';
+export type ViolationAction = Exclude<LimitAction, 'allow'>;
+
+export interface ConnectionLimiterOptions {
+  messagesPerSecond: number;
+  // Bucket size; defaults to one second's worth of messages
+  burst?: number;
+  // Violations answered with an error before throttling starts
+  warnViolations?: number;
+  // Violations tolerated in total before disconnecting
+  maxViolations?: number;
+  // Quiet period after which the violation count resets
+  violationResetMs?: number;
+}
+
+export class ConnectionLimiter {
+  private readonly rate: number;
+  private readonly burst: number;
+  private readonly warnViolations: number;
+  private readonly maxViolations: number;
+  private readonly violationResetMs: number;
+
+  private tokens: number;
+  private lastRefill: number;
+  private violations = 0;
+  private lastViolation = 0;
+
+  constructor(options: ConnectionLimiterOptions, now: number = Date.now()) {
+    this.rate = Math.max(0, options.messagesPerSecond);
+    this.burst = Math.max(1, options.burst ?? options.messagesPerSecond);
+    this.warnViolations = options.warnViolations ?? 3;
+    this.maxViolations = Math.max(this.warnViolations, options.maxViolations ?? 50);
+    this.violationResetMs = options.violationResetMs ?? 10000;
+    this.tokens = this.burst;
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take a token for an inbound message
+   */
+  consume(now: number = Date.now()): LimitAction {
+    this.refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 'allow';
+    }
+    return this.violate(now);
+  }
+
+  /**
+   * Record a violation and return how to respond to it
+   */
+  violate(now: number = Date.now()): ViolationAction {
+    if (now - this.lastViolation > this.violationResetMs) {
+      this.violations = 0;
+    }
+    this.violations++;
+    this.lastViolation = now;
+
+    if (this.violations > this.maxViolations) return 'disconnect';
+    if (this.violations > this.warnViolations) return 'throttle';
+    return 'warn';
+  }
+
+  /**
+   * Current violation count (after any quiet-period reset)
+   */
+  getViolations(now: number = Date.now()): number {
+    return now - this.lastViolation > this.violationResetMs ? 0 : this.violations;
+  }
+
+  private refill(now: number): void {
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+}
@@ -0,0 +1,90 @@
+import { randomBytes } from 'node:crypto';
+import type { EntityId } from '@worldhost/shared';
+
+// What a dropped connection leaves behind for its resume token
+export interface ParkedSession {
+  playerId?: EntityId;
+  subscribedChunks: Set<string>; // ChunkKey strings
+  viewRadius?: number;
+  parkedAt: number;
+}
+
+/**
+ * Holds sessions of dropped WebSocket connections for a grace period, keyed by resume token.
+ * When the grace period ends without a resume, the expiry callback cleans up (e.g. removes the player).
+ */
+export class SessionStore {
+  private parked = new Map<string, { session: ParkedSession; timer: NodeJS.Timeout }>();
+
+  constructor(private readonly graceMs: number) {}
+
+  /**
+   * Create an unguessable resume token for a new connection
+   */
+  issueToken(): string {
+    return randomBytes(24).toString('base64url');
+  }
+
+  /**
+   * Park a session until it is resumed or the grace period ends.
+   * Returns false (and parks nothing) when resuming is disabled.
+   */
+  park(token: string, session: ParkedSession, onExpire: (session: ParkedSession) => void): boolean {
+    if (this.graceMs <= 0) return false;
+
+    this.discard(token);
+    const timer = setTimeout(() => {
+      this.parked.delete(token);
+      onExpire(session);
+    }, this.graceMs);
+    // Parked sessions alone should not keep the process alive
+    timer.unref?.();
+    this.parked.set(token, { session, timer });
+    return true;
+  }
+
+  /**
+   * Take a parked session back. Tokens are single-use.
+   */
+  resume(token: string): ParkedSession | undefined {
+    const entry = this.parked.get(token);
+    if (!entry) return undefined;
+
+    clearTimeout(entry.timer);
+    this.parked.delete(token);
+    return entry.session;
+  }
+
+  /**
+   * Forget any parked session holding this player, without running its expiry callback.
+   * Used when the player is taken over by a fresh login.
+   */
+  releasePlayer(playerId: EntityId): boolean {
+    let released = false;
+    for (const [token, { session }] of this.parked) {
+      if (session.playerId === playerId) {
+        this.discard(token);
+        released = true;
+      }
+    }
+    return released;
+  }
+
+  /**
+   * Drop all parked sessions without running their expiry callbacks
+   */
+  dispose(): void {
+    for (const { timer } of this.parked.values()) {
+      clearTimeout(timer);
+    }
+    this.parked.clear();
+  }
+
+  private discard(token: string): void {
+    const entry = this.parked.get(token);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.parked.delete(token);
+    }
+  }
+}
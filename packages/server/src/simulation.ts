@@ -0,0 +1,90 @@
+/**
+ * Fixed-step accumulator for the game loop. Wall-clock time is added as it passes and
+ * spent in whole steps, so every system update sees the same deltaTime whatever the
+ * scheduler does. A frame counts at most `maxFrameMs`; time beyond that (a GC pause, a
+ * suspended laptop) is dropped instead of being replayed as a burst of catch-up steps.
+ */
+export class FixedStepLoop {
+  private accumulator = 0;
+  private dropped = 0;
+
+  constructor(
+    readonly stepMs: number,
+    private readonly maxFrameMs: number
+  ) {
+    if (!(stepMs > 0)) throw new Error(`Step must be positive, got ${stepMs}ms`);
+  }
+
+  get stepSeconds(): number {
+    return this.stepMs / 1000;
+  }
+
+  /**
+   * Add elapsed wall-clock time and return how many steps are due now
+   */
+  advance(elapsedMs: number): number {
+    const elapsed = Math.max(0, elapsedMs);
+    const counted = Math.min(elapsed, Math.max(this.maxFrameMs, this.stepMs));
+    this.dropped += elapsed - counted;
+    this.accumulator += counted;
+    const steps = Math.floor(this.accumulator / this.stepMs);
+    this.accumulator -= steps * this.stepMs;
+    return steps;
+  }
+
+  /**
+   * Time until the next step is due, for scheduling the next frame
+   */
+  get untilNextStepMs(): number {
+    return this.stepMs - this.accumulator;
+  }
+
+  /**
+   * Wall-clock time skipped by the per-frame clamp so far
+   */
+  get droppedMs(): number {
+    return this.dropped;
+  }
+}
+
+/**
+ * Where the world gets time and randomness for ids and input timing
+ */
+export interface SimulationClock {
+  now(): number; // milliseconds
+  random(): number; // [0, 1)
+}
+
+export const SYSTEM_CLOCK: SimulationClock = {
+  now: () => Date.now(),
+  random: () => Math.random(),
+};
+
+/**
+ * Clock for seeded runs: time is the tick count times the step, and random numbers come
+ * from the seed, so two runs fed the same inputs on the same ticks end in the same state
+ */
+export function createSeededClock(
+  seed: number,
+  stepMs: number,
+  currentTick: () => number
+): SimulationClock {
+  return {
+    now: () => currentTick() * stepMs,
+    random: createRandom(seed),
+  };
+}
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1) (mulberry32)
+ */
+export function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,347 @@
+/**
+ * Wire encodings for the enhanced WebSocket protocol.
+ *
+ * 'json' sends text frames. 'binary' sends a compact tagged format in binary frames:
+ * every value is a one-byte tag followed by its payload. Integers are zigzag varints and
+ * typed arrays are copied as raw bytes instead of index-keyed JSON objects.
+ * Like JSON, undefined object fields are dropped and undefined array items become null.
+ */
+
+export type WireEncoding = 'json' | 'binary';
+
+// Preferred first; offered to clients in hello_ok
+export const WIRE_ENCODINGS: readonly WireEncoding[] = ['binary', 'json'];
+
+export type WirePayload = string | Uint8Array;
+
+const Tag = {
+  Null: 0x00,
+  False: 0x01,
+  True: 0x02,
+  Int: 0x03,
+  Float: 0x04,
+  String: 0x05,
+  Array: 0x06,
+  Object: 0x07,
+  Bytes: 0x08,
+  TypedArray: 0x09,
+} as const;
+
+// Element kinds for Tag.TypedArray (Uint8Array uses Tag.Bytes)
+const TYPED_ARRAYS = [
+  Int8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+] as const;
+
+type TypedArrayConstructor = (typeof TYPED_ARRAYS)[number];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Check whether a client-requested encoding is supported
+ */
+export function isWireEncoding(value: unknown): value is WireEncoding {
+  return typeof value === 'string' && (WIRE_ENCODINGS as readonly string[]).includes(value);
+}
+
+/**
+ * Encode a message for a connection using its negotiated encoding
+ */
+export function encodeWireMessage(message: unknown, encoding: WireEncoding): WirePayload {
+  return encoding === 'binary' ? encodeBinary(message) : JSON.stringify(message);
+}
+
+/**
+ * Decode an inbound frame; binary frames use the tagged format, text frames are JSON
+ */
+export function decodeWireMessage(
+  data: Buffer | ArrayBuffer | Buffer[],
+  isBinary: boolean
+): unknown {
+  const bytes = toBytes(data);
+  return isBinary ? decodeBinary(bytes) : JSON.parse(textDecoder.decode(bytes));
+}
+
+/**
+ * Encode a JSON-like value (plus typed arrays) into the tagged binary format
+ */
+export function encodeBinary(value: unknown): Uint8Array {
+  const writer = new ByteWriter();
+  writeValue(writer, value);
+  return writer.finish();
+}
+
+/**
+ * Decode a value produced by encodeBinary
+ */
+export function decodeBinary(bytes: Uint8Array): unknown {
+  const reader = new ByteReader(bytes);
+  const value = readValue(reader, 0);
+  if (reader.offset !== bytes.length) {
+    throw new Error(`Malformed binary message: ${bytes.length - reader.offset} trailing bytes`);
+  }
+  return value;
+}
+
+function toBytes(data: Buffer | ArrayBuffer | Buffer[]): Uint8Array {
+  if (Array.isArray(data)) return Buffer.concat(data);
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return data;
+}
+
+function writeValue(writer: ByteWriter, value: unknown): void {
+  if (value === null || value === undefined) {
+    writer.byte(Tag.Null);
+    return;
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      writer.byte(value ? Tag.True : Tag.False);
+      return;
+    case 'number':
+      writeNumber(writer, value);
+      return;
+    case 'string':
+      writer.byte(Tag.String);
+      writer.string(value);
+      return;
+    case 'object':
+      break;
+    default:
+      // Functions, symbols and bigints have no JSON form either
+      writer.byte(Tag.Null);
+      return;
+  }
+
+  if (Array.isArray(value)) {
+    writer.byte(Tag.Array);
+    writer.varuint(value.length);
+    for (const item of value) {
+      writeValue(writer, item);
+    }
+    return;
+  }
+
+  if (value instanceof Uint8Array) {
+    writer.byte(Tag.Bytes);
+    writer.varuint(value.byteLength);
+    writer.bytes(value);
+    return;
+  }
+
+  if (ArrayBuffer.isView(value)) {
+    const kind = TYPED_ARRAYS.findIndex(ctor => value instanceof ctor);
+    if (kind >= 0) {
+      writer.byte(Tag.TypedArray);
+      writer.byte(kind);
+      writer.varuint(value.byteLength);
+      writer.bytes(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+      return;
+    }
+  }
+
+  const entries = Object.entries(value as Record<string, unknown>).filter(
+    ([, v]) => v !== undefined
+  );
+  writer.byte(Tag.Object);
+  writer.varuint(entries.length);
+  for (const [key, v] of entries) {
+    writer.string(key);
+    writeValue(writer, v);
+  }
+}
+
+function writeNumber(writer: ByteWriter, value: number): void {
+  if (!Number.isFinite(value)) {
+    // JSON.stringify turns NaN/Infinity into null
+    writer.byte(Tag.Null);
+  } else if (Number.isInteger(value) && Math.abs(value) <= 0x7fffffff) {
+    writer.byte(Tag.Int);
+    writer.varuint(value >= 0 ? value * 2 : -value * 2 - 1);
+  } else {
+    writer.byte(Tag.Float);
+    writer.float64(value);
+  }
+}
+
+// Nested arrays/objects deeper than this are rejected rather than risking stack exhaustion
+const MAX_DEPTH = 64;
+
+function readValue(reader: ByteReader, depth: number): unknown {
+  if (depth > MAX_DEPTH) {
+    throw new Error('Malformed binary message: nesting too deep');
+  }
+
+  const tag = reader.byte();
+  switch (tag) {
+    case Tag.Null:
+      return null;
+    case Tag.False:
+      return false;
+    case Tag.True:
+      return true;
+    case Tag.Int: {
+      const zigzag = reader.varuint();
+      return zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+    }
+    case Tag.Float:
+      return reader.float64();
+    case Tag.String:
+      return reader.string();
+    case Tag.Array: {
+      const length = reader.varuint();
+      const items: unknown[] = [];
+      for (let i = 0; i < length; i++) {
+        items.push(readValue(reader, depth + 1));
+      }
+      return items;
+    }
+    case Tag.Object: {
+      const count = reader.varuint();
+      const result: Record<string, unknown> = {};
+      for (let i = 0; i < count; i++) {
+        const key = reader.string();
+        const value = readValue(reader, depth + 1);
+        // Never let a decoded key reach the prototype chain
+        Object.defineProperty(result, key, {
+          value,
+          enumerable: true,
+          writable: true,
+          configurable: true,
+        });
+      }
+      return result;
+    }
+    case Tag.Bytes:
+      return reader.bytes(reader.varuint()).slice();
+    case Tag.TypedArray: {
+      const ctor: TypedArrayConstructor | undefined = TYPED_ARRAYS[reader.byte()];
+      if (!ctor) throw new Error('Malformed binary message: unknown typed array kind');
+      const byteLength = reader.varuint();
+      if (byteLength % ctor.BYTES_PER_ELEMENT !== 0) {
+        throw new Error('Malformed binary message: typed array length mismatch');
+      }
+      // Copy so the view is aligned and independent of the frame buffer
+      const raw = reader.bytes(byteLength).slice();
+      return new ctor(raw.buffer, 0, byteLength / ctor.BYTES_PER_ELEMENT);
+    }
+    default:
+      throw new Error(`Malformed binary message: unknown tag 0x${tag.toString(16)}`);
+  }
+}
+
+/**
+ * Growable output buffer
+ */
+class ByteWriter {
+  private buffer = new Uint8Array(256);
+  private view = new DataView(this.buffer.buffer);
+  private length = 0;
+
+  byte(value: number): void {
+    this.reserve(1);
+    this.buffer[this.length++] = value;
+  }
+
+  varuint(value: number): void {
+    // Unsigned LEB128; values stay below 2^32 so plain arithmetic is exact
+    while (value >= 0x80) {
+      this.byte(value % 0x80 | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    this.byte(value);
+  }
+
+  float64(value: number): void {
+    this.reserve(8);
+    this.view.setFloat64(this.length, value, true);
+    this.length += 8;
+  }
+
+  string(value: string): void {
+    const encoded = textEncoder.encode(value);
+    this.varuint(encoded.length);
+    this.bytes(encoded);
+  }
+
+  bytes(value: Uint8Array): void {
+    this.reserve(value.length);
+    this.buffer.set(value, this.length);
+    this.length += value.length;
+  }
+
+  finish(): Uint8Array {
+    return this.buffer.subarray(0, this.length);
+  }
+
+  private reserve(extra: number): void {
+    if (this.length + extra <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.buffer.subarray(0, this.length));
+    this.buffer = next;
+    this.view = new DataView(next.buffer);
+  }
+}
+
+/**
+ * Bounds-checked input cursor
+ */
+class ByteReader {
+  offset = 0;
+  private view: DataView;
+
+  constructor(private readonly buffer: Uint8Array) {
+    this.view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  }
+
+  byte(): number {
+    this.need(1);
+    return this.buffer[this.offset++]!;
+  }
+
+  varuint(): number {
+    let result = 0;
+    let scale = 1;
+    for (let i = 0; i < 5; i++) {
+      const b = this.byte();
+      result += (b & 0x7f) * scale;
+      if ((b & 0x80) === 0) return result;
+      scale *= 0x80;
+    }
+    throw new Error('Malformed binary message: varint too long');
+  }
+
+  float64(): number {
+    this.need(8);
+    const value = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  string(): string {
+    return textDecoder.decode(this.bytes(this.varuint()));
+  }
+
+  bytes(length: number): Uint8Array {
+    this.need(length);
+    const slice = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  private need(length: number): void {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('Malformed binary message: unexpected end of data');
+    }
+  }
+}
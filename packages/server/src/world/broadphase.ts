@@ -0,0 +1,139 @@
+import type { AABB, EntityId, Mobility, Shape, Solidity, Vec3 } from '@worldhost/shared';
+import { Vec3Utils } from '@worldhost/shared';
+import type { ECSWorld } from './ecs.js';
+import { SpatialHash, aabbIntersect } from './space.js';
+import { BROADPHASE_CELL_SIZE } from '../config.js';
+
+// Entities covering more cells than this (e.g. a floor) are checked by every query instead
+const MAX_CELLS_PER_ENTITY = 64;
+
+// Called with the bounds a solid entity left or now occupies; a move calls it for both
+export type SolidChangeListener = (entityId: EntityId, bounds: AABB) => void;
+
+/**
+ * Broad-phase index of solid entities, so collision queries only narrow-phase test what is
+ * near the swept bounds. Kept in sync through the mobility, shape and solidity contract hooks.
+ */
+export class SolidIndex {
+  private hash: SpatialHash;
+  private bounds = new Map<EntityId, AABB>();
+  private oversized = new Set<EntityId>();
+  private changeListeners = new Set<SolidChangeListener>();
+
+  constructor(
+    private readonly ecsWorld: ECSWorld,
+    cellSize: number = BROADPHASE_CELL_SIZE
+  ) {
+    this.hash = new SpatialHash(cellSize);
+
+    const reindex = (entityId: EntityId) => this.reindex(entityId);
+    for (const contractType of ['mobility', 'shape', 'solidity']) {
+      this.ecsWorld.onContractAdd(contractType, reindex);
+      this.ecsWorld.onContractRemove(contractType, reindex);
+    }
+    this.ecsWorld.onEntityRemove(entityId => this.remove(entityId));
+
+    for (const entityId of this.ecsWorld.getEntitiesWithContract('solidity')) {
+      this.reindex(entityId);
+    }
+  }
+
+  /**
+   * Solid entities whose bounds overlap the given bounds
+   */
+  query(bounds: AABB): EntityId[] {
+    const candidates = this.hash.queryBounds(bounds);
+    candidates.push(...this.oversized);
+    return candidates.filter(entityId => {
+      const entityBounds = this.bounds.get(entityId);
+      return entityBounds !== undefined && aabbIntersect(entityBounds, bounds);
+    });
+  }
+
+  /**
+   * Solid entities near a ray; callers test the exact shapes
+   */
+  queryRay(origin: Vec3, direction: Vec3, maxDistance: number): EntityId[] {
+    return [...this.hash.queryRay(origin, direction, maxDistance), ...this.oversized];
+  }
+
+  /**
+   * Listen for solid entities appearing, moving or disappearing. Returns a function that
+   * removes the listener.
+   */
+  onChange(listener: SolidChangeListener): () => void {
+    this.changeListeners.add(listener);
+    return () => {
+      this.changeListeners.delete(listener);
+    };
+  }
+
+  get size(): number {
+    return this.bounds.size;
+  }
+
+  /**
+   * Index an entity that is solid and has a shape and position; drop it otherwise
+   */
+  private reindex(entityId: EntityId): void {
+    const solidity = this.ecsWorld.getContract<Solidity>(entityId, 'solidity');
+    const shape = this.ecsWorld.getContract<Shape>(entityId, 'shape');
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    if (!solidity?.solid || !shape || !mobility) {
+      this.remove(entityId);
+      return;
+    }
+
+    const bounds: AABB = {
+      min: Vec3Utils.add(shape.bounds.min, mobility.position),
+      max: Vec3Utils.add(shape.bounds.max, mobility.position),
+    };
+    const previous = this.bounds.get(entityId);
+    // Velocity-only mobility updates leave the bounds alone
+    if (previous && sameBounds(previous, bounds)) return;
+    const oversized = this.hash.countCells(bounds) > MAX_CELLS_PER_ENTITY;
+    if (previous && !oversized && !this.oversized.has(entityId)) {
+      this.hash.moveBounds(entityId, previous, bounds);
+      this.bounds.set(entityId, bounds);
+      this.notify(entityId, previous);
+      this.notify(entityId, bounds);
+      return;
+    }
+
+    this.remove(entityId);
+    this.bounds.set(entityId, bounds);
+    if (oversized) {
+      this.oversized.add(entityId);
+    } else {
+      this.hash.addBounds(entityId, bounds);
+    }
+    this.notify(entityId, bounds);
+  }
+
+  private remove(entityId: EntityId): void {
+    const bounds = this.bounds.get(entityId);
+    if (!bounds) return;
+    if (!this.oversized.delete(entityId)) {
+      this.hash.removeBounds(entityId, bounds);
+    }
+    this.bounds.delete(entityId);
+    this.notify(entityId, bounds);
+  }
+
+  private notify(entityId: EntityId, bounds: AABB): void {
+    for (const listener of this.changeListeners) {
+      listener(entityId, bounds);
+    }
+  }
+}
+
+function sameBounds(a: AABB, b: AABB): boolean {
+  return (
+    a.min.x === b.min.x &&
+    a.min.y === b.min.y &&
+    a.min.z === b.min.z &&
+    a.max.x === b.max.x &&
+    a.max.y === b.max.y &&
+    a.max.z === b.max.z
+  );
+}
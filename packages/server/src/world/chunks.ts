@@ -1,7 +1,18 @@
-import type { ChunkKey, EntityId, LayerId, Vec3, AABB } from '@worldhost/shared';
-import { ChunkUtils } from '@worldhost/shared';
+import type { ChunkKey, EntityId, LayerId, Vec3, AABB, Mobility, Shape } from '@worldhost/shared';
+import type { RaycastHit } from '@worldhost/shared';
+import { ChunkUtils, Vec3Utils } from '@worldhost/shared';
 import type { ECSWorld } from './ecs.js';
-import { keyFromPos, layerRegistry } from './space.js';
+import {
+  keyFromPos,
+  getIntersectingChunks,
+  layerRegistry,
+  traverseGrid,
+  isChunkInBounds,
+  CHUNK_HEIGHT,
+} from './space.js';
+import { CHUNK_DELTA_HISTORY } from '../config.js';
+import { SYSTEM_CLOCK } from '../simulation.js';
+import type { SimulationClock } from '../simulation.js';
 import type { WebSocket } from 'ws';
 
 // Solid grid for static collision data
@@ -19,6 +30,22 @@ export interface ChunkSubscription {
   lastUpdate: number;
 }
 
+// A versioned change to a chunk's contents, kept in the chunk's delta ring
+export interface ChunkDelta {
+  type: 'entity_spawn' | 'entity_despawn' | 'entity_update';
+  entityId: EntityId;
+  version: number;
+  timestamp: number;
+}
+
+export type ChunkDeltaListener = (chunkKey: ChunkKey, delta: ChunkDelta) => void;
+
+// Called when a chunk changed in a way its delta ring cannot describe
+export type ChunkResyncListener = (chunkKey: ChunkKey) => void;
+
+// Called with the world-space bounds of solid grid cells that were created or changed
+export type SolidGridListener = (chunkKey: ChunkKey, bounds: AABB) => void;
+
 export interface ChunkData {
   key: ChunkKey;
   entities: Set<EntityId>;
@@ -31,6 +58,8 @@ export interface ChunkData {
   // Change tracking
   lastModified: number;
   version: number;
+  // Most recent deltas, oldest first (bounded by maxDeltaHistory)
+  deltas: ChunkDelta[];
 }
 
 /**
@@ -42,19 +71,134 @@ export class ChunkManager {
   private loadedChunks = new Set<string>();
   private cleanupInterval?: NodeJS.Timeout;
   private devEvents?: { publish: (ev: { type: string; payload?: any; ts?: number }) => void };
+  // Live entity -> chunk index (ChunkKey strings), kept in sync via mobility/shape hooks
+  private entityChunks = new Map<EntityId, Set<string>>();
+  private layerResolver: (entityId: EntityId) => LayerId | undefined = () => undefined;
+  private deltaListeners = new Set<ChunkDeltaListener>();
+  private resyncListeners = new Set<ChunkResyncListener>();
+  private solidGridListeners = new Set<SolidGridListener>();
+  // Source of chunk and subscription timestamps; seeded runs swap in a replayable one
+  private clock: SimulationClock = SYSTEM_CLOCK;
   
   // Configuration
   private readonly maxLoadedChunks = 1000;
   private readonly chunkUnloadDelay = 60000; // 1 minute
   // Hard cap for retained chunk metadata to avoid unbounded growth
   private readonly maxRetainedChunks = 20000;
+  private readonly maxDeltaHistory = Math.max(1, CHUNK_DELTA_HISTORY);
 
   constructor(ecsWorld: ECSWorld, devEvents?: { publish: (ev: { type: string; payload?: any; ts?: number }) => void }) {
     this.ecsWorld = ecsWorld;
     this.devEvents = devEvents;
+    this.setupEntityIndexing();
     this.startCleanupTimer();
   }
 
+  /**
+   * Use a different clock for chunk and subscription timestamps
+   */
+  setClock(clock: SimulationClock): void {
+    this.clock = clock;
+  }
+
+  /**
+   * Set how the index looks up an entity's layer (entities default to 'default')
+   */
+  setLayerResolver(resolver: (entityId: EntityId) => LayerId | undefined): void {
+    this.layerResolver = resolver;
+    for (const entityId of this.ecsWorld.getEntitiesWithContract('mobility')) {
+      this.reindexEntity(entityId);
+    }
+  }
+
+  /**
+   * Keep the entity -> chunk index in sync with position and shape changes
+   */
+  private setupEntityIndexing(): void {
+    this.ecsWorld.onContractAdd<Mobility>('mobility', entityId => this.reindexEntity(entityId));
+    this.ecsWorld.onContractAdd<Shape>('shape', entityId => this.reindexEntity(entityId));
+    this.ecsWorld.onContractRemove<Mobility>('mobility', entityId => this.unindexEntity(entityId));
+    this.ecsWorld.onContractRemove<Shape>('shape', entityId => this.reindexEntity(entityId));
+    this.ecsWorld.onEntityRemove(entityId => this.unindexEntity(entityId));
+
+    for (const entityId of this.ecsWorld.getEntitiesWithContract('mobility')) {
+      this.reindexEntity(entityId);
+    }
+  }
+
+  /**
+   * Compute the chunks an entity occupies from its position and (relative) shape bounds
+   */
+  private computeEntityChunks(entityId: EntityId): ChunkKey[] {
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    if (!mobility) return [];
+
+    const layerId = this.layerResolver(entityId) ?? 'default';
+    const shape = this.ecsWorld.getContract<Shape>(entityId, 'shape');
+    if (!shape) {
+      return [keyFromPos(layerId, mobility.position)].filter(isChunkInBounds);
+    }
+
+    const bounds: AABB = {
+      min: Vec3Utils.add(shape.bounds.min, mobility.position),
+      max: Vec3Utils.add(shape.bounds.max, mobility.position),
+    };
+    // Nothing is indexed in chunks outside the layer's boundaries
+    return getIntersectingChunks(layerId, bounds).filter(isChunkInBounds);
+  }
+
+  /**
+   * Recompute an entity's chunk membership, touching only the chunks that changed
+   */
+  reindexEntity(entityId: EntityId): void {
+    const desired = this.computeEntityChunks(entityId);
+    if (desired.length === 0) {
+      this.unindexEntity(entityId);
+      return;
+    }
+
+    const current = new Set(this.entityChunks.get(entityId) ?? []);
+    const desiredStrs = new Set(desired.map(ChunkUtils.toString));
+
+    for (const keyStr of current) {
+      if (!desiredStrs.has(keyStr)) {
+        const key = ChunkUtils.fromString(keyStr);
+        if (key) this.removeEntityFromChunk(entityId, key);
+      }
+    }
+    for (const key of desired) {
+      if (!current.has(ChunkUtils.toString(key))) {
+        this.addEntityToChunk(entityId, key);
+      }
+    }
+  }
+
+  /**
+   * Drop an entity from every chunk it is indexed in
+   */
+  private unindexEntity(entityId: EntityId): void {
+    const current = this.entityChunks.get(entityId);
+    if (!current) return;
+
+    for (const keyStr of Array.from(current)) {
+      const key = ChunkUtils.fromString(keyStr);
+      if (key) this.removeEntityFromChunk(entityId, key);
+    }
+    this.entityChunks.delete(entityId);
+  }
+
+  /**
+   * Get the chunks an entity is currently indexed in
+   */
+  getEntityChunks(entityId: EntityId): ChunkKey[] {
+    const keys = this.entityChunks.get(entityId);
+    if (!keys) return [];
+    return Array.from(keys).flatMap(keyStr => {
+      const key = ChunkUtils.fromString(keyStr);
+      return key ? [key] : [];
+    });
+  }
+
   /**
    * Get chunk key from world position with layer-specific chunk size
    */
@@ -63,9 +207,12 @@ export class ChunkManager {
   }
 
   /**
-   * Get or create chunk data
+   * Get or create chunk data. Chunks outside their layer's boundaries are refused.
    */
   getChunk(chunkKey: ChunkKey): ChunkData {
+    if (!isChunkInBounds(chunkKey)) {
+      throw new Error(`Chunk ${ChunkUtils.toString(chunkKey)} is outside the layer boundaries`);
+    }
     const keyStr = ChunkUtils.toString(chunkKey);
     let chunk = this.chunks.get(keyStr);
     
@@ -74,21 +221,23 @@ export class ChunkManager {
         key: chunkKey,
         entities: new Set(),
         loaded: false,
-        lastAccessed: Date.now(),
+        lastAccessed: this.clock.now(),
         subscriptions: new Map(),
-        lastModified: Date.now(),
+        lastModified: this.clock.now(),
         version: 1,
+        deltas: [],
       };
       this.chunks.set(keyStr, chunk);
     } else {
-      chunk.lastAccessed = Date.now();
+      chunk.lastAccessed = this.clock.now();
     }
     
     return chunk;
   }
 
   /**
-   * Load a chunk (generate entities if needed)
+   * Load a chunk (generate entities if needed). Chunks outside their layer's boundaries
+   * are refused.
    */
   loadChunk(chunkKey: ChunkKey): ChunkData {
     const chunk = this.getChunk(chunkKey);
@@ -128,17 +277,10 @@ export class ChunkManager {
    */
   addEntityToChunk(entityId: EntityId, chunkKey: ChunkKey): void {
     const chunk = this.getChunk(chunkKey);
-    const wasEmpty = chunk.entities.size === 0;
+    if (chunk.entities.has(entityId)) return;
     chunk.entities.add(entityId);
-    this.markChunkModified(chunk);
-    
-    // Emit delta update to subscribers
-    this.emitDelta(chunk, {
-        type: 'entity_add',
-        entityId,
-      contracts: undefined,
-        timestamp: Date.now(),
-    } as any);
+    this.trackEntityChunk(entityId, ChunkUtils.toString(chunkKey), true);
+    this.recordDelta(chunk, 'entity_spawn', entityId);
   }
 
   /**
@@ -149,15 +291,106 @@ export class ChunkManager {
     const chunk = this.chunks.get(keyStr);
     if (chunk && chunk.entities.has(entityId)) {
       chunk.entities.delete(entityId);
-      this.markChunkModified(chunk);
-      
-      // Emit delta update to subscribers
-      this.emitDelta(chunk, {
-        type: 'entity_remove',
-        entityId,
-        contracts: undefined,
-        timestamp: Date.now(),
-      } as any);
+      this.trackEntityChunk(entityId, keyStr, false);
+      this.recordDelta(chunk, 'entity_despawn', entityId);
+    }
+  }
+
+  /**
+   * Record that an entity in a chunk changed without entering or leaving it
+   */
+  recordEntityUpdate(entityId: EntityId, chunkKey: ChunkKey): ChunkDelta | undefined {
+    const chunk = this.chunks.get(ChunkUtils.toString(chunkKey));
+    if (!chunk || !chunk.entities.has(entityId)) return undefined;
+    return this.recordDelta(chunk, 'entity_update', entityId);
+  }
+
+  /**
+   * Get the deltas a client at sinceVersion is missing, or undefined when the
+   * ring no longer reaches back that far and a full snapshot is needed
+   */
+  getDeltasSince(chunkKey: ChunkKey, sinceVersion: number): ChunkDelta[] | undefined {
+    const chunk = this.getChunk(chunkKey);
+    if (sinceVersion > chunk.version) return undefined;
+    if (sinceVersion === chunk.version) return [];
+
+    const oldest = chunk.deltas[0];
+    if (!oldest || oldest.version > sinceVersion + 1) return undefined;
+    return chunk.deltas.filter(delta => delta.version > sinceVersion);
+  }
+
+  /**
+   * Listen for deltas recorded on any chunk. Returns a function that removes the listener.
+   */
+  onDelta(listener: ChunkDeltaListener): () => void {
+    this.deltaListeners.add(listener);
+    return () => {
+      this.deltaListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Listen for chunks whose delta ring was cleared, so their subscribers need a fresh
+   * snapshot. Returns a function that removes the listener.
+   */
+  onResync(listener: ChunkResyncListener): () => void {
+    this.resyncListeners.add(listener);
+    return () => {
+      this.resyncListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Listen for solid grid changes on any chunk. Returns a function that removes the listener.
+   */
+  onSolidGridChange(listener: SolidGridListener): () => void {
+    this.solidGridListeners.add(listener);
+    return () => {
+      this.solidGridListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Bump the chunk version, append the delta to its ring and notify subscribers
+   */
+  private recordDelta(chunk: ChunkData, type: ChunkDelta['type'], entityId: EntityId): ChunkDelta {
+    chunk.lastModified = this.clock.now();
+    chunk.version++;
+
+    const delta: ChunkDelta = {
+      type,
+      entityId,
+      version: chunk.version,
+      timestamp: chunk.lastModified,
+    };
+    chunk.deltas.push(delta);
+    if (chunk.deltas.length > this.maxDeltaHistory) {
+      chunk.deltas.splice(0, chunk.deltas.length - this.maxDeltaHistory);
+    }
+
+    this.emitDelta(chunk, delta);
+    for (const listener of this.deltaListeners) {
+      listener(chunk.key, delta);
+    }
+    return delta;
+  }
+
+  /**
+   * Mirror chunk membership changes into the entity -> chunk index
+   */
+  private trackEntityChunk(entityId: EntityId, keyStr: string, present: boolean): void {
+    let keys = this.entityChunks.get(entityId);
+    if (present) {
+      if (!keys) {
+        keys = new Set();
+        this.entityChunks.set(entityId, keys);
+      }
+      keys.add(keyStr);
+    } else if (keys) {
+      keys.delete(keyStr);
+      if (keys.size === 0) {
+        this.entityChunks.delete(entityId);
+      }
     }
   }
 
@@ -177,8 +410,8 @@ export class ChunkManager {
    * Get all entities in a chunk
    */
   getEntitiesInChunk(chunkKey: ChunkKey): EntityId[] {
-    const chunk = this.getChunk(chunkKey);
-    return Array.from(chunk.entities);
+    const chunk = this.chunks.get(ChunkUtils.toString(chunkKey));
+    return chunk ? Array.from(chunk.entities) : [];
   }
 
   /**
@@ -207,7 +440,7 @@ export class ChunkManager {
     const subscription: ChunkSubscription = {
       ws,
       playerId,
-      lastUpdate: Date.now(),
+      lastUpdate: this.clock.now(),
     };
     
     chunk.subscriptions.set(ws, subscription);
@@ -261,7 +494,7 @@ export class ChunkManager {
       chunkKey: chunk.key,
       entities,
       version: chunk.version,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
     };
 
     ws.send(JSON.stringify(message));
@@ -270,19 +503,16 @@ export class ChunkManager {
   /**
    * Emit delta updates to all subscribers of a chunk
    */
-  emitDelta(chunk: ChunkData, delta: {
-    type: 'entity_add' | 'entity_remove' | 'entity_update';
-    entityId: EntityId;
-    contracts?: any[];
-    timestamp: number;
-  }): void {
+  emitDelta(chunk: ChunkData, delta: ChunkDelta): void {
     if (chunk.subscriptions.size === 0) return;
 
+    const contracts =
+      delta.type === 'entity_despawn' ? undefined : this.ecsWorld.getContracts(delta.entityId);
     const message = {
       type: 'chunk_delta',
       chunkKey: chunk.key,
-      delta,
-      version: chunk.version,
+      delta: { type: delta.type, entityId: delta.entityId, contracts, timestamp: delta.timestamp },
+      version: delta.version,
     };
 
     const messageStr = JSON.stringify(message);
@@ -290,17 +520,23 @@ export class ChunkManager {
     for (const [ws, subscription] of chunk.subscriptions) {
       if (ws.readyState === ws.OPEN) {
         ws.send(messageStr);
-        subscription.lastUpdate = Date.now();
+        subscription.lastUpdate = this.clock.now();
       }
     }
   }
 
   /**
-   * Mark a chunk as modified and increment version
+   * Mark a chunk as modified by a change the delta ring cannot describe (e.g. terrain).
+   * The ring is cleared so clients behind this version resync from a snapshot, and resync
+   * listeners are told so live subscribers can be sent one.
    */
   private markChunkModified(chunk: ChunkData): void {
-    chunk.lastModified = Date.now();
+    chunk.lastModified = this.clock.now();
     chunk.version++;
+    chunk.deltas = [];
+    for (const listener of this.resyncListeners) {
+      listener(chunk.key);
+    }
   }
 
   /**
@@ -314,6 +550,16 @@ export class ChunkManager {
       depth: resolution,
       data: new Uint8Array(size),
     };
+    const origin = this.chunkOrigin(chunk.key);
+    const voxel = this.voxelSize(chunk.key, chunk.solidGrid);
+    this.notifySolidGrid(chunk.key, {
+      min: origin,
+      max: Vec3Utils.add(origin, {
+        x: voxel.x * resolution,
+        y: voxel.y * resolution,
+        z: voxel.z * resolution,
+      }),
+    });
     // Notify dev visualizer about terrain grid initialization
     const keyStr = ChunkUtils.toString(chunk.key);
     this.devEvents?.publish({
@@ -337,6 +583,13 @@ export class ChunkManager {
     const index = x + y * width + z * width * height;
     chunk.solidGrid.data[index] = solid ? 1 : 0;
     this.markChunkModified(chunk);
+    const voxel = this.voxelSize(chunk.key, chunk.solidGrid);
+    const min = Vec3Utils.add(this.chunkOrigin(chunk.key), {
+      x: x * voxel.x,
+      y: y * voxel.y,
+      z: z * voxel.z,
+    });
+    this.notifySolidGrid(chunk.key, { min, max: Vec3Utils.add(min, voxel) });
     // Throttle-free lightweight event (single cell change)
     this.devEvents?.publish({
       type: 'terrain_cell',
@@ -359,6 +612,149 @@ export class ChunkManager {
     return chunk.solidGrid.data[index] === 1;
   }
 
+  /**
+   * First solid grid cell along a normalized ray. Only chunks that already have a grid are
+   * checked; nothing is created or loaded.
+   */
+  raycastSolids(
+    layerId: LayerId,
+    origin: Vec3,
+    direction: Vec3,
+    maxDistance: number
+  ): RaycastHit | undefined {
+    const chunkSize = layerRegistry.getChunkSize(layerId);
+    const chunkCell = { x: chunkSize, y: CHUNK_HEIGHT, z: chunkSize };
+    let hit: RaycastHit | undefined;
+
+    traverseGrid(origin, direction, maxDistance, chunkCell, (cell, enter, exit, entryNormal) => {
+      const chunkKey = ChunkUtils.create(layerId, cell.x, cell.y, cell.z);
+      const chunk = this.chunks.get(ChunkUtils.toString(chunkKey));
+      const grid = chunk?.solidGrid;
+      if (!chunk || !grid) return false;
+
+      // Grid cells line up with chunk edges, so the walk continues in world-aligned cells
+      const start = Vec3Utils.add(origin, Vec3Utils.multiply(direction, enter));
+      const voxel = this.voxelSize(chunkKey, grid);
+      traverseGrid(start, direction, exit - enter, voxel, (v, voxelEnter, _exit, normal) => {
+        const x = v.x - cell.x * grid.width;
+        const y = v.y - cell.y * grid.height;
+        const z = v.z - cell.z * grid.depth;
+        if (!this.isSolid(chunk, x, y, z)) return false;
+        hit = {
+          voxel: { chunkKey, x, y, z },
+          point: Vec3Utils.add(start, Vec3Utils.multiply(direction, voxelEnter)),
+          normal: voxelEnter === 0 ? entryNormal : normal,
+          distance: enter + voxelEnter,
+        };
+        return true;
+      });
+      return hit !== undefined;
+    });
+    return hit;
+  }
+
+  /**
+   * Whether the bounds overlap any solid grid cell on the layer. Touching a cell does not
+   * count. Only chunks that already have a grid are checked.
+   */
+  overlapsSolid(layerId: LayerId, bounds: AABB): boolean {
+    return this.visitSolidCells(layerId, bounds, () => true);
+  }
+
+  /**
+   * World bounds of every solid grid cell the bounds overlap, for sweeping against. Only
+   * chunks that already have a grid are checked.
+   */
+  getSolidCells(layerId: LayerId, bounds: AABB): AABB[] {
+    const cells: AABB[] = [];
+    this.visitSolidCells(layerId, bounds, cell => {
+      cells.push(cell);
+    });
+    return cells;
+  }
+
+  /**
+   * Call `visit` with the world bounds of each solid grid cell overlapping `bounds` until it
+   * returns true. Returns whether it did.
+   */
+  private visitSolidCells(
+    layerId: LayerId,
+    bounds: AABB,
+    visit: (cell: AABB) => boolean | void
+  ): boolean {
+    const chunkSize = layerRegistry.getChunkSize(layerId);
+    const size = { x: chunkSize, y: CHUNK_HEIGHT, z: chunkSize };
+    const axes = ['x', 'y', 'z'] as const;
+    const first = { x: 0, y: 0, z: 0 };
+    const last = { x: 0, y: 0, z: 0 };
+    for (const axis of axes) {
+      first[axis] = Math.floor(bounds.min[axis] / size[axis]);
+      last[axis] = Math.ceil(bounds.max[axis] / size[axis]) - 1;
+    }
+
+    for (let cx = first.x; cx <= last.x; cx++) {
+      for (let cy = first.y; cy <= last.y; cy++) {
+        for (let cz = first.z; cz <= last.z; cz++) {
+          const chunkKey = ChunkUtils.create(layerId, cx, cy, cz);
+          const chunk = this.chunks.get(ChunkUtils.toString(chunkKey));
+          const grid = chunk?.solidGrid;
+          if (!chunk || !grid) continue;
+
+          const origin = this.chunkOrigin(chunkKey);
+          const voxel = this.voxelSize(chunkKey, grid);
+          const extent = { x: grid.width, y: grid.height, z: grid.depth };
+          const from = { x: 0, y: 0, z: 0 };
+          const to = { x: 0, y: 0, z: 0 };
+          for (const axis of axes) {
+            const local = (value: number) => (value - origin[axis]) / voxel[axis];
+            from[axis] = Math.max(0, Math.floor(local(bounds.min[axis])));
+            to[axis] = Math.min(extent[axis], Math.ceil(local(bounds.max[axis])));
+          }
+          for (let x = from.x; x < to.x; x++) {
+            for (let y = from.y; y < to.y; y++) {
+              for (let z = from.z; z < to.z; z++) {
+                if (!this.isSolid(chunk, x, y, z)) continue;
+                const min = Vec3Utils.add(origin, {
+                  x: x * voxel.x,
+                  y: y * voxel.y,
+                  z: z * voxel.z,
+                });
+                if (visit({ min, max: Vec3Utils.add(min, voxel) })) return true;
+              }
+            }
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * World position of a chunk's minimum corner
+   */
+  private chunkOrigin(chunkKey: ChunkKey): Vec3 {
+    const chunkSize = layerRegistry.getChunkSize(chunkKey.layerId);
+    return {
+      x: chunkKey.cx * chunkSize,
+      y: chunkKey.cy * CHUNK_HEIGHT,
+      z: chunkKey.cz * chunkSize,
+    };
+  }
+
+  /**
+   * World size of one solid grid cell; grids span the whole chunk
+   */
+  private voxelSize(chunkKey: ChunkKey, grid: SolidGrid): Vec3 {
+    const chunkSize = layerRegistry.getChunkSize(chunkKey.layerId);
+    return { x: chunkSize / grid.width, y: CHUNK_HEIGHT / grid.height, z: chunkSize / grid.depth };
+  }
+
+  private notifySolidGrid(chunkKey: ChunkKey, bounds: AABB): void {
+    for (const listener of this.solidGridListeners) {
+      listener(chunkKey, bounds);
+    }
+  }
+
   /**
    * Generate content for a chunk (enhanced implementation)
    */
@@ -393,9 +789,7 @@ export class ChunkManager {
         { type: 'visual', color: '#8B4513', visible: true } as any,
         { type: 'solidity', solid: true } as any,
       ]);
-      
-      chunk.entities.add(entityId);
-      this.markChunkModified(chunk);
+      // Chunk membership is picked up by the mobility hook (see setupEntityIndexing)
       
       // Set solid grid data for the block
       const gridRes = chunk.solidGrid?.width || 16;
@@ -433,7 +827,7 @@ export class ChunkManager {
    * Unload chunks that haven't been accessed recently
    */
   private cleanupOldChunks(): void {
-    const now = Date.now();
+    const now = this.clock.now();
 
     // 1) If over the loaded limit, unload the stalest loaded chunks
     if (this.loadedChunks.size > this.maxLoadedChunks) {
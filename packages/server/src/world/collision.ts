@@ -0,0 +1,359 @@
+import type { AABB, Shape, Vec3 } from '@worldhost/shared';
+import { Vec3Utils } from '@worldhost/shared';
+
+type Axis = 'x' | 'y' | 'z';
+const AXES: Axis[] = ['x', 'y', 'z'];
+const ZERO: Vec3 = { x: 0, y: 0, z: 0 };
+
+/**
+ * A shape placed in the world. Spheres and cylinders are fitted inside the shape bounds;
+ * cylinders stand upright along y. `mesh` collides as its bounds.
+ */
+export type Collider =
+  | { kind: 'box'; bounds: AABB }
+  | { kind: 'sphere'; center: Vec3; radius: number }
+  | { kind: 'cylinder'; center: Vec3; radius: number; halfHeight: number };
+
+export interface SweepHit {
+  // Fraction of the displacement travelled before contact, in [0, 1]
+  t: number;
+  // Surface normal of the obstacle at the contact, pointing back at the mover
+  normal: Vec3;
+}
+
+// Convex pieces a Minkowski sum is built from; cylinders run along `axis`
+type Solid =
+  | { kind: 'box'; bounds: AABB }
+  | { kind: 'sphere'; center: Vec3; radius: number }
+  | { kind: 'cylinder'; axis: Axis; center: Vec3; radius: number; min: number; max: number };
+
+export function toCollider(shape: Shape, position: Vec3): Collider {
+  const bounds: AABB = {
+    min: Vec3Utils.add(shape.bounds.min, position),
+    max: Vec3Utils.add(shape.bounds.max, position),
+  };
+  const center = Vec3Utils.multiply(Vec3Utils.add(bounds.min, bounds.max), 0.5);
+  const half = Vec3Utils.multiply(Vec3Utils.subtract(bounds.max, bounds.min), 0.5);
+
+  switch (shape.geometry) {
+    case 'sphere':
+      return { kind: 'sphere', center, radius: Math.min(half.x, half.y, half.z) };
+    case 'cylinder':
+      return { kind: 'cylinder', center, radius: Math.min(half.x, half.z), halfHeight: half.y };
+    default:
+      return { kind: 'box', bounds };
+  }
+}
+
+export function colliderCenter(collider: Collider): Vec3 {
+  return collider.kind === 'box'
+    ? Vec3Utils.multiply(Vec3Utils.add(collider.bounds.min, collider.bounds.max), 0.5)
+    : collider.center;
+}
+
+/**
+ * Sweep `moving` by `displacement` against the static `other`. Returns the first contact,
+ * or null when they never touch. A mover that starts overlapping hits at t = 0.
+ */
+export function sweepCollider(
+  moving: Collider,
+  displacement: Vec3,
+  other: Collider
+): SweepHit | null {
+  const start = colliderCenter(moving);
+  const end = Vec3Utils.add(start, displacement);
+
+  // Box pairs keep the plain slab test, including its zero normal when starting inside
+  if (moving.kind === 'box' && other.kind === 'box') {
+    const sweep = intersectSegmentAABB(
+      start,
+      end,
+      expand(other.bounds, halfExtents(moving.bounds))
+    );
+    return sweep.hit ? { t: sweep.t, normal: sweep.normal } : null;
+  }
+
+  let closest: SweepHit | null = null;
+  for (const solid of minkowski(moving, other)) {
+    const hit = intersectSegmentSolid(start, end, solid);
+    if (hit && (!closest || hit.t < closest.t)) closest = hit;
+  }
+  if (closest?.t === 0) {
+    // Overlapping from the start: push out from the other shape's center
+    closest.normal = Vec3Utils.normalize(Vec3Utils.subtract(start, colliderCenter(other)));
+  }
+  return closest;
+}
+
+/**
+ * Where a segment first touches a collider, as the sweep of a point
+ */
+export function raycastCollider(start: Vec3, end: Vec3, collider: Collider): SweepHit | null {
+  const point: Collider = { kind: 'box', bounds: { min: start, max: start } };
+  return sweepCollider(point, Vec3Utils.subtract(end, start), collider);
+}
+
+/**
+ * The region the mover's center cannot enter without touching `other`, as convex pieces
+ */
+function minkowski(moving: Collider, other: Collider): Solid[] {
+  // Cylinder-sphere pairs collide as cylinder-box against the sphere's bounds
+  if (moving.kind === 'cylinder' && other.kind === 'sphere')
+    return minkowski(moving, sphereBox(other));
+  if (moving.kind === 'sphere' && other.kind === 'cylinder')
+    return minkowski(sphereBox(moving), other);
+
+  if (moving.kind === 'box' && other.kind === 'box') {
+    return [{ kind: 'box', bounds: expand(other.bounds, halfExtents(moving.bounds)) }];
+  }
+  if (moving.kind === 'sphere' && other.kind === 'sphere') {
+    return [{ kind: 'sphere', center: other.center, radius: other.radius + moving.radius }];
+  }
+  if (moving.kind === 'sphere' && other.kind === 'box') {
+    return roundedBox(other.bounds, moving.radius);
+  }
+  if (moving.kind === 'box' && other.kind === 'sphere') {
+    return roundedBox(around(other.center, halfExtents(moving.bounds)), other.radius);
+  }
+  if (moving.kind === 'cylinder' && other.kind === 'box') {
+    const grown = expand(other.bounds, { x: 0, y: moving.halfHeight, z: 0 });
+    return roundedRect(grown, moving.radius);
+  }
+  if (moving.kind === 'box' && other.kind === 'cylinder') {
+    const half = halfExtents(moving.bounds);
+    const grown = around(other.center, { ...half, y: half.y + other.halfHeight });
+    return roundedRect(grown, other.radius);
+  }
+  if (moving.kind === 'cylinder' && other.kind === 'cylinder') {
+    const halfHeight = moving.halfHeight + other.halfHeight;
+    return [
+      {
+        kind: 'cylinder',
+        axis: 'y',
+        center: other.center,
+        radius: moving.radius + other.radius,
+        min: other.center.y - halfHeight,
+        max: other.center.y + halfHeight,
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * A box grown by `radius` with rounded edges and corners: three slabs, twelve edge
+ * cylinders and eight corner spheres
+ */
+function roundedBox(bounds: AABB, radius: number): Solid[] {
+  const solids: Solid[] = AXES.map(axis => ({
+    kind: 'box',
+    bounds: expand(bounds, { ...ZERO, [axis]: radius }),
+  }));
+
+  for (const axis of AXES) {
+    const [p, q] = across(axis);
+    for (const pv of [bounds.min[p], bounds.max[p]]) {
+      for (const qv of [bounds.min[q], bounds.max[q]]) {
+        solids.push({
+          kind: 'cylinder',
+          axis,
+          center: { ...ZERO, [p]: pv, [q]: qv },
+          radius,
+          min: bounds.min[axis],
+          max: bounds.max[axis],
+        });
+      }
+    }
+  }
+
+  for (const x of [bounds.min.x, bounds.max.x]) {
+    for (const y of [bounds.min.y, bounds.max.y]) {
+      for (const z of [bounds.min.z, bounds.max.z]) {
+        solids.push({ kind: 'sphere', center: { x, y, z }, radius });
+      }
+    }
+  }
+  return solids;
+}
+
+/**
+ * A box grown by `radius` in x and z with rounded vertical edges
+ */
+function roundedRect(bounds: AABB, radius: number): Solid[] {
+  const solids: Solid[] = [
+    { kind: 'box', bounds: expand(bounds, { x: radius, y: 0, z: 0 }) },
+    { kind: 'box', bounds: expand(bounds, { x: 0, y: 0, z: radius }) },
+  ];
+  for (const x of [bounds.min.x, bounds.max.x]) {
+    for (const z of [bounds.min.z, bounds.max.z]) {
+      solids.push({
+        kind: 'cylinder',
+        axis: 'y',
+        center: { x, y: 0, z },
+        radius,
+        min: bounds.min.y,
+        max: bounds.max.y,
+      });
+    }
+  }
+  return solids;
+}
+
+function intersectSegmentSolid(start: Vec3, end: Vec3, solid: Solid): SweepHit | null {
+  if (solid.kind === 'box') {
+    const sweep = intersectSegmentAABB(start, end, solid.bounds);
+    return sweep.hit ? { t: sweep.t, normal: sweep.normal } : null;
+  }
+  if (solid.kind === 'sphere')
+    return intersectSegmentSphere(start, end, solid.center, solid.radius);
+  return intersectSegmentCylinder(start, end, solid);
+}
+
+function intersectSegmentSphere(
+  start: Vec3,
+  end: Vec3,
+  center: Vec3,
+  radius: number
+): SweepHit | null {
+  const dir = Vec3Utils.subtract(end, start);
+  const offset = Vec3Utils.subtract(start, center);
+  const c = dot(offset, offset) - radius * radius;
+  if (c <= 0) return { t: 0, normal: Vec3Utils.normalize(offset) };
+
+  const a = dot(dir, dir);
+  const b = 2 * dot(offset, dir);
+  const discriminant = b * b - 4 * a * c;
+  if (a < 1e-12 || discriminant < 0) return null;
+
+  const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+  if (t < 0 || t > 1) return null;
+  const contact = Vec3Utils.add(start, Vec3Utils.multiply(dir, t));
+  return { t, normal: Vec3Utils.normalize(Vec3Utils.subtract(contact, center)) };
+}
+
+/**
+ * Segment against a solid (capped) cylinder, as the overlap of the infinite cylinder's
+ * interval and the slab between the caps
+ */
+function intersectSegmentCylinder(
+  start: Vec3,
+  end: Vec3,
+  cylinder: Extract<Solid, { kind: 'cylinder' }>
+): SweepHit | null {
+  const { axis, center, radius } = cylinder;
+  const [p, q] = across(axis);
+  const dir = Vec3Utils.subtract(end, start);
+
+  // Side: solve |(start + t * dir) - center| = radius in the plane across the axis
+  let sideEnter = -Infinity;
+  let sideExit = Infinity;
+  const ep = start[p] - center[p];
+  const eq = start[q] - center[q];
+  const a = dir[p] * dir[p] + dir[q] * dir[q];
+  const c = ep * ep + eq * eq - radius * radius;
+  if (a < 1e-12) {
+    if (c > 0) return null;
+  } else {
+    const b = 2 * (ep * dir[p] + eq * dir[q]);
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+    sideEnter = (-b - Math.sqrt(discriminant)) / (2 * a);
+    sideExit = (-b + Math.sqrt(discriminant)) / (2 * a);
+  }
+
+  // Caps: the slab along the axis
+  let capEnter = -Infinity;
+  let capExit = Infinity;
+  if (Math.abs(dir[axis]) < 1e-9) {
+    if (start[axis] < cylinder.min || start[axis] > cylinder.max) return null;
+  } else {
+    const t1 = (cylinder.min - start[axis]) / dir[axis];
+    const t2 = (cylinder.max - start[axis]) / dir[axis];
+    capEnter = Math.min(t1, t2);
+    capExit = Math.max(t1, t2);
+  }
+
+  const enter = Math.max(sideEnter, capEnter, 0);
+  const exit = Math.min(sideExit, capExit, 1);
+  if (enter > exit) return null;
+  if (enter === 0) return { t: 0, normal: ZERO };
+
+  if (sideEnter >= capEnter) {
+    const contact = Vec3Utils.add(start, Vec3Utils.multiply(dir, enter));
+    const radial = { ...ZERO, [p]: contact[p] - center[p], [q]: contact[q] - center[q] };
+    return { t: enter, normal: Vec3Utils.normalize(radial) };
+  }
+  return { t: enter, normal: { ...ZERO, [axis]: dir[axis] > 0 ? -1 : 1 } };
+}
+
+/**
+ * Segment-vs-AABB intersection using the slab method. Returns entry t in [0,1] and surface normal.
+ */
+export function intersectSegmentAABB(
+  start: Vec3,
+  end: Vec3,
+  aabb: AABB
+): { hit: boolean; t: number; normal: Vec3 } {
+  const dir = Vec3Utils.subtract(end, start);
+  let tmin = 0;
+  let tmax = 1;
+  let normal = { x: 0, y: 0, z: 0 };
+
+  for (const axis of AXES) {
+    const s = start[axis];
+    const d = dir[axis];
+    const min = aabb.min[axis];
+    const max = aabb.max[axis];
+    if (Math.abs(d) < 1e-9) {
+      if (s < min || s > max) {
+        return { hit: false, t: 1, normal: { x: 0, y: 0, z: 0 } };
+      }
+      continue;
+    }
+    let t1 = (min - s) / d;
+    let t2 = (max - s) / d;
+    if (t1 > t2) {
+      const tmp = t1;
+      t1 = t2;
+      t2 = tmp;
+    }
+    if (t1 > tmin) {
+      tmin = t1;
+      // The entry face faces against the direction of travel
+      normal = { x: 0, y: 0, z: 0 };
+      normal[axis] = d > 0 ? -1 : 1;
+    }
+    tmax = Math.min(tmax, t2);
+    if (tmax < tmin) {
+      return { hit: false, t: 1, normal: { x: 0, y: 0, z: 0 } };
+    }
+  }
+  return { hit: tmin >= 0 && tmin <= 1, t: tmin, normal };
+}
+
+// The two axes perpendicular to `axis`
+function across(axis: Axis): [Axis, Axis] {
+  if (axis === 'x') return ['y', 'z'];
+  return axis === 'y' ? ['x', 'z'] : ['x', 'y'];
+}
+
+export function dot(a: Vec3, b: Vec3): number {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function halfExtents(bounds: AABB): Vec3 {
+  return Vec3Utils.multiply(Vec3Utils.subtract(bounds.max, bounds.min), 0.5);
+}
+
+function expand(bounds: AABB, by: Vec3): AABB {
+  return { min: Vec3Utils.subtract(bounds.min, by), max: Vec3Utils.add(bounds.max, by) };
+}
+
+function around(center: Vec3, half: Vec3): AABB {
+  return { min: Vec3Utils.subtract(center, half), max: Vec3Utils.add(center, half) };
+}
+
+function sphereBox(sphere: Extract<Collider, { kind: 'sphere' }>): Collider {
+  const half = { x: sphere.radius, y: sphere.radius, z: sphere.radius };
+  return { kind: 'box', bounds: around(sphere.center, half) };
+}
@@ -6,9 +6,11 @@ import type {
   Visual, 
   Entrance, 
   Mobility, 
+  Kinematic,
   Portable, 
   Inventory, 
   Durability,
+  Resistances,
   Identity,
   Vec3,
   AABB,
@@ -25,6 +27,7 @@ import { z } from 'zod';
 export const CONTRACT_TYPES = {
   IDENTITY: 'identity',
   MOBILITY: 'mobility', 
+  KINEMATIC: 'kinematic',
   SHAPE: 'shape',
   VISUAL: 'visual',
   SOLIDITY: 'solidity',
@@ -32,6 +35,7 @@ export const CONTRACT_TYPES = {
   PORTABLE: 'portable',
   INVENTORY: 'inventory',
   DURABILITY: 'durability',
+  RESISTANCES: 'resistances',
   CONTRACT_LIMIT: 'contract_limit',
   MOVEMENT_RULES: 'movement_rules',
   WORLD_CONDITIONS: 'world_conditions',
@@ -60,6 +64,7 @@ export const IdentitySchema = z.object({
   id: z.string(),
   name: z.string().optional(),
   description: z.string().optional(),
+  archetype: z.string().optional(),
 });
 
 export const MobilitySchema = z.object({
@@ -70,6 +75,15 @@ export const MobilitySchema = z.object({
   acceleration: z.number().positive().optional(),
 });
 
+export const KinematicSchema = z.object({
+  type: z.literal(CONTRACT_TYPES.KINEMATIC),
+  path: z.array(Vec3Schema).optional(),
+  speed: z.number().positive().optional(),
+  mode: z.enum(['loop', 'pingpong', 'once']).optional(),
+  waypoint: z.number().int().nonnegative().optional(),
+  reverse: z.boolean().optional(),
+});
+
 export const ShapeSchema = z.object({
   type: z.literal(CONTRACT_TYPES.SHAPE),
   bounds: AABBSchema,
@@ -88,6 +102,7 @@ export const SoliditySchema = z.object({
   type: z.literal(CONTRACT_TYPES.SOLIDITY),
   solid: z.boolean(),
   collisionLayers: z.array(z.string()).optional(),
+  owner: z.string().optional(),
 });
 
 export const EntranceSchema = z.object({
@@ -115,6 +130,7 @@ export const DurabilityObjectSchema = z.object({
   health: z.number().nonnegative(),
   maxHealth: z.number().positive(),
   armor: z.number().nonnegative().optional(),
+  armorFormula: z.string().min(1).optional(),
 });
 
 // Refined durability schema for external validation usage
@@ -123,6 +139,16 @@ export const DurabilitySchema = DurabilityObjectSchema.refine(
   { message: 'Health cannot exceed maxHealth' }
 );
 
+export const ResistancesSchema = z.object({
+  type: z.literal(CONTRACT_TYPES.RESISTANCES),
+  damage: z.record(
+    z.object({
+      multiplier: z.number().nonnegative().optional(),
+      flat: z.number().nonnegative().optional(),
+    })
+  ),
+});
+
 export const ContractLimitSchema = z.object({
   type: z.literal(CONTRACT_TYPES.CONTRACT_LIMIT),
   limits: z.array(z.object({
@@ -136,20 +162,34 @@ export const MovementRulesSchema = z.object({
   stepDistance: z.number().positive(),
   allowDiagonal: z.boolean().optional().default(true),
   diagonalNormalized: z.boolean().optional().default(true),
+  stepHeight: z.number().min(0).optional(),
+  jumpVelocity: z.number().positive().optional(),
+  airControl: z.number().min(0).max(1).optional(),
+  crouchHeight: z.number().positive().optional(),
+  fly: z.boolean().optional(),
 });
 
-export const WorldConditionsSchema = z.object({
-  type: z.literal(CONTRACT_TYPES.WORLD_CONDITIONS),
+export const PhysicsConditionsSchema = z.object({
   gravity: z.number().optional(),
+  terminalVelocity: z.number().max(0).optional(),
+  groundFriction: z.number().min(0).max(1).optional(),
+  airFriction: z.number().min(0).max(1).optional(),
+});
+
+export const WorldConditionsSchema = PhysicsConditionsSchema.extend({
+  type: z.literal(CONTRACT_TYPES.WORLD_CONDITIONS),
   weather: z.enum(['clear','rain','storm','snow']).optional(),
   timeOfDay: z.enum(['day','night','dawn','dusk']).optional(),
   terrainSeed: z.string().optional(),
+  layers: z.record(PhysicsConditionsSchema).optional(),
+  collisionMatrix: z.record(z.record(z.enum(['block', 'trigger', 'ignore']))).optional(),
   properties: z.record(z.any()).optional(),
 });
 
 export const WorldCommandsSchema = z.object({
   type: z.literal(CONTRACT_TYPES.WORLD_COMMANDS),
   commands: z.array(z.string()),
+  guest: z.array(z.string()).optional(),
 });
 
 export const CommandAccessSchema = z.object({
@@ -161,6 +201,7 @@ export const CommandAccessSchema = z.object({
 export const AnyContractSchema = z.discriminatedUnion('type', [
   IdentitySchema,
   MobilitySchema,
+  KinematicSchema,
   ShapeSchema,
   VisualSchema,
   SoliditySchema,
@@ -169,6 +210,7 @@ export const AnyContractSchema = z.discriminatedUnion('type', [
   InventorySchema,
   // Use base object here (ZodObject required by discriminatedUnion)
   DurabilityObjectSchema,
+  ResistancesSchema,
   ContractLimitSchema,
   MovementRulesSchema,
   WorldConditionsSchema,
@@ -192,6 +234,7 @@ export class ContractRegistry {
   private initializeSchemas(): void {
     this.schemas.set(CONTRACT_TYPES.IDENTITY, IdentitySchema);
     this.schemas.set(CONTRACT_TYPES.MOBILITY, MobilitySchema);
+    this.schemas.set(CONTRACT_TYPES.KINEMATIC, KinematicSchema);
     this.schemas.set(CONTRACT_TYPES.SHAPE, ShapeSchema);
     this.schemas.set(CONTRACT_TYPES.VISUAL, VisualSchema);
     this.schemas.set(CONTRACT_TYPES.SOLIDITY, SoliditySchema);
@@ -199,6 +242,7 @@ export class ContractRegistry {
     this.schemas.set(CONTRACT_TYPES.PORTABLE, PortableSchema);
     this.schemas.set(CONTRACT_TYPES.INVENTORY, InventorySchema);
     this.schemas.set(CONTRACT_TYPES.DURABILITY, DurabilitySchema);
+    this.schemas.set(CONTRACT_TYPES.RESISTANCES, ResistancesSchema);
     this.schemas.set(CONTRACT_TYPES.CONTRACT_LIMIT, ContractLimitSchema);
     this.schemas.set(CONTRACT_TYPES.MOVEMENT_RULES, MovementRulesSchema);
     this.schemas.set(CONTRACT_TYPES.WORLD_CONDITIONS, WorldConditionsSchema);
@@ -212,11 +256,13 @@ export class ContractRegistry {
     // Some contracts should typically be limited to 1
     this.globalLimits.set(CONTRACT_TYPES.IDENTITY, 1);
     this.globalLimits.set(CONTRACT_TYPES.MOBILITY, 1);
+    this.globalLimits.set(CONTRACT_TYPES.KINEMATIC, 1);
     this.globalLimits.set(CONTRACT_TYPES.SHAPE, 1);
     this.globalLimits.set(CONTRACT_TYPES.VISUAL, 1);
     this.globalLimits.set(CONTRACT_TYPES.SOLIDITY, 1);
     this.globalLimits.set(CONTRACT_TYPES.INVENTORY, 1);
     this.globalLimits.set(CONTRACT_TYPES.DURABILITY, 1);
+    this.globalLimits.set(CONTRACT_TYPES.RESISTANCES, 1);
     this.globalLimits.set(CONTRACT_TYPES.CONTRACT_LIMIT, 1);
     // ENTRANCE and PORTABLE can have multiple, but default to 1 to ensure replacement semantics in simple worlds/tests
     this.globalLimits.set(CONTRACT_TYPES.ENTRANCE, 1);
@@ -348,6 +394,25 @@ export function createMobility(
   };
 }
 
+/**
+ * Kinematic body following `path` at `speed`; with no path it keeps its mobility velocity
+ */
+export function createKinematic(
+  path?: Vec3[],
+  speed?: number,
+  mode?: 'loop' | 'pingpong' | 'once',
+  progress: Pick<Kinematic, 'waypoint' | 'reverse'> = {}
+): Kinematic {
+  return {
+    type: 'kinematic',
+    path,
+    speed,
+    mode,
+    waypoint: progress.waypoint,
+    reverse: progress.reverse,
+  };
+}
+
 export function createShape(
   bounds: AABB,
   geometry: 'box' | 'sphere' | 'cylinder' | 'mesh' = 'box'
@@ -359,6 +424,12 @@ export function createShape(
   };
 }
 
+// Shape bounds are relative to the entity's mobility position, so templates center on the origin
+export const ORIGIN: Vec3 = { x: 0, y: 0, z: 0 };
+
+/**
+ * Box bounds of the given size around `center`, in entity-local coordinates
+ */
 export function createBoxShape(center: Vec3, size: Vec3): Shape {
   const halfSize = { x: size.x / 2, y: size.y / 2, z: size.z / 2 };
   return createShape({
@@ -390,14 +461,34 @@ export function createSphereShape(center: Vec3, radius: number): Shape {
   }, 'sphere');
 }
 
+/**
+ * Upright cylinder (along y) of the given radius and height around `center`
+ */
+export function createCylinderShape(center: Vec3, radius: number, height: number): Shape {
+  return createShape({
+    min: {
+      x: center.x - radius,
+      y: center.y - height / 2,
+      z: center.z - radius,
+    },
+    max: {
+      x: center.x + radius,
+      y: center.y + height / 2,
+      z: center.z + radius,
+    },
+  }, 'cylinder');
+}
+
 export function createSolidity(
   solid: boolean = true,
-  collisionLayers?: string[]
+  collisionLayers?: string[],
+  owner?: EntityId
 ): Solidity {
   return {
     type: 'solidity',
     solid,
     collisionLayers,
+    owner,
   };
 }
 
@@ -454,13 +545,25 @@ export function createInventory(
 export function createDurability(
   maxHealth: number,
   health?: number,
-  armor?: number
+  armor?: number,
+  armorFormula?: string
 ): Durability {
   return {
     type: 'durability',
     health: health ?? maxHealth,
     maxHealth,
     armor,
+    armorFormula,
+  };
+}
+
+/**
+ * Resistances keyed by damage type, e.g. `{ fire: { multiplier: 0.5 }, fall: { flat: 5 } }`
+ */
+export function createResistances(damage: Resistances['damage'] = {}): Resistances {
+  return {
+    type: 'resistances',
+    damage: { ...damage },
   };
 }
 
@@ -476,12 +579,12 @@ export function createPlayerContracts(
   return [
     createIdentity(playerId, playerName, 'A player entity'),
     createMobility(spawnPosition, undefined, 5, 10),
-    createBoxShape(spawnPosition, { x: 0.6, y: 1.8, z: 0.6 }),
+    createBoxShape(ORIGIN, { x: 0.6, y: 1.8, z: 0.6 }),
     createVisual(true, '#00ff00'),
     createInventory(10),
     createDurability(100),
-    createMovementRules(1, true, true),
-    createCommandAccess(['login','logout','set_view','move_dir']),
+    createMovementRules(1, true, true, 0.5, { jumpVelocity: 5, crouchHeight: 1.2 }),
+    createCommandAccess(['login','logout','set_view','move_dir','chat','raycast','move_to','jump','crouch','fly_dir']),
     // Players can have multiple entrance and portable contracts
     createContractLimit([
       { contractType: CONTRACT_TYPES.ENTRANCE, max: 5 },
@@ -498,13 +601,25 @@ export function createBlockContracts(
   return [
     createIdentity(blockId, 'Block', 'A solid block'),
     createMobility(position),
-    createBoxShape(position, { x: 1, y: 1, z: 1 }),
+    createBoxShape(ORIGIN, { x: 1, y: 1, z: 1 }),
     createVisual(true, color),
     createSolidity(true),
     createDurability(50),
   ];
 }
 
+/**
+ * A bare solid box: walls, floors and platforms without identity, visuals or durability
+ */
+export function createSolidBoxContracts(
+  position: Vec3,
+  size: Vec3 = { x: 1, y: 1, z: 1 },
+  solidity: Solidity = createSolidity(true),
+  velocity?: Vec3
+): AnyContract[] {
+  return [createMobility(position, velocity), createBoxShape(ORIGIN, size), solidity];
+}
+
 export function createItemContracts(
   itemId: EntityId,
   position: Vec3,
@@ -514,7 +629,7 @@ export function createItemContracts(
   return [
     createIdentity(itemId, itemName, 'A collectible item'),
     createMobility(position),
-    createBoxShape(position, { x: 0.3, y: 0.3, z: 0.3 }),
+    createBoxShape(ORIGIN, { x: 0.3, y: 0.3, z: 0.3 }),
     createVisual(true, color),
     createPortable(true, 1),
   ];
@@ -529,7 +644,7 @@ export function createDoorContracts(
   return [
     createIdentity(doorId, 'Door', 'A portal to another layer'),
     createMobility(position),
-    createBoxShape(position, { x: 1, y: 2, z: 0.1 }),
+    createBoxShape(ORIGIN, { x: 1, y: 2, z: 0.1 }),
     createVisual(true, '#4A90E2'),
     createEntrance(targetLayerId, targetPosition),
     createDurability(25),
@@ -574,6 +689,10 @@ export function sanitizeContract(contract: AnyContract): AnyContract {
         mobility.acceleration
       );
     
+    case 'kinematic':
+      const kinematic = contract as Kinematic;
+      return createKinematic(kinematic.path, kinematic.speed, kinematic.mode, kinematic);
+
     case 'shape':
       const shape = contract as Shape;
       return createShape(shape.bounds, shape.geometry);
@@ -584,7 +703,7 @@ export function sanitizeContract(contract: AnyContract): AnyContract {
     
     case 'solidity':
       const solidity = contract as Solidity;
-      return createSolidity(solidity.solid, solidity.collisionLayers);
+      return createSolidity(solidity.solid, solidity.collisionLayers, solidity.owner);
     
     case 'entrance':
       const entrance = contract as Entrance;
@@ -600,20 +719,42 @@ export function sanitizeContract(contract: AnyContract): AnyContract {
     
     case 'durability':
       const durability = contract as Durability;
-      return createDurability(durability.maxHealth, durability.health, durability.armor);
+      return createDurability(
+        durability.maxHealth,
+        durability.health,
+        durability.armor,
+        durability.armorFormula
+      );
+
+    case 'resistances':
+      const resistances = contract as Resistances;
+      return createResistances(resistances.damage);
       
     case 'contract_limit':
       const limit = contract as ContractLimit;
       return createContractLimit(limit.limits);
     case 'movement_rules':
       const mr = contract as MovementRules;
-      return createMovementRules(mr.stepDistance, mr.allowDiagonal, mr.diagonalNormalized);
+      return createMovementRules(
+        mr.stepDistance,
+        mr.allowDiagonal,
+        mr.diagonalNormalized,
+        mr.stepHeight,
+        mr
+      );
     case 'world_conditions':
       const wc = contract as WorldConditions;
-      return createWorldConditions(wc.gravity, wc.weather as any, wc.timeOfDay as any, wc.terrainSeed, wc.properties);
+      return createWorldConditions(
+        wc.gravity,
+        wc.weather,
+        wc.timeOfDay,
+        wc.terrainSeed,
+        wc.properties,
+        wc
+      );
     case 'world_commands':
       const wcmd = contract as WorldCommands;
-      return createWorldCommands(wcmd.commands);
+      return createWorldCommands(wcmd.commands, wcmd.guest);
     case 'command_access':
       const ca = contract as CommandAccess;
       return createCommandAccess(ca.allowed);
@@ -638,13 +779,20 @@ export function createContractLimit(
 export function createMovementRules(
   stepDistance: number = 1,
   allowDiagonal: boolean = true,
-  diagonalNormalized: boolean = true
+  diagonalNormalized: boolean = true,
+  stepHeight?: number,
+  abilities: Pick<MovementRules, 'jumpVelocity' | 'airControl' | 'crouchHeight' | 'fly'> = {}
 ): MovementRules {
   return {
     type: CONTRACT_TYPES.MOVEMENT_RULES,
     stepDistance,
     allowDiagonal,
     diagonalNormalized,
+    stepHeight,
+    jumpVelocity: abilities.jumpVelocity,
+    airControl: abilities.airControl,
+    crouchHeight: abilities.crouchHeight,
+    fly: abilities.fly,
   };
 }
 
@@ -653,22 +801,32 @@ export function createWorldConditions(
   weather?: 'clear' | 'rain' | 'storm' | 'snow',
   timeOfDay?: 'day' | 'night' | 'dawn' | 'dusk',
   terrainSeed?: string,
-  properties?: Record<string, any>
+  properties?: Record<string, any>,
+  conditions: Pick<
+    WorldConditions,
+    'terminalVelocity' | 'groundFriction' | 'airFriction' | 'layers' | 'collisionMatrix'
+  > = {}
 ): WorldConditions {
   return {
     type: CONTRACT_TYPES.WORLD_CONDITIONS,
     gravity,
+    terminalVelocity: conditions.terminalVelocity,
+    groundFriction: conditions.groundFriction,
+    airFriction: conditions.airFriction,
     weather,
     timeOfDay,
     terrainSeed,
+    layers: conditions.layers,
+    collisionMatrix: conditions.collisionMatrix,
     properties,
   };
 }
 
-export function createWorldCommands(commands: string[]): WorldCommands {
+export function createWorldCommands(commands: string[], guest?: string[]): WorldCommands {
   return {
     type: CONTRACT_TYPES.WORLD_COMMANDS,
     commands,
+    guest,
   };
 }
 
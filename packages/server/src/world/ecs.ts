@@ -109,13 +109,14 @@ export class ECSWorld {
     const contractLimitContract = this.getContract<ContractLimit>(entityId, 'contract_limit');
 
     // Proactively remove existing contracts of the same type if we're at the limit,
-    // so that updates (replacements) don't trigger violations
+    // so that updates (replacements) don't trigger violations. Replacements are reported
+    // through the add hooks only, so remove hooks keep meaning "contract is gone".
     const existingOfSameType = existingContracts.filter(c => c.type === validContract.type);
     const maxAllowed = this.getMaxContractsAllowed(entityId, validContract.type, contractLimitContract);
     while (existingOfSameType.length >= maxAllowed) {
       const oldestContract = existingOfSameType.shift();
       if (oldestContract) {
-        this.removeContractInternal(entityId, oldestContract);
+        this.removeContractInternal(entityId, oldestContract, false);
       }
     }
 
@@ -190,9 +191,9 @@ export class ECSWorld {
   }
 
   /**
-   * Internal method to remove a contract (used by removeEntity and removeContract)
+   * Internal method to remove a contract (used by removeEntity, removeContract and replacement)
    */
-  private removeContractInternal(entityId: EntityId, contract: Contract): boolean {
+  private removeContractInternal(entityId: EntityId, contract: Contract, notify = true): boolean {
     const contracts = this.entities.get(entityId);
     if (!contracts || !contracts.has(contract)) {
       return false;
@@ -211,7 +212,7 @@ export class ECSWorld {
     }
 
     // Trigger contract remove hooks
-    const hooks = this.contractRemoveHooks.get(contract.type);
+    const hooks = notify ? this.contractRemoveHooks.get(contract.type) : undefined;
     if (hooks) {
       for (const hook of hooks) {
         hook(entityId, contract);
@@ -329,7 +330,7 @@ export class ECSWorld {
   }
 
   /**
-   * Register a hook for when contracts are removed
+   * Register a hook for when contracts are removed (not fired when addContract replaces one)
    */
   onContractRemove<T extends Contract>(contractType: T['type'], hook: ContractHook<T>): void {
     let hooks = this.contractRemoveHooks.get(contractType);
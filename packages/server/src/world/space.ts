@@ -6,6 +6,15 @@ import { CHUNK_SIZE as DEFAULT_CHUNK_SIZE, CHUNK_HEIGHT } from '../config.js';
 
 export { DEFAULT_CHUNK_SIZE, CHUNK_HEIGHT };
 
+// What happens at a layer's edges: walls (clamp), looping around on x and z with walls
+// above and below (wrap), or nothing to stand on and removal outside (void)
+export type BoundaryMode = 'clamp' | 'wrap' | 'void';
+
+export interface LayerBoundaries extends AABB {
+  mode?: BoundaryMode; // default 'clamp'
+  onVoid?: 'respawn' | 'destroy'; // void only: back to the layer's spawnPoint (default), or removed
+}
+
 // Layer configuration
 export interface LayerConfig {
   id: LayerId;
@@ -13,8 +22,12 @@ export interface LayerConfig {
   description?: string;
   chunkSize: number;
   gravity: number;
+  // Movement physics beyond gravity; unset values use the server defaults
+  terminalVelocity?: number;
+  groundFriction?: number;
+  airFriction?: number;
   spawnPoint: Vec3;
-  boundaries?: AABB;
+  boundaries?: LayerBoundaries;
   properties: Record<string, any>;
 }
 
@@ -131,6 +144,23 @@ export function chunkToWorldForLayer(layerId: LayerId, cx: number, cy: number, c
   return chunkToWorld(cx, cy, cz, chunkSize);
 }
 
+/**
+ * Whether any part of a chunk lies inside its layer's boundaries; always true on layers
+ * without boundaries
+ */
+export function isChunkInBounds(chunkKey: ChunkKey): boolean {
+  const bounds = layerRegistry.getLayer(chunkKey.layerId)?.boundaries;
+  if (!bounds) return true;
+  const size = layerRegistry.getChunkSize(chunkKey.layerId);
+  const min = chunkToWorld(chunkKey.cx, chunkKey.cy, chunkKey.cz, size);
+  const max = { x: min.x + size, y: min.y + CHUNK_HEIGHT, z: min.z + size };
+  return (
+    min.x < bounds.max.x && max.x > bounds.min.x &&
+    min.y < bounds.max.y && max.y > bounds.min.y &&
+    min.z < bounds.max.z && max.z > bounds.min.z
+  );
+}
+
 /**
  * Get the chunk key for a world position with configurable size
  */
@@ -259,6 +289,52 @@ export function aabbIntersect(a: AABB, b: AABB): boolean {
   );
 }
 
+/**
+ * Walk the cells of a grid a ray passes through, in order (Amanatides-Woo). Cells are
+ * `cellSize` apart from the world origin; `direction` must be normalized. `visit` gets each
+ * cell's integer coordinates, the distances where the ray enters and leaves it, and the normal
+ * of the face it entered through (zero for the starting cell). Return true to stop.
+ */
+export function traverseGrid(
+  origin: Vec3,
+  direction: Vec3,
+  maxDistance: number,
+  cellSize: Vec3,
+  visit: (cell: Vec3, enter: number, exit: number, normal: Vec3) => boolean
+): void {
+  const axes = ['x', 'y', 'z'] as const;
+  const cell = { x: 0, y: 0, z: 0 };
+  const step = { x: 0, y: 0, z: 0 };
+  const next = { x: Infinity, y: Infinity, z: Infinity };
+  const delta = { x: Infinity, y: Infinity, z: Infinity };
+  for (const axis of axes) {
+    cell[axis] = Math.floor(origin[axis] / cellSize[axis]);
+    if (direction[axis] > 0) {
+      step[axis] = 1;
+      next[axis] = ((cell[axis] + 1) * cellSize[axis] - origin[axis]) / direction[axis];
+      delta[axis] = cellSize[axis] / direction[axis];
+    } else if (direction[axis] < 0) {
+      step[axis] = -1;
+      next[axis] = (cell[axis] * cellSize[axis] - origin[axis]) / direction[axis];
+      delta[axis] = -cellSize[axis] / direction[axis];
+    }
+  }
+
+  let enter = 0;
+  let normal = { x: 0, y: 0, z: 0 };
+  while (enter <= maxDistance) {
+    const axis = axes.reduce((a, b) => (next[b] < next[a] ? b : a));
+    if (visit({ ...cell }, enter, Math.min(next[axis], maxDistance), normal)) return;
+    if (next[axis] > maxDistance) return;
+
+    cell[axis] += step[axis];
+    enter = next[axis];
+    next[axis] += delta[axis];
+    normal = { x: 0, y: 0, z: 0 };
+    normal[axis] = -step[axis];
+  }
+}
+
 /**
  * Calculate the distance between two points
  */
@@ -322,8 +398,32 @@ export class SpatialHash {
     return `${x},${y},${z}`;
   }
 
-  add(entityId: EntityId, position: Vec3): void {
-    const key = this.getKey(position);
+  /**
+   * Keys of every cell the bounds overlap
+   */
+  private getKeys(bounds: AABB): string[] {
+    const min = this.getCell(bounds.min);
+    const max = this.getCell(bounds.max);
+    const keys: string[] = [];
+    for (let x = min.x; x <= max.x; x++) {
+      for (let y = min.y; y <= max.y; y++) {
+        for (let z = min.z; z <= max.z; z++) {
+          keys.push(`${x},${y},${z}`);
+        }
+      }
+    }
+    return keys;
+  }
+
+  private getCell(position: Vec3): Vec3 {
+    return {
+      x: Math.floor(position.x / this.cellSize),
+      y: Math.floor(position.y / this.cellSize),
+      z: Math.floor(position.z / this.cellSize),
+    };
+  }
+
+  private addToCell(entityId: EntityId, key: string): void {
     let cell = this.cells.get(key);
     if (!cell) {
       cell = new Set();
@@ -332,8 +432,7 @@ export class SpatialHash {
     cell.add(entityId);
   }
 
-  remove(entityId: EntityId, position: Vec3): void {
-    const key = this.getKey(position);
+  private removeFromCell(entityId: EntityId, key: string): void {
     const cell = this.cells.get(key);
     if (cell) {
       cell.delete(entityId);
@@ -343,6 +442,69 @@ export class SpatialHash {
     }
   }
 
+  add(entityId: EntityId, position: Vec3): void {
+    this.addToCell(entityId, this.getKey(position));
+  }
+
+  remove(entityId: EntityId, position: Vec3): void {
+    this.removeFromCell(entityId, this.getKey(position));
+  }
+
+  /**
+   * Number of cells the bounds overlap
+   */
+  countCells(bounds: AABB): number {
+    const min = this.getCell(bounds.min);
+    const max = this.getCell(bounds.max);
+    return (max.x - min.x + 1) * (max.y - min.y + 1) * (max.z - min.z + 1);
+  }
+
+  /**
+   * Add an entity to every cell its bounds overlap
+   */
+  addBounds(entityId: EntityId, bounds: AABB): void {
+    for (const key of this.getKeys(bounds)) {
+      this.addToCell(entityId, key);
+    }
+  }
+
+  removeBounds(entityId: EntityId, bounds: AABB): void {
+    for (const key of this.getKeys(bounds)) {
+      this.removeFromCell(entityId, key);
+    }
+  }
+
+  /**
+   * Move an entity added with addBounds, touching only the cells that changed
+   */
+  moveBounds(entityId: EntityId, oldBounds: AABB, newBounds: AABB): void {
+    const oldKeys = new Set(this.getKeys(oldBounds));
+    const newKeys = new Set(this.getKeys(newBounds));
+    for (const key of oldKeys) {
+      if (!newKeys.has(key)) this.removeFromCell(entityId, key);
+    }
+    for (const key of newKeys) {
+      if (!oldKeys.has(key)) this.addToCell(entityId, key);
+    }
+  }
+
+  /**
+   * Entities in the cells the bounds overlap. Cells are coarse, so callers still test
+   * the exact bounds.
+   */
+  queryBounds(bounds: AABB): EntityId[] {
+    const entities = new Set<EntityId>();
+    for (const key of this.getKeys(bounds)) {
+      const cell = this.cells.get(key);
+      if (cell) {
+        for (const entityId of cell) {
+          entities.add(entityId);
+        }
+      }
+    }
+    return Array.from(entities);
+  }
+
   move(entityId: EntityId, oldPosition: Vec3, newPosition: Vec3): void {
     const oldKey = this.getKey(oldPosition);
     const newKey = this.getKey(newPosition);
@@ -379,6 +541,21 @@ export class SpatialHash {
     return Array.from(entities);
   }
 
+  /**
+   * Entities in the cells a ray passes through, nearest cells first
+   */
+  queryRay(origin: Vec3, direction: Vec3, maxDistance: number): EntityId[] {
+    const entities = new Set<EntityId>();
+    const size = { x: this.cellSize, y: this.cellSize, z: this.cellSize };
+    traverseGrid(origin, direction, maxDistance, size, cell => {
+      for (const entityId of this.cells.get(`${cell.x},${cell.y},${cell.z}`) ?? []) {
+        entities.add(entityId);
+      }
+      return false;
+    });
+    return Array.from(entities);
+  }
+
   clear(): void {
     this.cells.clear();
   }
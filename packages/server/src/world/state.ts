@@ -2,9 +2,16 @@ import type { EntityId, LayerId, Vec3, ChunkKey, Mobility, Identity, AnyContract
 import { ECSWorld } from './ecs.js';
 import { ChunkUtils } from '@worldhost/shared';
 import { layerRegistry, type LayerConfig } from './space.js';
-import { createPlayerContracts, contractRegistry, createWorldCommands, createWorldConditions } from './contracts.js';
+import {
+  createPlayerContracts,
+  contractRegistry,
+  createWorldCommands,
+  createWorldConditions,
+  createMobility,
+} from './contracts.js';
 import { promises as fs } from 'node:fs';
 import { join } from 'node:path';
+import { SYSTEM_CLOCK, type SimulationClock } from '../simulation.js';
 
 // Archetype definition
 export interface Archetype {
@@ -14,6 +21,8 @@ export interface Archetype {
   contracts: AnyContract[];
   tags: string[];
   created: number;
+  // What the `use` interaction does to entities of this archetype (see InteractionSystem)
+  use?: { behavior: string; params?: Record<string, unknown> };
 }
 
 // World persistence data
@@ -43,6 +52,8 @@ export class WorldState {
   private playerCounter = 0;
   private archetypes = new Map<string, Archetype>();
   private dataDirectory = './data';
+  // Source of time and randomness for generated ids; seeded runs swap in a replayable one
+  private clock: SimulationClock = SYSTEM_CLOCK;
   
   // Entity tracking by layer
   private entitiesByLayer = new Map<LayerId, Set<EntityId>>();
@@ -93,7 +104,7 @@ export class WorldState {
         this.ecsWorld.createEntity(worldId, [
           { type: 'identity', id: worldId, name: 'World', description: 'World container' } as any,
           createWorldConditions(undefined, 'clear', 'day', undefined, {}),
-          createWorldCommands(['login','logout','set_view','move_dir'])
+          createWorldCommands(['login','logout','set_view','move_dir','chat','raycast','move_to','jump','crouch','fly_dir'])
         ]);
       } catch {}
     }
@@ -101,18 +112,12 @@ export class WorldState {
   
   private setupEntityTracking(): void {
     // Track entities by layer using mobility contract
-    this.ecsWorld.onContractAdd('mobility', (entityId, contract) => {
-      const mobility = contract as Mobility;
-      // For now, assume entities belong to 'default' layer
-      // TODO: Add layer tracking to mobility or identity contract
-      const layerId: LayerId = 'default';
-      
-      let layerEntities = this.entitiesByLayer.get(layerId);
-      if (!layerEntities) {
-        layerEntities = new Set();
-        this.entitiesByLayer.set(layerId, layerEntities);
+    this.ecsWorld.onContractAdd('mobility', entityId => {
+      // Entities placed through addPlayer/spawn/loadWorld are tracked before creation;
+      // anything else with a position falls back to the 'default' layer
+      if (this.getEntityLayer(entityId) === undefined) {
+        this.trackEntityInLayer(entityId, 'default');
       }
-      layerEntities.add(entityId);
     });
     
     this.ecsWorld.onContractRemove('mobility', (entityId) => {
@@ -120,6 +125,15 @@ export class WorldState {
     });
   }
   
+  private trackEntityInLayer(entityId: EntityId, layerId: LayerId): void {
+    let layerEntities = this.entitiesByLayer.get(layerId);
+    if (!layerEntities) {
+      layerEntities = new Set();
+      this.entitiesByLayer.set(layerId, layerEntities);
+    }
+    layerEntities.add(entityId);
+  }
+
   private removeEntityFromLayerTracking(entityId: EntityId): void {
     for (const [layerId, entities] of this.entitiesByLayer) {
       if (entities.has(entityId)) {
@@ -247,11 +261,12 @@ export class WorldState {
   }
 
   /**
-   * Add a new player to the world
+   * Add a new player to the world. Pass playerId for a persistent identity
+   * (e.g. an authenticated user); otherwise the next player-N id is used.
    */
-  addPlayer(layerId: LayerId, playerName?: string): EntityId {
+  addPlayer(layerId: LayerId, playerName?: string, playerId?: EntityId): EntityId {
     this.playerCounter++;
-    const playerId = `player-${this.playerCounter}`;
+    playerId = playerId ?? `player-${this.playerCounter}`;
     
     const layer = layerRegistry.getLayer(layerId) || layerRegistry.getDefaultLayer();
     const spawnPosition = layer.spawnPoint;
@@ -263,15 +278,14 @@ export class WorldState {
       spawnPosition
     );
 
-    this.ecsWorld.createEntity(playerId, contracts);
-    
-    // Track in layer
-    let layerEntities = this.entitiesByLayer.get(layerId);
-    if (!layerEntities) {
-      layerEntities = new Set();
-      this.entitiesByLayer.set(layerId, layerEntities);
+    // Track in layer before creation so contract hooks already see the right layer
+    this.trackEntityInLayer(playerId, layerId);
+    try {
+      this.ecsWorld.createEntity(playerId, contracts);
+    } catch (error) {
+      this.removeEntityFromLayerTracking(playerId);
+      throw error;
     }
-    layerEntities.add(playerId);
     
     return playerId;
   }
@@ -346,6 +360,19 @@ export class WorldState {
     return true;
   }
 
+  /**
+   * Put an entity at a position on a layer, moving it between layers if needed.
+   * Entities without mobility (e.g. items held in an inventory) are placed back in the world.
+   */
+  placeEntity(entityId: EntityId, layerId: LayerId, position: Vec3): void {
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    // Re-track first so the chunk index already resolves the new layer when mobility changes
+    this.removeEntityFromLayerTracking(entityId);
+    this.trackEntityInLayer(entityId, layerId);
+    const placed: Mobility = mobility ? { ...mobility, position } : createMobility(position);
+    this.ecsWorld.addContract(entityId, placed);
+  }
+
   /**
    * Get the ECS world instance
    */
@@ -364,7 +391,19 @@ export class WorldState {
    * Create a new layer
    */
   createLayer(config: Omit<LayerConfig, 'id'> & { id?: LayerId }): LayerConfig {
-    return layerRegistry.createLayer(config);
+    const id = config.id || `layer-${this.clock.now()}-${this.randomSuffix()}`;
+    return layerRegistry.createLayer({ ...config, id });
+  }
+
+  /**
+   * Use a different clock for generated ids
+   */
+  setClock(clock: SimulationClock): void {
+    this.clock = clock;
+  }
+
+  private randomSuffix(): string {
+    return this.clock.random().toString(36).substr(2, 9);
   }
   
   /**
@@ -399,7 +438,7 @@ export class WorldState {
     }
     
     // Generate unique entity ID
-    const entityId = `${archetypeId}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const entityId = `${archetypeId}-${this.clock.now()}-${this.randomSuffix()}`;
     
     // Clone and customize contracts
     const contracts: any[] = [];
@@ -407,10 +446,11 @@ export class WorldState {
     for (const contract of archetype.contracts) {
       let customizedContract: any = { ...contract };
       
-      // Set entity ID for identity contracts
+      // Set entity ID for identity contracts, and remember the archetype for `use`
       if (contract.type === 'identity') {
         const c: any = { ...customizedContract };
         c.id = entityId;
+        c.archetype = archetypeId;
         customizedContract = c;
       }
       
@@ -448,28 +488,39 @@ export class WorldState {
       }
     }
     
-    // Special handling for player archetype
-    if (archetypeId === 'player') {
-      // Use the player contract factory instead
-      const playerName = (overrides?.find(o => o.type === 'identity') as any)?.name || 'Player';
-      const playerContracts = createPlayerContracts(entityId, playerName, position);
-      this.ecsWorld.createEntity(entityId, playerContracts);
-    } else {
-      this.ecsWorld.createEntity(entityId, contracts as AnyContract[]);
-    }
-    
-    // Track in layer
-    let layerEntities = this.entitiesByLayer.get(layerId);
-    if (!layerEntities) {
-      layerEntities = new Set();
-      this.entitiesByLayer.set(layerId, layerEntities);
+    // Track in layer before creation so contract hooks already see the right layer
+    this.trackEntityInLayer(entityId, layerId);
+    try {
+      // Special handling for player archetype
+      if (archetypeId === 'player') {
+        // Use the player contract factory instead
+        const playerName = (overrides?.find(o => o.type === 'identity') as any)?.name || 'Player';
+        const playerContracts = createPlayerContracts(entityId, playerName, position);
+        this.ecsWorld.createEntity(entityId, playerContracts);
+      } else {
+        this.ecsWorld.createEntity(entityId, contracts as AnyContract[]);
+      }
+    } catch (error) {
+      this.removeEntityFromLayerTracking(entityId);
+      throw error;
     }
-    layerEntities.add(entityId);
     
     console.log(`🐣 Spawned ${archetype.name} as ${entityId} in layer ${layerId}`);
     return entityId;
   }
   
+  /**
+   * Get the layer an entity is tracked in
+   */
+  getEntityLayer(entityId: EntityId): LayerId | undefined {
+    for (const [layerId, entities] of this.entitiesByLayer) {
+      if (entities.has(entityId)) {
+        return layerId;
+      }
+    }
+    return undefined;
+  }
+
   /**
    * Get entities in a specific layer
    */
@@ -569,16 +620,13 @@ export class WorldState {
     // Restore entities
     for (const entityData of worldData.entities) {
       try {
-        this.ecsWorld.createEntity(entityData.id, entityData.contracts);
-        
         // Track in layer
-        let layerEntities = this.entitiesByLayer.get(entityData.layerId);
-        if (!layerEntities) {
-          layerEntities = new Set();
-          this.entitiesByLayer.set(entityData.layerId, layerEntities);
-        }
-        layerEntities.add(entityData.id);
+        this.trackEntityInLayer(entityData.id, entityData.layerId);
+        this.ecsWorld.createEntity(entityData.id, entityData.contracts);
       } catch (error) {
+        if (!this.ecsWorld.hasEntity(entityData.id)) {
+          this.removeEntityFromLayerTracking(entityData.id);
+        }
         console.warn(`Failed to restore entity ${entityData.id}:`, error);
       }
     }
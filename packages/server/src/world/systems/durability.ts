@@ -1,5 +1,7 @@
-import type { EntityId, Durability, Identity } from '@worldhost/shared';
+import type { EntityId, Durability, Identity, Resistances } from '@worldhost/shared';
 import type { ECSWorld } from '../ecs.js';
+import { SYSTEM_CLOCK } from '../../simulation.js';
+import type { SimulationClock } from '../../simulation.js';
 
 // Default durability for entities without explicit durability contract
 const DEFAULT_DURABILITY: Durability = {
@@ -8,10 +10,36 @@ const DEFAULT_DURABILITY: Durability = {
   maxHealth: 1,
 };
 
+// Damage type used when the caller does not name one
+export const DEFAULT_DAMAGE_TYPE = 'physical';
+
+/**
+ * Damage left after `armor`. Takes the damage that got past resistances; anything below 0
+ * counts as 0.
+ */
+export type ArmorFormula = (damage: number, armor: number) => number;
+
+export const ARMOR_FORMULAS: Record<string, ArmorFormula> = {
+  // Each point of armor blocks one point of damage
+  flat: (damage, armor) => damage - armor,
+  // Each point of armor blocks 1%, up to 75%
+  percentage: (damage, armor) => damage * (1 - Math.min(0.75, armor * 0.01)),
+  // 100 armor halves damage, 200 leaves a third; never fully blocks
+  diminishing: (damage, armor) => (damage * 100) / (100 + armor),
+};
+
+const DEFAULT_ARMOR_FORMULA = 'percentage';
+
 export interface DamageEvent {
   entityId: EntityId;
-  damage: number;
-  damageType?: string;
+  damage: number; // effective damage, after resistances and armor
+  damageType: string;
+  rawDamage: number; // damage before mitigation
+  // How much of rawDamage each stage took away
+  mitigation: {
+    resistance: number;
+    armor: number;
+  };
   source?: EntityId;
   timestamp: number;
 }
@@ -32,8 +60,8 @@ export interface DestroyEvent {
 
 export interface DurabilitySystem {
   update(deltaTime: number): void;
-  applyDamage(entityId: EntityId, amount: number, source?: EntityId): boolean;
-  damage(entityId: EntityId, amount: number, source?: EntityId): boolean;
+  applyDamage(entityId: EntityId, amount: number, source?: EntityId, damageType?: string): boolean;
+  damage(entityId: EntityId, amount: number, source?: EntityId, damageType?: string): boolean;
   heal(entityId: EntityId, amount: number, source?: EntityId): boolean;
   repair(entityId: EntityId): boolean;
   isDestroyed(entityId: EntityId): boolean;
@@ -51,6 +79,9 @@ export class BasicDurabilitySystem implements DurabilitySystem {
   private onDamageHandlers: Array<(event: DamageEvent) => void> = [];
   private onHealHandlers: Array<(event: HealEvent) => void> = [];
   private onDestroyHandlers: Array<(event: DestroyEvent) => void> = [];
+  private armorFormulas = new Map<string, ArmorFormula>(Object.entries(ARMOR_FORMULAS));
+  // Source of event timestamps; seeded runs swap in a replayable one
+  private clock: SimulationClock = SYSTEM_CLOCK;
 
   constructor(ecsWorld: ECSWorld) {
     this.ecsWorld = ecsWorld;
@@ -100,6 +131,13 @@ export class BasicDurabilitySystem implements DurabilitySystem {
     console.log(`🛡️ Ensured durability for ${identityEntities.length} entities with identity`);
   }
 
+  /**
+   * Use a different clock for damage, heal and destroy timestamps
+   */
+  setClock(clock: SimulationClock): void {
+    this.clock = clock;
+  }
+
   update(deltaTime: number): void {
     // Process any pending destruction
     this.processDestroyedEntities();
@@ -111,11 +149,23 @@ export class BasicDurabilitySystem implements DurabilitySystem {
   /**
    * Apply damage to an entity, ensuring it has durability contract
    */
-  applyDamage(entityId: EntityId, amount: number, source?: EntityId): boolean {
+  applyDamage(
+    entityId: EntityId,
+    amount: number,
+    source?: EntityId,
+    damageType: string = DEFAULT_DAMAGE_TYPE
+  ): boolean {
     // Ensure entity has durability (every Identity can be destroyed)
     this.ensureDurability(entityId);
     
-    return this.damage(entityId, amount, source);
+    return this.damage(entityId, amount, source, damageType);
+  }
+
+  /**
+   * Add an armor formula, or replace a built-in one, for `durability.armorFormula` to name
+   */
+  registerArmorFormula(name: string, formula: ArmorFormula): void {
+    this.armorFormulas.set(name, formula);
   }
   
   /**
@@ -162,29 +212,44 @@ export class BasicDurabilitySystem implements DurabilitySystem {
     }
   }
   
-  damage(entityId: EntityId, amount: number, source?: EntityId): boolean {
+  /**
+   * Damage an entity: resistances for `damageType` apply first, then armor. Every hit is
+   * recorded in the damage history, including fully mitigated ones, which return false.
+   */
+  damage(
+    entityId: EntityId,
+    amount: number,
+    source?: EntityId,
+    damageType: string = DEFAULT_DAMAGE_TYPE
+  ): boolean {
     const durability = this.ecsWorld.getContract<Durability>(entityId, 'durability');
     if (!durability) return false;
 
-    // Apply armor reduction if present
-    const actualDamage = this.calculateActualDamage(amount, durability.armor);
-    
-    if (actualDamage <= 0) {
-      return false; // No damage dealt
-    }
+    const resisted = this.applyResistance(entityId, amount, damageType);
+    const actualDamage = this.applyArmor(resisted, durability);
 
-    // Calculate new health
-    const newHealth = Math.max(0, durability.health - actualDamage);
-    
     // Create damage event
     const damageEvent: DamageEvent = {
       entityId,
       damage: actualDamage,
+      damageType,
+      rawDamage: amount,
+      mitigation: {
+        resistance: amount - resisted,
+        armor: resisted - actualDamage,
+      },
       source,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
     };
     this.damageEvents.push(damageEvent);
 
+    if (actualDamage <= 0) {
+      return false; // No damage dealt
+    }
+
+    // Calculate new health
+    const newHealth = Math.max(0, durability.health - actualDamage);
+
     // Update durability contract
     const updatedDurability: Durability = {
       ...durability,
@@ -202,7 +267,7 @@ export class BasicDurabilitySystem implements DurabilitySystem {
       this.destroyEntity(entityId, 'damage', source);
     }
 
-    console.log(`⚔️ Entity ${entityId} took ${actualDamage} damage (${newHealth}/${durability.maxHealth} remaining)`);
+    console.log(`⚔️ Entity ${entityId} took ${actualDamage} ${damageType} damage (${newHealth}/${durability.maxHealth} remaining)`);
     return true;
   }
 
@@ -227,7 +292,7 @@ export class BasicDurabilitySystem implements DurabilitySystem {
       entityId,
       healing: actualHealing,
       source,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
     };
     this.healEvents.push(healEvent);
 
@@ -269,14 +334,33 @@ export class BasicDurabilitySystem implements DurabilitySystem {
     }
   }
 
-  private calculateActualDamage(damage: number, armor?: number): number {
-    if (!armor || armor <= 0) {
+  /**
+   * Damage left after the entity's resistance to `damageType`, if it has one
+   */
+  private applyResistance(entityId: EntityId, damage: number, damageType: string): number {
+    const resistances = this.ecsWorld.getContract<Resistances>(entityId, 'resistances');
+    const resistance = resistances?.damage[damageType];
+    if (!resistance) {
+      return damage;
+    }
+
+    const scaled = damage * (resistance.multiplier ?? 1) - (resistance.flat ?? 0);
+    return Math.max(0, scaled);
+  }
+
+  /**
+   * Damage left after armor, using the durability's formula; unknown names use the default
+   */
+  private applyArmor(damage: number, durability: Durability): number {
+    const armor = durability.armor;
+    if (!armor || armor <= 0 || damage <= 0) {
       return damage;
     }
 
-    // Simple armor calculation: each point of armor reduces damage by 1%
-    const damageReduction = Math.min(0.75, armor * 0.01); // Max 75% reduction
-    return damage * (1 - damageReduction);
+    const formula =
+      this.armorFormulas.get(durability.armorFormula ?? DEFAULT_ARMOR_FORMULA) ??
+      this.armorFormulas.get(DEFAULT_ARMOR_FORMULA)!;
+    return Math.min(damage, Math.max(0, formula(damage, armor)));
   }
 
   private destroyEntity(entityId: EntityId, cause: 'damage' | 'command' | 'timeout', source?: EntityId): void {
@@ -284,7 +368,7 @@ export class BasicDurabilitySystem implements DurabilitySystem {
       entityId,
       cause,
       source,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
     };
     this.destroyEvents.push(destroyEvent);
 
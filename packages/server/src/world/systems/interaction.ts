@@ -0,0 +1,253 @@
+import type {
+  EntityId,
+  LayerId,
+  Vec3,
+  Mobility,
+  Portable,
+  Inventory,
+  Entrance,
+  Identity,
+} from '@worldhost/shared';
+import type { ECSWorld } from '../ecs.js';
+import type { Archetype } from '../state.js';
+import type { DurabilitySystem } from './durability.js';
+import { layerRegistry } from '../space.js';
+import { INTERACT_RANGE, ATTACK_DAMAGE } from '../../config.js';
+
+export interface InteractionRequest {
+  actorId: EntityId;
+  action: string;
+  targetId?: EntityId;
+  data?: unknown;
+}
+
+export interface InteractionResult {
+  success: boolean;
+  action: string;
+  targetId?: EntityId;
+  reason?: string;
+  // Entities whose contracts changed and that still exist; callers broadcast these
+  changed: EntityId[];
+  // Action-specific outcome for the client (e.g. remaining health)
+  details?: Record<string, unknown>;
+}
+
+export type InteractionHandler = (request: InteractionRequest) => InteractionResult;
+
+// Runs for `use` on an entity whose archetype names this behavior
+export type UseBehaviorHandler = (
+  request: InteractionRequest & { targetId: EntityId },
+  params: Record<string, unknown>
+) => InteractionResult;
+
+// The parts of WorldState interactions need
+export interface InteractionWorld {
+  getEntityLayer(entityId: EntityId): LayerId | undefined;
+  placeEntity(entityId: EntityId, layerId: LayerId, position: Vec3): void;
+  getArchetype(id: string): Archetype | undefined;
+}
+
+export interface InteractionSystem {
+  interact(request: InteractionRequest): InteractionResult;
+  registerAction(action: string, handler: InteractionHandler): void;
+  registerUseBehavior(behavior: string, handler: UseBehaviorHandler): void;
+}
+
+export class BasicInteractionSystem implements InteractionSystem {
+  private actions = new Map<string, InteractionHandler>();
+  private useBehaviors = new Map<string, UseBehaviorHandler>();
+
+  constructor(
+    private readonly ecsWorld: ECSWorld,
+    private readonly world: InteractionWorld,
+    private readonly durabilitySystem: DurabilitySystem,
+    private readonly range: number = INTERACT_RANGE
+  ) {
+    this.registerAction('pickup', request => this.pickup(request));
+    this.registerAction('drop', request => this.drop(request));
+    this.registerAction('use', request => this.use(request));
+    this.registerAction('attack', request => this.attack(request));
+
+    // Heals the user; `consume: true` destroys the used entity
+    this.registerUseBehavior('heal', (request, params) => {
+      const amount = typeof params.amount === 'number' ? params.amount : 10;
+      this.durabilitySystem.heal(request.actorId, amount, request.targetId);
+      if (params.consume) {
+        this.removeFromInventory(request.actorId, request.targetId);
+        this.ecsWorld.removeEntity(request.targetId);
+      }
+      return succeed(request, [request.actorId], {
+        health: this.durabilitySystem.getDurability(request.actorId).health,
+      });
+    });
+  }
+
+  /**
+   * Add or replace the handler for an interact action
+   */
+  registerAction(action: string, handler: InteractionHandler): void {
+    this.actions.set(action, handler);
+  }
+
+  /**
+   * Add or replace a behavior archetypes can name in `use.behavior`
+   */
+  registerUseBehavior(behavior: string, handler: UseBehaviorHandler): void {
+    this.useBehaviors.set(behavior, handler);
+  }
+
+  /**
+   * Run an interaction. Failures are reported in the result, never thrown.
+   */
+  interact(request: InteractionRequest): InteractionResult {
+    const handler = this.actions.get(request.action);
+    if (!handler) return fail(request, `Unknown action: ${request.action}`);
+    if (!this.ecsWorld.hasEntity(request.actorId)) return fail(request, 'Actor does not exist');
+    if (request.targetId !== undefined && !this.ecsWorld.hasEntity(request.targetId)) {
+      return fail(request, `Target ${request.targetId} does not exist`);
+    }
+
+    try {
+      return handler(request);
+    } catch (error) {
+      return fail(request, error instanceof Error ? error.message : 'Interaction failed');
+    }
+  }
+
+  /**
+   * Move a portable entity from the world into the actor's inventory
+   */
+  private pickup(request: InteractionRequest): InteractionResult {
+    const { actorId, targetId } = request;
+    if (!targetId) return fail(request, 'pickup needs a target');
+
+    const portable = this.ecsWorld.getContract<Portable>(targetId, 'portable');
+    if (!portable?.canPickup) return fail(request, 'Target cannot be picked up');
+    const inventory = this.ecsWorld.getContract<Inventory>(actorId, 'inventory');
+    if (!inventory) return fail(request, 'Actor has no inventory');
+    if (!this.ecsWorld.hasContract(targetId, 'mobility')) {
+      return fail(request, 'Target is not in the world');
+    }
+    if (!this.inRange(actorId, targetId)) return fail(request, 'Target is out of range');
+    if (inventory.capacity !== undefined && inventory.items.length >= inventory.capacity) {
+      return fail(request, 'Inventory is full');
+    }
+
+    // Without mobility the item leaves the chunk index, which records its despawn
+    this.ecsWorld.removeContract(targetId, 'mobility');
+    const updated: Inventory = { ...inventory, items: [...inventory.items, targetId] };
+    this.ecsWorld.addContract(actorId, updated);
+    return succeed(request, [actorId], { items: inventory.items.length + 1 });
+  }
+
+  /**
+   * Put an item from the actor's inventory back in the world at the actor's position.
+   * Without a target, the most recently picked up item is dropped.
+   */
+  private drop(request: InteractionRequest): InteractionResult {
+    const { actorId } = request;
+    const inventory = this.ecsWorld.getContract<Inventory>(actorId, 'inventory');
+    const itemId = request.targetId ?? inventory?.items[inventory.items.length - 1];
+    if (!inventory || !itemId || !inventory.items.includes(itemId)) {
+      return fail(request, 'Item is not in the inventory');
+    }
+    const mobility = this.ecsWorld.getContract<Mobility>(actorId, 'mobility');
+    if (!mobility) return fail(request, 'Actor is not in the world');
+
+    this.removeFromInventory(actorId, itemId);
+    if (this.ecsWorld.hasEntity(itemId)) {
+      const layerId = this.world.getEntityLayer(actorId) ?? 'default';
+      this.world.placeEntity(itemId, layerId, { ...mobility.position });
+    }
+    return succeed({ ...request, targetId: itemId }, [actorId], {
+      position: mobility.position,
+    });
+  }
+
+  /**
+   * Go through an entrance, or run the target's archetype `use` behavior
+   */
+  private use(request: InteractionRequest): InteractionResult {
+    const { actorId, targetId } = request;
+    if (!targetId) return fail(request, 'use needs a target');
+    const carried = this.ecsWorld.getContract<Inventory>(actorId, 'inventory')?.items;
+    if (!carried?.includes(targetId) && !this.inRange(actorId, targetId)) {
+      return fail(request, 'Target is out of range');
+    }
+
+    const entrance = this.ecsWorld.getContract<Entrance>(targetId, 'entrance');
+    if (entrance) {
+      if (!entrance.enabled) return fail(request, 'Entrance is disabled');
+      if (!layerRegistry.getLayer(entrance.targetLayerId)) {
+        return fail(request, `Layer ${entrance.targetLayerId} does not exist`);
+      }
+      this.world.placeEntity(actorId, entrance.targetLayerId, { ...entrance.targetPosition });
+      return succeed(request, [actorId], {
+        layerId: entrance.targetLayerId,
+        position: entrance.targetPosition,
+      });
+    }
+
+    const archetypeId = this.ecsWorld.getContract<Identity>(targetId, 'identity')?.archetype;
+    const use = archetypeId ? this.world.getArchetype(archetypeId)?.use : undefined;
+    const behavior = use ? this.useBehaviors.get(use.behavior) : undefined;
+    if (!use || !behavior) return fail(request, 'Target cannot be used');
+    return behavior({ ...request, targetId }, use.params ?? {});
+  }
+
+  /**
+   * Damage the target through the durability system
+   */
+  private attack(request: InteractionRequest): InteractionResult {
+    const { actorId, targetId } = request;
+    if (!targetId) return fail(request, 'attack needs a target');
+    if (targetId === actorId) return fail(request, 'Cannot attack yourself');
+    if (!this.inRange(actorId, targetId)) return fail(request, 'Target is out of range');
+
+    const hit = this.durabilitySystem.applyDamage(targetId, ATTACK_DAMAGE, actorId);
+    if (!hit) return fail(request, 'Attack had no effect');
+
+    const destroyed = !this.ecsWorld.hasEntity(targetId);
+    return succeed(request, destroyed ? [] : [targetId], {
+      destroyed,
+      health: destroyed ? 0 : this.durabilitySystem.getDurability(targetId).health,
+    });
+  }
+
+  private inRange(actorId: EntityId, targetId: EntityId): boolean {
+    const actor = this.ecsWorld.getContract<Mobility>(actorId, 'mobility');
+    const target = this.ecsWorld.getContract<Mobility>(targetId, 'mobility');
+    if (!actor || !target) return false;
+    if (this.world.getEntityLayer(actorId) !== this.world.getEntityLayer(targetId)) return false;
+
+    const dx = actor.position.x - target.position.x;
+    const dy = actor.position.y - target.position.y;
+    const dz = actor.position.z - target.position.z;
+    return dx * dx + dy * dy + dz * dz <= this.range * this.range;
+  }
+
+  private removeFromInventory(actorId: EntityId, itemId: EntityId): void {
+    const inventory = this.ecsWorld.getContract<Inventory>(actorId, 'inventory');
+    if (!inventory?.items.includes(itemId)) return;
+    const updated: Inventory = { ...inventory, items: inventory.items.filter(id => id !== itemId) };
+    this.ecsWorld.addContract(actorId, updated);
+  }
+}
+
+function succeed(
+  request: InteractionRequest,
+  changed: EntityId[],
+  details?: Record<string, unknown>
+): InteractionResult {
+  return { success: true, action: request.action, targetId: request.targetId, changed, details };
+}
+
+function fail(request: InteractionRequest, reason: string): InteractionResult {
+  return {
+    success: false,
+    action: request.action,
+    targetId: request.targetId,
+    reason,
+    changed: [],
+  };
+}
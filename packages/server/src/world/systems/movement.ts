@@ -1,8 +1,16 @@
-import type { EntityId, Vec3, Mobility, Shape, AABB, Solidity, Identity, ChunkKey } from '@worldhost/shared';
-import { Vec3Utils, ChunkUtils } from '@worldhost/shared';
+import type { EntityId, Vec3, Mobility, Shape, AABB, Solidity, ChunkKey } from '@worldhost/shared';
+import type { Entrance, LayerId, PhysicsConditions, WorldConditions } from '@worldhost/shared';
+import type { CollisionMatrix, CollisionResponse, MovementRules } from '@worldhost/shared';
+import type { Kinematic } from '@worldhost/shared';
+import type { RaycastFilter, RaycastHit } from '@worldhost/shared';
+import { Vec3Utils } from '@worldhost/shared';
 import type { ECSWorld } from '../ecs.js';
-import { distance, aabbIntersect, clamp, keyFromPos, getNeighboringChunks } from '../space.js';
+import { distance, aabbIntersect, layerRegistry } from '../space.js';
+import type { LayerBoundaries } from '../space.js';
 import type { ChunkManager } from '../chunks.js';
+import { SolidIndex } from '../broadphase.js';
+import { toCollider, colliderCenter, sweepCollider, raycastCollider, dot } from '../collision.js';
+import type { Collider, SweepHit } from '../collision.js';
 import { GRAVITY, TERMINAL_VELOCITY, GROUND_FRICTION, AIR_FRICTION, COLLISION_EPSILON } from '../../config.js';
 
 // Movement result
@@ -11,6 +19,16 @@ export interface MoveResult {
   position: Vec3;
   blockedReason?: string;
   collisionNormal?: Vec3;
+  // The entity that stopped the move, when it was one
+  blockedBy?: EntityId;
+  // Trigger-only entities the move entered
+  triggers?: EntityId[];
+}
+
+// Outcome of a jump, crouch or fly command; `reason` says why it was refused
+export interface ActionResult {
+  ok: boolean;
+  reason?: string;
 }
 
 // Collision info
@@ -22,18 +40,142 @@ export interface CollisionInfo {
   entityId?: EntityId;
 }
 
+// An entity carried through an entrance to another layer
+export interface EntityTransfer {
+  entityId: EntityId;
+  entranceId: EntityId;
+  fromLayerId: LayerId;
+  toLayerId: LayerId;
+  position: Vec3;
+}
+
+export type EntityTransferListener = (transfer: EntityTransfer) => void;
+
+// Built-in collision rules; world_conditions.collisionMatrix entries take precedence
+export const DEFAULT_COLLISION_MATRIX: CollisionMatrix = {
+  ghost: {
+    default: 'trigger',
+    player: 'trigger',
+    npc: 'trigger',
+    projectile: 'ignore',
+    ghost: 'ignore',
+  },
+  projectile: { projectile: 'ignore' },
+};
+
+// Collide-and-slide passes per move, each sliding along the surface the last one hit
+const MAX_SLIDE_ITERATIONS = 4;
+// Surfaces with a normal flatter than this are walls that can be stepped up, not floors
+const MAX_STEP_NORMAL_Y = 0.5;
+
+// How far below an entity isOnGround looks for ground
+const GROUND_PROBE = 0.1;
+
+interface SlideResult {
+  position: Vec3;
+  // First surface that stopped part of the move; unset when nothing blocked it
+  collision?: CollisionInfo;
+  // Every surface hit, so velocity into them can be cancelled
+  normals: Vec3[];
+  triggers: EntityId[];
+}
+
+// An entity moving into a trigger-only entity
+export interface TriggerEvent {
+  entityId: EntityId;
+  otherId: EntityId;
+}
+
+export type TriggerListener = (event: TriggerEvent) => void;
+
+// An entity that left a wrap or void layer's boundaries and what was done about it
+export interface BoundaryEvent {
+  entityId: EntityId;
+  layerId: LayerId;
+  action: 'wrapped' | 'respawned' | 'destroyed';
+  position?: Vec3; // where it ended up, unless destroyed
+}
+
+export type BoundaryListener = (event: BoundaryEvent) => void;
+
+// An entity an update moved, with the chunks it occupied before the update
+export interface EntityMove {
+  entityId: EntityId;
+  position: Vec3;
+  previousChunks: ChunkKey[];
+}
+
+export type MoveListener = (move: EntityMove) => void;
+
+const RESPONSE_STRENGTH: Record<CollisionResponse, number> = { ignore: 0, trigger: 1, block: 2 };
+
+/**
+ * How entities in two sets of collision layers meet. The strongest pairwise response wins.
+ */
+export function collisionResponse(
+  layers: string[],
+  otherLayers: string[],
+  matrix: CollisionMatrix = {}
+): CollisionResponse {
+  let strongest: CollisionResponse = 'ignore';
+  for (const a of layers) {
+    for (const b of otherLayers) {
+      const response =
+        matrix[a]?.[b] ??
+        matrix[b]?.[a] ??
+        DEFAULT_COLLISION_MATRIX[a]?.[b] ??
+        DEFAULT_COLLISION_MATRIX[b]?.[a] ??
+        'block';
+      if (RESPONSE_STRENGTH[response] > RESPONSE_STRENGTH[strongest]) strongest = response;
+    }
+  }
+  return strongest;
+}
+
+function collisionLayersOf(solidity: Solidity | undefined): string[] {
+  return solidity?.collisionLayers?.length ? solidity.collisionLayers : ['default'];
+}
+
+// Physics the movement update applies to entities on one layer
+export type LayerPhysics = Required<PhysicsConditions>;
+
+const PHYSICS_KEYS = ['gravity', 'terminalVelocity', 'groundFriction', 'airFriction'] as const;
+
+// The parts of WorldState movement needs to carry entities between layers
+export interface MovementWorld {
+  getEntityLayer(entityId: EntityId): LayerId | undefined;
+  placeEntity(entityId: EntityId, layerId: LayerId, position: Vec3): void;
+}
+
 export interface MovementSystem {
   update(deltaTime: number): void;
   attemptMove(entityId: EntityId, want: Vec3, deltaTime: number): MoveResult;
-  moveEntity(entityId: EntityId, targetPosition: Vec3, deltaTime: number): boolean;
+  moveEntity(entityId: EntityId, targetPosition: Vec3, deltaTime: number): MoveResult;
   checkCollision(entityId: EntityId, newPosition: Vec3): boolean;
+  raycast(
+    layerId: LayerId,
+    origin: Vec3,
+    direction: Vec3,
+    maxDistance: number,
+    filter?: RaycastFilter
+  ): RaycastHit | undefined;
 }
 
 export class BasicMovementSystem implements MovementSystem {
   private ecsWorld: ECSWorld;
   private chunkManager: ChunkManager;
+  // Without a world, entrances are not traversed
+  private world?: MovementWorld;
+  private transferListeners = new Set<EntityTransferListener>();
+  private triggerListeners = new Set<TriggerListener>();
+  private boundaryListeners = new Set<BoundaryListener>();
+  private moveListeners = new Set<MoveListener>();
+  // Solid entity index; shared with systems that need the same broad phase (e.g. pathfinding)
+  readonly solids: SolidIndex;
+  // Shapes of crouching entities from before they crouched, to stand back up to
+  private standingShapes = new Map<EntityId, Shape>();
   
-  // Movement configuration (from config)
+  // Movement defaults (from config); layers and world_conditions override them
   private readonly gravity: number;
   private readonly terminalVelocity: number;
   private readonly groundFriction: number;
@@ -43,6 +185,8 @@ export class BasicMovementSystem implements MovementSystem {
   constructor(ecsWorld: ECSWorld, chunkManager: ChunkManager) {
     this.ecsWorld = ecsWorld;
     this.chunkManager = chunkManager;
+    this.solids = new SolidIndex(ecsWorld);
+    this.ecsWorld.onEntityRemove(entityId => this.standingShapes.delete(entityId));
     
     // Load configuration from imports
     this.gravity = GRAVITY;
@@ -52,27 +196,246 @@ export class BasicMovementSystem implements MovementSystem {
     this.collisionEpsilon = COLLISION_EPSILON;
   }
 
+  /**
+   * Connect the world whose layers entrances lead between
+   */
+  setWorld(world: MovementWorld): void {
+    this.world = world;
+  }
+
+  /**
+   * Listen for entities carried through entrances. Returns an unsubscribe function.
+   */
+  onTransfer(listener: EntityTransferListener): () => void {
+    this.transferListeners.add(listener);
+    return () => {
+      this.transferListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Listen for entities entering trigger-only entities. Returns an unsubscribe function.
+   */
+  onTrigger(listener: TriggerListener): () => void {
+    this.triggerListeners.add(listener);
+    return () => {
+      this.triggerListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Listen for entities wrapped, respawned or destroyed at layer boundaries. Returns an
+   * unsubscribe function.
+   */
+  onBoundary(listener: BoundaryListener): () => void {
+    this.boundaryListeners.add(listener);
+    return () => {
+      this.boundaryListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Listen for entities an update moved: falling, jumping, flying, carried by a platform or
+   * put back inside boundaries. Called once per entity after the update. Returns an
+   * unsubscribe function.
+   */
+  onMove(listener: MoveListener): () => void {
+    this.moveListeners.add(listener);
+    return () => {
+      this.moveListeners.delete(listener);
+    };
+  }
+
   update(deltaTime: number): void {
     // Get all entities with mobility
     const mobileEntities = this.ecsWorld.getEntitiesWithContract('mobility');
+    // Resolved once per layer per update
+    const physicsByLayer = new Map<LayerId, LayerPhysics>();
+    // Where everything started, to tell move listeners what changed
+    const before = this.moveListeners.size > 0 ? this.recordPositions(mobileEntities) : undefined;
+
+    // Riders are carried before their own physics runs, so they land where the body went
+    this.updateKinematicBodies(deltaTime);
     
     for (const entityId of mobileEntities) {
-      this.updateEntityMovement(entityId, deltaTime);
+      if (this.ecsWorld.hasContract(entityId, 'kinematic')) continue;
+      const layerId = this.world?.getEntityLayer(entityId) ?? 'default';
+      let physics = physicsByLayer.get(layerId);
+      if (!physics) {
+        physics = this.resolvePhysics(layerId);
+        physicsByLayer.set(layerId, physics);
+      }
+      this.updateEntityMovement(entityId, deltaTime, physics);
+    }
+
+    if (before) this.emitMoves(before);
+  }
+
+  private recordPositions(entityIds: EntityId[]): Map<EntityId, Omit<EntityMove, 'entityId'>> {
+    const positions = new Map<EntityId, Omit<EntityMove, 'entityId'>>();
+    for (const entityId of entityIds) {
+      const position = this.ecsWorld.getContract<Mobility>(entityId, 'mobility')?.position;
+      if (!position) continue;
+      const previousChunks = this.chunkManager.getEntityChunks(entityId);
+      positions.set(entityId, { position, previousChunks });
+    }
+    return positions;
+  }
+
+  private emitMoves(before: Map<EntityId, Omit<EntityMove, 'entityId'>>): void {
+    for (const [entityId, { position: from, previousChunks }] of before) {
+      // Entities destroyed at a boundary are reported through onBoundary instead
+      const position = this.ecsWorld.getContract<Mobility>(entityId, 'mobility')?.position;
+      if (!position || Vec3Utils.distance(position, from) === 0) continue;
+      for (const listener of this.moveListeners) {
+        listener({ entityId, position, previousChunks });
+      }
+    }
+  }
+
+  /**
+   * Move kinematic bodies and carry whatever stands on them by the same displacement.
+   * Riders are found before anything moves, the same way isOnGround finds ground.
+   */
+  private updateKinematicBodies(deltaTime: number): void {
+    const bodies = this.ecsWorld.getEntitiesWithContract('kinematic');
+    if (bodies.length === 0) return;
+    const riders = this.findRiders(new Set(bodies));
+
+    for (const bodyId of bodies) {
+      const from = this.ecsWorld.getContract<Mobility>(bodyId, 'mobility')?.position;
+      if (!from) continue;
+      this.advanceKinematic(bodyId, deltaTime);
+      this.enforceBoundaries(bodyId);
+      const to = this.ecsWorld.getContract<Mobility>(bodyId, 'mobility')?.position ?? from;
+      const displacement = Vec3Utils.subtract(to, from);
+      if (Vec3Utils.length(displacement) === 0) continue;
+      for (const riderId of riders.get(bodyId) ?? []) {
+        this.carry(riderId, bodyId, displacement);
+      }
+    }
+  }
+
+  /**
+   * Entities standing on each of `bodies`, keyed by body. Riders that are kinematic
+   * themselves are left alone.
+   */
+  private findRiders(bodies: Set<EntityId>): Map<EntityId, EntityId[]> {
+    const riders = new Map<EntityId, EntityId[]>();
+    for (const entityId of this.ecsWorld.getEntitiesWithContract('mobility')) {
+      if (bodies.has(entityId)) continue;
+      const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+      if (!mobility) continue;
+      // Cheap check first: only entities with a body right under them can be riding it
+      const below = { ...mobility.position, y: mobility.position.y - GROUND_PROBE };
+      const probe = this.getBoundsAt(entityId, below);
+      if (!this.solids.query(probe).some(id => bodies.has(id))) continue;
+
+      const supportId = this.groundUnder(entityId)?.blockedBy;
+      if (supportId === undefined || !bodies.has(supportId)) continue;
+      riders.set(supportId, [...(riders.get(supportId) ?? []), entityId]);
+    }
+    return riders;
+  }
+
+  /**
+   * Move a kinematic body one step along its path, or by its velocity when it has none.
+   * Nothing stops it. Path followers get the velocity they actually moved at.
+   */
+  private advanceKinematic(entityId: EntityId, deltaTime: number): void {
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    const kinematic = this.ecsWorld.getContract<Kinematic>(entityId, 'kinematic');
+    if (!mobility || !kinematic || deltaTime <= 0) return;
+
+    const path = kinematic.path ?? [];
+    if (path.length === 0) {
+      const velocity = mobility.velocity ?? { x: 0, y: 0, z: 0 };
+      const moved: Mobility = {
+        ...mobility,
+        position: Vec3Utils.add(mobility.position, Vec3Utils.multiply(velocity, deltaTime)),
+      };
+      this.ecsWorld.addContract(entityId, moved);
+      return;
+    }
+
+    const speed = kinematic.speed ?? mobility.maxSpeed ?? 0;
+    const progress = followPath(mobility.position, path, kinematic, speed * deltaTime);
+    const moved = Vec3Utils.subtract(progress.position, mobility.position);
+    const updatedMobility: Mobility = {
+      ...mobility,
+      position: progress.position,
+      velocity: Vec3Utils.multiply(moved, 1 / deltaTime),
+    };
+    this.ecsWorld.addContract(entityId, updatedMobility);
+    if (progress.waypoint !== kinematic.waypoint || progress.reverse !== kinematic.reverse) {
+      const updatedKinematic: Kinematic = {
+        ...kinematic,
+        waypoint: progress.waypoint,
+        reverse: progress.reverse,
+      };
+      this.ecsWorld.addContract(entityId, updatedKinematic);
+    }
+  }
+
+  /**
+   * Move a rider along with the body under it. The body has already moved, so the sweep
+   * ignores it; anything else still stops the rider.
+   */
+  private carry(riderId: EntityId, bodyId: EntityId, displacement: Vec3): void {
+    const mobility = this.ecsWorld.getContract<Mobility>(riderId, 'mobility');
+    const shape = this.ecsWorld.getContract<Shape>(riderId, 'shape');
+    if (!mobility || !shape) return;
+
+    const slide = this.slideMove(riderId, shape, mobility.position, displacement, bodyId);
+    const carried: Mobility = { ...mobility, position: slide.position };
+    this.ecsWorld.addContract(riderId, carried);
+    this.emitTriggers(riderId, slide.triggers);
+    this.checkEntrances(riderId, mobility.position);
+    this.enforceBoundaries(riderId);
+  }
+
+  /**
+   * Physics for entities on a layer. Later sources win: the server defaults, the layer's
+   * config, world_conditions, then world_conditions.layers[layerId].
+   */
+  resolvePhysics(layerId: LayerId): LayerPhysics {
+    const physics: LayerPhysics = {
+      gravity: this.gravity,
+      terminalVelocity: this.terminalVelocity,
+      groundFriction: this.groundFriction,
+      airFriction: this.airFriction,
+    };
+    const conditions = this.getWorldConditions();
+    const sources = [layerRegistry.getLayer(layerId), conditions, conditions?.layers?.[layerId]];
+    for (const source of sources) {
+      for (const key of PHYSICS_KEYS) {
+        const value = source?.[key];
+        if (typeof value === 'number') physics[key] = value;
+      }
     }
+    return physics;
+  }
+
+  private getWorldConditions(): WorldConditions | undefined {
+    const [worldId] = this.ecsWorld.getEntitiesWithContract('world_conditions');
+    return worldId
+      ? this.ecsWorld.getContract<WorldConditions>(worldId, 'world_conditions')
+      : undefined;
   }
 
-  private updateEntityMovement(entityId: EntityId, deltaTime: number): void {
+  private updateEntityMovement(entityId: EntityId, deltaTime: number, physics: LayerPhysics): void {
     const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
     if (!mobility) return;
 
     let newVelocity = { ...mobility.velocity || { x: 0, y: 0, z: 0 } };
     let newPosition = { ...mobility.position };
+    const flying = this.ecsWorld.getContract<MovementRules>(entityId, 'movement_rules')?.fly;
 
-    // Apply gravity if not on ground
-    if (!this.isOnGround(entityId)) {
-      newVelocity.y += this.gravity * deltaTime;
-      newVelocity.y = Math.max(newVelocity.y, this.terminalVelocity);
-    } else {
+    // Apply gravity if not on ground; fliers keep whatever vertical speed fly_dir gave them
+    if (!flying && !this.isOnGround(entityId)) {
+      newVelocity.y += physics.gravity * deltaTime;
+      newVelocity.y = Math.max(newVelocity.y, physics.terminalVelocity);
+    } else if (!flying) {
       // On ground, stop falling
       if (newVelocity.y < 0) {
         newVelocity.y = 0;
@@ -80,7 +443,7 @@ export class BasicMovementSystem implements MovementSystem {
     }
 
     // Apply friction
-    const friction = this.isOnGround(entityId) ? this.groundFriction : this.airFriction;
+    const friction = this.isOnGround(entityId) ? physics.groundFriction : physics.airFriction;
     newVelocity.x *= Math.pow(friction, deltaTime);
     newVelocity.z *= Math.pow(friction, deltaTime);
 
@@ -99,39 +462,24 @@ export class BasicMovementSystem implements MovementSystem {
     newPosition.y += newVelocity.y * deltaTime;
     newPosition.z += newVelocity.z * deltaTime;
 
-    // Check for collisions and adjust position
-    if (this.checkCollision(entityId, newPosition)) {
-      // Simple collision response: stop movement in the colliding direction
-      const originalPosition = mobility.position;
-      
-      // Try moving only horizontally
-      const horizontalPosition = {
-        x: newPosition.x,
-        y: originalPosition.y,
-        z: newPosition.z,
-      };
-      
-      if (!this.checkCollision(entityId, horizontalPosition)) {
-        newPosition = horizontalPosition;
-        newVelocity.y = 0; // Stop vertical movement
-      } else {
-        // Try moving only vertically
-        const verticalPosition = {
-          x: originalPosition.x,
-          y: newPosition.y,
-          z: originalPosition.z,
-        };
-        
-        if (!this.checkCollision(entityId, verticalPosition)) {
-          newPosition = verticalPosition;
-          newVelocity.x = 0;
-          newVelocity.z = 0;
-        } else {
-          // Can't move at all, stop all movement
-          newPosition = originalPosition;
-          newVelocity = { x: 0, y: 0, z: 0 };
+    // Slide along whatever the step runs into, and stop moving into those surfaces
+    const shape = this.ecsWorld.getContract<Shape>(entityId, 'shape');
+    let triggers: EntityId[] = [];
+    if (shape) {
+      const displacement = Vec3Utils.subtract(newPosition, mobility.position);
+      const slide = this.slideMove(entityId, shape, mobility.position, displacement);
+      newPosition = slide.position;
+      triggers = slide.triggers;
+      for (const normal of slide.normals) {
+        const into = dot(newVelocity, normal);
+        if (into < 0) {
+          newVelocity = Vec3Utils.subtract(newVelocity, Vec3Utils.multiply(normal, into));
         }
       }
+    } else {
+      // Without a shape nothing can be swept, so the entity stays put
+      newPosition = mobility.position;
+      newVelocity = { x: 0, y: 0, z: 0 };
     }
 
     // Update the mobility contract
@@ -142,6 +490,9 @@ export class BasicMovementSystem implements MovementSystem {
     };
 
     this.ecsWorld.addContract(entityId, updatedMobility);
+    this.emitTriggers(entityId, triggers);
+    this.checkEntrances(entityId, mobility.position);
+    this.enforceBoundaries(entityId);
   }
 
   /**
@@ -177,58 +528,230 @@ export class BasicMovementSystem implements MovementSystem {
     
     // Proposed displacement
     const displacement = Vec3Utils.multiply(normalizedDirection, actualDistance);
-    const proposedPosition = Vec3Utils.add(currentPosition, displacement);
-    
-    // Perform swept-AABB collision detection
-    const collision = this.performSweptAABB(entityId, currentPosition, proposedPosition, shape);
+    const slide = this.slideMove(entityId, shape, currentPosition, displacement);
+    const { collision } = slide;
+    const triggers = slide.triggers.length ? { triggers: slide.triggers } : {};
     
-    if (!collision.hit) {
-      // No collision, movement is allowed
-      return { ok: true, position: proposedPosition };
+    if (!collision) {
+      // Nothing in the way, or stepped over it
+      return { ok: true, position: slide.position, ...triggers };
     }
     
-    // Collision detected, clamp movement
-    const clampedPosition = this.clampMovementToCollision(
-      currentPosition, 
-      proposedPosition, 
-      collision
-    );
-    
+    // Blocked, possibly after sliding along the obstacle; report the first surface hit
     return {
       ok: false,
-      position: clampedPosition,
+      position: slide.position,
       blockedReason: collision.entityId ? `Blocked by entity ${collision.entityId}` : 'Blocked by solid',
       collisionNormal: collision.normal,
+      blockedBy: collision.entityId,
+      ...triggers,
     };
   }
+
+  /**
+   * Collide-and-slide: move until something is hit, then project what is left of the
+   * displacement onto the surface and go again, up to MAX_SLIDE_ITERATIONS times. Walls
+   * lower than the movement_rules stepHeight are stepped onto instead. `ignore` is one
+   * entity to pass through, such as the body carrying the mover.
+   */
+  private slideMove(
+    entityId: EntityId,
+    shape: Shape,
+    start: Vec3,
+    displacement: Vec3,
+    ignore?: EntityId
+  ): SlideResult {
+    const rules = this.ecsWorld.getContract<MovementRules>(entityId, 'movement_rules');
+    const stepHeight = rules?.stepHeight ?? 0;
+    const triggers = new Set<EntityId>();
+    const normals: Vec3[] = [];
+    let collision: CollisionInfo | undefined;
+    let position = start;
+    let remaining = displacement;
+
+    for (let i = 0; i < MAX_SLIDE_ITERATIONS; i++) {
+      if (Vec3Utils.length(remaining) < this.collisionEpsilon) break;
+      const target = Vec3Utils.add(position, remaining);
+      const step = this.sweepTo(entityId, shape, position, target, triggers, ignore);
+      position = step.position;
+      if (!step.collision) break;
+
+      remaining = Vec3Utils.subtract(target, position);
+      const { normal } = step.collision;
+      if (stepHeight > 0 && Math.abs(normal.y) < MAX_STEP_NORMAL_Y) {
+        const stepped = this.stepUp(
+          entityId,
+          shape,
+          position,
+          remaining,
+          stepHeight,
+          triggers,
+          ignore
+        );
+        if (stepped) {
+          position = stepped;
+          break;
+        }
+      }
+
+      collision ??= step.collision;
+      normals.push(normal);
+      // Starting inside something gives no surface to slide along
+      if (Vec3Utils.length(normal) === 0) break;
+      remaining = Vec3Utils.subtract(remaining, Vec3Utils.multiply(normal, dot(remaining, normal)));
+    }
+
+    return { position, collision, normals, triggers: [...triggers] };
+  }
+
+  /**
+   * Climb onto a ledge: up by stepHeight, across, then back down onto it. Returns undefined
+   * when the way across is still blocked at that height.
+   */
+  private stepUp(
+    entityId: EntityId,
+    shape: Shape,
+    from: Vec3,
+    remaining: Vec3,
+    stepHeight: number,
+    triggers: Set<EntityId>,
+    ignore?: EntityId
+  ): Vec3 | undefined {
+    const across = { x: remaining.x, y: 0, z: remaining.z };
+    if (Vec3Utils.length(across) < this.collisionEpsilon) return undefined;
+
+    const raised = { ...from, y: from.y + stepHeight };
+    const up = this.sweepTo(entityId, shape, from, raised, triggers, ignore);
+    const over = Vec3Utils.add(up.position, across);
+    const forward = this.sweepTo(entityId, shape, up.position, over, triggers, ignore);
+    if (forward.collision) return undefined;
+    const landing = { ...forward.position, y: from.y };
+    return this.sweepTo(entityId, shape, forward.position, landing, triggers, ignore).position;
+  }
+
+  /**
+   * One swept move, stopped short of the first blocking hit. Entered triggers are added
+   * to `triggers`.
+   */
+  private sweepTo(
+    entityId: EntityId,
+    shape: Shape,
+    from: Vec3,
+    to: Vec3,
+    triggers: Set<EntityId>,
+    ignore?: EntityId
+  ): { position: Vec3; collision?: CollisionInfo } {
+    const sweep = this.performSweptAABB(entityId, from, to, shape, ignore);
+    const { collision, triggers: overlaps } = sweep;
+    // Triggers past a blocking hit were never reached
+    const reached = collision.hit ? collision.distance : distance(from, to);
+    for (const otherId of this.enteredTriggers(overlaps, reached)) {
+      triggers.add(otherId);
+    }
+    if (!collision.hit) return { position: to };
+    return { position: this.clampMovementToCollision(from, to, collision), collision };
+  }
+
+  /**
+   * Trigger entities a move of `travelled` actually entered. A hit at distance 0 means the
+   * mover started inside, so staying in a trigger is not reported again.
+   */
+  private enteredTriggers(triggers: CollisionInfo[], travelled: number): EntityId[] {
+    return triggers.flatMap(trigger =>
+      trigger.entityId && trigger.distance > 0 && trigger.distance <= travelled
+        ? [trigger.entityId]
+        : []
+    );
+  }
+
+  private emitTriggers(entityId: EntityId, otherIds: EntityId[]): void {
+    for (const otherId of otherIds) {
+      for (const listener of this.triggerListeners) {
+        listener({ entityId, otherId });
+      }
+    }
+  }
   
-  moveEntity(entityId: EntityId, targetPosition: Vec3, deltaTime: number): boolean {
-    const result = this.attemptMove(entityId, targetPosition, deltaTime);
-    
-    if (result.ok || result.position) {
-      // Update entity position
-      const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
-      if (mobility) {
-        const updatedMobility: Mobility = {
-          ...mobility,
-          position: result.position,
-        };
-        this.ecsWorld.addContract(entityId, updatedMobility);
+  /**
+   * Move an entity as far toward the target as attemptMove allows and commit the position.
+   * Airborne entities get movement_rules.airControl of the usual distance. Stepping into an
+   * enabled entrance carries the entity through it.
+   */
+  moveEntity(entityId: EntityId, targetPosition: Vec3, deltaTime: number): MoveResult {
+    const result = this.attemptMove(entityId, targetPosition, deltaTime * this.control(entityId));
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    if (mobility && distance(result.position, mobility.position) > 0) {
+      const updatedMobility: Mobility = {
+        ...mobility,
+        position: result.position,
+      };
+      this.ecsWorld.addContract(entityId, updatedMobility);
+      this.emitTriggers(entityId, result.triggers ?? []);
+      this.checkEntrances(entityId, mobility.position);
+      this.enforceBoundaries(entityId);
+    }
+    return result;
+  }
+
+  /**
+   * Carry an entity through the first enabled entrance on its layer that it just stepped
+   * into. Entrances it already overlapped before the move are ignored, so arriving on top
+   * of an entrance does not bounce the entity straight back.
+   */
+  private checkEntrances(entityId: EntityId, previousPosition: Vec3): void {
+    if (!this.world) return;
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    if (!mobility || distance(mobility.position, previousPosition) === 0) return;
+
+    const fromLayerId = this.world.getEntityLayer(entityId) ?? 'default';
+    const before = this.getBoundsAt(entityId, previousPosition);
+    const after = this.getBoundsAt(entityId, mobility.position);
+    for (const entranceId of this.ecsWorld.getEntitiesWithContract('entrance')) {
+      if (entranceId === entityId) continue;
+      const entrance = this.ecsWorld.getContract<Entrance>(entranceId, 'entrance');
+      const at = this.ecsWorld.getContract<Mobility>(entranceId, 'mobility')?.position;
+      if (!entrance?.enabled || !at) continue;
+      if ((this.world.getEntityLayer(entranceId) ?? 'default') !== fromLayerId) continue;
+
+      const doorway = this.getBoundsAt(entranceId, at);
+      if (!aabbIntersect(after, doorway) || aabbIntersect(before, doorway)) continue;
+      if (!layerRegistry.getLayer(entrance.targetLayerId)) continue;
+
+      const position = { ...entrance.targetPosition };
+      this.world.placeEntity(entityId, entrance.targetLayerId, position);
+      const transfer: EntityTransfer = {
+        entityId,
+        entranceId,
+        fromLayerId,
+        toLayerId: entrance.targetLayerId,
+        position,
+      };
+      for (const listener of this.transferListeners) {
+        listener(transfer);
       }
+      return;
     }
-    
-    return result.ok;
   }
 
   /**
-   * Perform swept-AABB collision detection
+   * World-space bounds of an entity at a position; a point when it has no shape
+   */
+  private getBoundsAt(entityId: EntityId, position: Vec3): AABB {
+    const shape = this.ecsWorld.getContract<Shape>(entityId, 'shape');
+    return shape ? this.getEntityAABB(shape, position) : { min: position, max: position };
+  }
+
+  /**
+   * Perform swept-AABB collision detection. Pairs the collision matrix ignores are skipped;
+   * trigger pairs never block and are returned separately.
    */
   private performSweptAABB(
     entityId: EntityId, 
     startPos: Vec3, 
     endPos: Vec3, 
-    shape: Shape
-  ): CollisionInfo {
+    shape: Shape,
+    ignore?: EntityId
+  ): { collision: CollisionInfo; triggers: CollisionInfo[] } {
     const displacement = Vec3Utils.subtract(endPos, startPos);
     const movingAABB = this.getEntityAABB(shape, startPos);
     
@@ -239,32 +762,189 @@ export class BasicMovementSystem implements MovementSystem {
       distance: Vec3Utils.length(displacement),
     };
     
-    // Get chunks that the movement path intersects
-    const affectedChunks = this.getChunksForMovement(startPos, endPos);
-    // Gather dynamic solid entities once to ensure collisions are detected even if
-    // chunk indices are not populated for test environments
-    const solidEntities = new Set(this.ecsWorld.getEntitiesWithContract('solidity'));
-    solidEntities.delete(entityId);
+    // Only terrain and solids on the mover's own layer can block it
+    const layerId = this.world?.getEntityLayer(entityId) ?? 'default';
+    // Only solid entities overlapping the swept bounds can be hit
+    const endAABB = this.getEntityAABB(shape, endPos);
+    const sweptAABB: AABB = {
+      min: {
+        x: Math.min(movingAABB.min.x, endAABB.min.x),
+        y: Math.min(movingAABB.min.y, endAABB.min.y),
+        z: Math.min(movingAABB.min.z, endAABB.min.z),
+      },
+      max: {
+        x: Math.max(movingAABB.max.x, endAABB.max.x),
+        y: Math.max(movingAABB.max.y, endAABB.max.y),
+        z: Math.max(movingAABB.max.z, endAABB.max.z),
+      },
+    };
+    const solidEntities = this.solids
+      .query(sweptAABB)
+      .filter(id => id !== entityId && id !== ignore)
+      .filter(id => (this.world?.getEntityLayer(id) ?? 'default') === layerId);
+    const mover = toCollider(shape, startPos);
+    const matrix = this.getWorldConditions()?.collisionMatrix;
+    const moverSolidity = this.ecsWorld.getContract<Solidity>(entityId, 'solidity');
+    const moverLayers = collisionLayersOf(moverSolidity);
+    const triggers: CollisionInfo[] = [];
     
-    for (const chunkKey of affectedChunks) {
-      // Check static solids in chunk
-      const staticCollision = this.checkStaticSolids(movingAABB, displacement, chunkKey);
+    // The static solid grid is terrain in the 'default' layer
+    if (collisionResponse(moverLayers, ['default'], matrix) === 'block') {
+      const staticCollision = this.checkStaticSolids(layerId, mover, displacement, sweptAABB);
       if (staticCollision.hit && staticCollision.distance < closestCollision.distance) {
         closestCollision = staticCollision;
       }
     }
     
-    // Check dynamic solid entities globally (filtered by solidity contract)
+    const boundaryCollision = this.checkBoundaryWalls(entityId, movingAABB, displacement);
+    if (boundaryCollision.hit && boundaryCollision.distance < closestCollision.distance) {
+      closestCollision = boundaryCollision;
+    }
+    
+    // Narrow phase against the broad-phase candidates
     for (const otherEntityId of solidEntities) {
-      const dynamicCollision = this.checkDynamicSolid(movingAABB, displacement, otherEntityId);
-      if (dynamicCollision.hit && dynamicCollision.distance < closestCollision.distance) {
+      const otherSolidity = this.ecsWorld.getContract<Solidity>(otherEntityId, 'solidity');
+      // Owners and what they own (e.g. a shooter and its projectile) pass through each other
+      if (otherSolidity?.owner === entityId || moverSolidity?.owner === otherEntityId) continue;
+      const response = collisionResponse(moverLayers, collisionLayersOf(otherSolidity), matrix);
+      if (response === 'ignore') continue;
+
+      const dynamicCollision = this.checkDynamicSolid(mover, displacement, otherEntityId);
+      if (!dynamicCollision.hit) continue;
+      if (response === 'trigger') {
+        triggers.push(dynamicCollision);
+      } else if (dynamicCollision.distance < closestCollision.distance) {
         closestCollision = dynamicCollision;
       }
     }
     
-    return closestCollision;
+    return { collision: closestCollision, triggers };
   }
   
+  /**
+   * Layer boundaries as walls from the inside: every face of a clamp layer's bounds, and the
+   * floor and ceiling of a wrap layer's. An entity already past a wall can move back in but
+   * no further out.
+   */
+  private checkBoundaryWalls(
+    entityId: EntityId,
+    movingAABB: AABB,
+    displacement: Vec3
+  ): CollisionInfo {
+    const totalDist = Vec3Utils.length(displacement);
+    const miss: CollisionInfo = {
+      hit: false,
+      point: Vec3Utils.add(movingAABB.min, displacement),
+      normal: { x: 0, y: 1, z: 0 },
+      distance: totalDist,
+    };
+    const layerId = this.world?.getEntityLayer(entityId) ?? 'default';
+    const bounds = layerRegistry.getLayer(layerId)?.boundaries;
+    if (!bounds || bounds.mode === 'void') return miss;
+
+    const axes = bounds.mode === 'wrap' ? (['y'] as const) : (['x', 'y', 'z'] as const);
+    let closest: { t: number; normal: Vec3 } | undefined;
+    for (const axis of axes) {
+      const d = displacement[axis];
+      let t: number;
+      let side: number;
+      if (d > 0 && movingAABB.max[axis] + d > bounds.max[axis]) {
+        t = (bounds.max[axis] - movingAABB.max[axis]) / d;
+        side = -1;
+      } else if (d < 0 && movingAABB.min[axis] + d < bounds.min[axis]) {
+        t = (bounds.min[axis] - movingAABB.min[axis]) / d;
+        side = 1;
+      } else {
+        continue;
+      }
+      t = Math.max(0, t);
+      if (!closest || t < closest.t) {
+        closest = { t, normal: { x: 0, y: 0, z: 0, [axis]: side } };
+      }
+    }
+    if (!closest) return miss;
+    return {
+      hit: true,
+      point: Vec3Utils.add(movingAABB.min, Vec3Utils.multiply(displacement, closest.t)),
+      normal: closest.normal,
+      distance: closest.t * totalDist,
+    };
+  }
+
+  /**
+   * Wrap an entity that crossed a wrap layer's edge to the opposite side, or respawn or
+   * destroy one that left a void layer's bounds. Clamp boundaries are walls in the sweep,
+   * which kinematic bodies skip, so those are pushed back inside here.
+   */
+  private enforceBoundaries(entityId: EntityId): void {
+    const layerId = this.world?.getEntityLayer(entityId) ?? 'default';
+    const layer = layerRegistry.getLayer(layerId);
+    const bounds = layer?.boundaries;
+    if (!layer || !bounds) return;
+    if (bounds.mode !== 'void' && this.ecsWorld.hasContract(entityId, 'kinematic')) {
+      this.clampKinematic(entityId, bounds);
+    }
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    if (!mobility || (bounds.mode ?? 'clamp') === 'clamp') return;
+
+    const { position } = mobility;
+    let event: BoundaryEvent;
+    if (bounds.mode === 'wrap') {
+      const wrapped = {
+        x: wrapCoordinate(position.x, bounds.min.x, bounds.max.x),
+        y: position.y,
+        z: wrapCoordinate(position.z, bounds.min.z, bounds.max.z),
+      };
+      if (wrapped.x === position.x && wrapped.z === position.z) return;
+      const updatedMobility: Mobility = { ...mobility, position: wrapped };
+      this.ecsWorld.addContract(entityId, updatedMobility);
+      event = { entityId, layerId, action: 'wrapped', position: wrapped };
+    } else {
+      if (aabbIntersect({ min: position, max: position }, bounds)) return;
+      if (bounds.onVoid === 'destroy') {
+        this.ecsWorld.removeEntity(entityId);
+        event = { entityId, layerId, action: 'destroyed' };
+      } else {
+        const respawned: Mobility = {
+          ...mobility,
+          position: { ...layer.spawnPoint },
+          velocity: { x: 0, y: 0, z: 0 },
+        };
+        this.ecsWorld.addContract(entityId, respawned);
+        event = { entityId, layerId, action: 'respawned', position: respawned.position };
+      }
+    }
+    for (const listener of this.boundaryListeners) {
+      listener(event);
+    }
+  }
+
+  /**
+   * Push a kinematic body back inside the boundary walls it moved through (every face for
+   * clamp, the floor and ceiling for wrap) and stop it along those axes
+   */
+  private clampKinematic(entityId: EntityId, bounds: LayerBoundaries): void {
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    if (!mobility) return;
+    const box = this.getBoundsAt(entityId, mobility.position);
+    const axes = bounds.mode === 'wrap' ? (['y'] as const) : (['x', 'y', 'z'] as const);
+    const position = { ...mobility.position };
+    const velocity = { ...(mobility.velocity ?? { x: 0, y: 0, z: 0 }) };
+    let clamped = false;
+    for (const axis of axes) {
+      let push = 0;
+      if (box.min[axis] < bounds.min[axis]) push = bounds.min[axis] - box.min[axis];
+      else if (box.max[axis] > bounds.max[axis]) push = bounds.max[axis] - box.max[axis];
+      if (push === 0) continue;
+      position[axis] += push;
+      velocity[axis] = 0;
+      clamped = true;
+    }
+    if (!clamped) return;
+    const updatedMobility: Mobility = { ...mobility, position, velocity };
+    this.ecsWorld.addContract(entityId, updatedMobility);
+  }
+
   /**
    * Get entity AABB at a specific position
    */
@@ -276,194 +956,72 @@ export class BasicMovementSystem implements MovementSystem {
   }
   
   /**
-   * Get chunks that a movement path intersects
+   * Sweep the mover against the solid grid cells its swept bounds overlap, each as a box
    */
-  private getChunksForMovement(startPos: Vec3, endPos: Vec3): ChunkKey[] {
-    const layerId = 'default'; // TODO: Get actual layer from entity
-    const startChunk = keyFromPos(layerId, startPos);
-    const endChunk = keyFromPos(layerId, endPos);
-    
-    const chunks = new Set<string>();
-    chunks.add(ChunkUtils.toString(startChunk));
-    chunks.add(ChunkUtils.toString(endChunk));
-    
-    // Add neighboring chunks for safety
-    for (const neighbor of getNeighboringChunks(startChunk, 1)) {
-      chunks.add(ChunkUtils.toString(neighbor));
+  private checkStaticSolids(
+    layerId: LayerId,
+    mover: Collider,
+    displacement: Vec3,
+    sweptAABB: AABB
+  ): CollisionInfo {
+    const start = colliderCenter(mover);
+    const totalDist = Vec3Utils.length(displacement);
+    let closest: SweepHit | null = null;
+    for (const cell of this.chunkManager.getSolidCells(layerId, sweptAABB)) {
+      const sweep = sweepCollider(mover, displacement, { kind: 'box', bounds: cell });
+      if (sweep && (!closest || sweep.t < closest.t)) closest = sweep;
     }
-    
-    return Array.from(chunks).map(keyStr => {
-      const key = ChunkUtils.fromString(keyStr);
-      if (!key) throw new Error(`Invalid chunk key: ${keyStr}`);
-      return key;
-    });
-  }
-  
-  /**
-   * Check collision with static solids in chunk grid
-   */
-  private checkStaticSolids(movingAABB: AABB, displacement: Vec3, chunkKey: ChunkKey): CollisionInfo {
-    const chunk = this.chunkManager.getChunk(chunkKey);
-    
-    if (!chunk.solidGrid) {
+
+    if (!closest) {
       return {
         hit: false,
-        point: Vec3Utils.add(movingAABB.min, displacement),
+        point: Vec3Utils.add(start, displacement),
         normal: { x: 0, y: 1, z: 0 },
-        distance: Vec3Utils.length(displacement),
+        distance: totalDist,
       };
     }
-    
-    // TODO: Implement proper swept-AABB vs grid collision
-    // For now, just check if the end position intersects any solid cells
-    const endAABB = {
-      min: Vec3Utils.add(movingAABB.min, displacement),
-      max: Vec3Utils.add(movingAABB.max, displacement),
-    };
-    
-    // Simple grid collision check (can be optimized)
-    const gridRes = chunk.solidGrid.width;
-    const chunkSize = 32; // TODO: Get from layer config
-    
-    const minGridX = Math.floor((endAABB.min.x % chunkSize) / chunkSize * gridRes);
-    const maxGridX = Math.ceil((endAABB.max.x % chunkSize) / chunkSize * gridRes);
-    const minGridY = Math.floor((endAABB.min.y % 256) / 256 * gridRes);
-    const maxGridY = Math.ceil((endAABB.max.y % 256) / 256 * gridRes);
-    const minGridZ = Math.floor((endAABB.min.z % chunkSize) / chunkSize * gridRes);
-    const maxGridZ = Math.ceil((endAABB.max.z % chunkSize) / chunkSize * gridRes);
-    
-    for (let x = Math.max(0, minGridX); x < Math.min(gridRes, maxGridX); x++) {
-      for (let y = Math.max(0, minGridY); y < Math.min(gridRes, maxGridY); y++) {
-        for (let z = Math.max(0, minGridZ); z < Math.min(gridRes, maxGridZ); z++) {
-          if (this.chunkManager.isSolid(chunk, x, y, z)) {
-            return {
-              hit: true,
-              point: endAABB.min,
-              normal: { x: 0, y: 1, z: 0 }, // Simplified normal
-              distance: Vec3Utils.length(displacement) * 0.5, // Approximate
-            };
-          }
-        }
-      }
-    }
-    
     return {
-      hit: false,
-      point: Vec3Utils.add(movingAABB.min, displacement),
-      normal: { x: 0, y: 1, z: 0 },
-      distance: Vec3Utils.length(displacement),
+      hit: true,
+      point: Vec3Utils.add(start, Vec3Utils.multiply(displacement, closest.t)),
+      normal: closest.normal,
+      distance: Math.max(0, Math.min(1, closest.t)) * totalDist,
     };
   }
   
   /**
-   * Check collision with dynamic solid entity
+   * Check collision with dynamic solid entity, using the real geometry of both shapes
    */
-  private checkDynamicSolid(movingAABB: AABB, displacement: Vec3, otherEntityId: EntityId): CollisionInfo {
+  private checkDynamicSolid(
+    mover: Collider,
+    displacement: Vec3,
+    otherEntityId: EntityId
+  ): CollisionInfo {
     const otherSolidity = this.ecsWorld.getContract<Solidity>(otherEntityId, 'solidity');
-    if (!otherSolidity?.solid) {
-      return {
-        hit: false,
-        point: Vec3Utils.add(movingAABB.min, displacement),
-        normal: { x: 0, y: 1, z: 0 },
-        distance: Vec3Utils.length(displacement),
-      };
-    }
-    
     const otherShape = this.ecsWorld.getContract<Shape>(otherEntityId, 'shape');
     const otherMobility = this.ecsWorld.getContract<Mobility>(otherEntityId, 'mobility');
-    
-    if (!otherShape || !otherMobility) {
+    const start = colliderCenter(mover);
+    const totalDist = Vec3Utils.length(displacement);
+    const sweep =
+      otherSolidity?.solid && otherShape && otherMobility
+        ? sweepCollider(mover, displacement, toCollider(otherShape, otherMobility.position))
+        : null;
+
+    if (!sweep) {
       return {
         hit: false,
-        point: Vec3Utils.add(movingAABB.min, displacement),
+        point: Vec3Utils.add(start, displacement),
         normal: { x: 0, y: 1, z: 0 },
-        distance: Vec3Utils.length(displacement),
+        distance: totalDist,
       };
     }
-    
-    const otherAABB = this.getEntityAABB(otherShape, otherMobility.position);
-    // Swept test: expand target AABB by the half extents of the moving AABB
-    const halfExtents = {
-      x: (movingAABB.max.x - movingAABB.min.x) / 2,
-      y: (movingAABB.max.y - movingAABB.min.y) / 2,
-      z: (movingAABB.max.z - movingAABB.min.z) / 2,
-    };
-    const startCenter = {
-      x: (movingAABB.min.x + movingAABB.max.x) / 2,
-      y: (movingAABB.min.y + movingAABB.max.y) / 2,
-      z: (movingAABB.min.z + movingAABB.max.z) / 2,
-    };
-    const endCenter = Vec3Utils.add(startCenter, displacement);
-    const expandedAABB: AABB = {
-      min: { x: otherAABB.min.x - halfExtents.x, y: otherAABB.min.y - halfExtents.y, z: otherAABB.min.z - halfExtents.z },
-      max: { x: otherAABB.max.x + halfExtents.x, y: otherAABB.max.y + halfExtents.y, z: otherAABB.max.z + halfExtents.z },
-    };
-    const sweep = this.intersectSegmentAABB(startCenter, endCenter, expandedAABB);
-    if (sweep.hit) {
-      const totalDist = Vec3Utils.length(displacement);
-      const hitDist = Math.max(0, Math.min(1, sweep.t)) * totalDist;
-      const hitPoint = Vec3Utils.add(startCenter, Vec3Utils.multiply(Vec3Utils.subtract(endCenter, startCenter), sweep.t));
-      return {
-        hit: true,
-        point: hitPoint,
-        normal: sweep.normal,
-        distance: hitDist,
-        entityId: otherEntityId,
-      };
-    }
-    
     return {
-      hit: false,
-      point: Vec3Utils.add(movingAABB.min, displacement),
-      normal: { x: 0, y: 1, z: 0 },
-      distance: Vec3Utils.length(displacement),
+      hit: true,
+      point: Vec3Utils.add(start, Vec3Utils.multiply(displacement, sweep.t)),
+      normal: sweep.normal,
+      distance: Math.max(0, Math.min(1, sweep.t)) * totalDist,
+      entityId: otherEntityId,
     };
   }
-
-  /**
-   * Segment-vs-AABB intersection using the slab method. Returns entry t in [0,1] and surface normal.
-   */
-  private intersectSegmentAABB(start: Vec3, end: Vec3, aabb: AABB): { hit: boolean; t: number; normal: Vec3 } {
-    const dir = Vec3Utils.subtract(end, start);
-    let tmin = 0;
-    let tmax = 1;
-    let normal = { x: 0, y: 0, z: 0 };
-
-    const axes: Array<'x'|'y'|'z'> = ['x','y','z'];
-    for (const axis of axes) {
-      const s = (start as any)[axis] as number;
-      const d = (dir as any)[axis] as number;
-      const min = (aabb.min as any)[axis] as number;
-      const max = (aabb.max as any)[axis] as number;
-      if (Math.abs(d) < 1e-9) {
-        if (s < min || s > max) {
-          return { hit: false, t: 1, normal: { x: 0, y: 0, z: 0 } };
-        }
-        continue;
-      }
-      let t1 = (min - s) / d;
-      let t2 = (max - s) / d;
-      let enterNormalAxis: 'x'|'y'|'z' = axis;
-      if (t1 > t2) {
-        const tmp = t1; t1 = t2; t2 = tmp;
-        // entering from max side -> normal points positive along axis
-        // will resolve after selecting the final tmin axis
-      }
-      if (t1 > tmin) {
-        tmin = t1;
-        // Determine normal for this axis and direction
-        normal = { x: 0, y: 0, z: 0 };
-        if (axis === 'x') normal.x = d > 0 ? -1 : 1;
-        if (axis === 'y') normal.y = d > 0 ? -1 : 1;
-        if (axis === 'z') normal.z = d > 0 ? -1 : 1;
-      }
-      tmax = Math.min(tmax, t2);
-      if (tmax < tmin) {
-        return { hit: false, t: 1, normal: { x: 0, y: 0, z: 0 } };
-      }
-    }
-    return { hit: tmin >= 0 && tmin <= 1, t: tmin, normal };
-  }
   
   /**
    * Clamp movement to collision point
@@ -485,18 +1043,167 @@ export class BasicMovementSystem implements MovementSystem {
     return !result.ok;
   }
 
+  /**
+   * First solid thing along a ray on a layer: a solid entity or a chunk solid grid cell
+   */
+  raycast(
+    layerId: LayerId,
+    origin: Vec3,
+    direction: Vec3,
+    maxDistance: number,
+    filter: RaycastFilter = {}
+  ): RaycastHit | undefined {
+    const dir = Vec3Utils.normalize(direction);
+    if (Vec3Utils.length(dir) === 0 || maxDistance <= 0) return undefined;
+
+    let closest =
+      filter.voxels === false
+        ? undefined
+        : this.chunkManager.raycastSolids(layerId, origin, dir, maxDistance);
+    if (filter.entities === false) return closest;
+
+    const end = Vec3Utils.add(origin, Vec3Utils.multiply(dir, maxDistance));
+    for (const entityId of this.solids.queryRay(origin, dir, maxDistance)) {
+      if (filter.ignore?.includes(entityId)) continue;
+      if ((this.world?.getEntityLayer(entityId) ?? 'default') !== layerId) continue;
+      const solidity = this.ecsWorld.getContract<Solidity>(entityId, 'solidity');
+      const wanted = filter.collisionLayers;
+      if (wanted && !collisionLayersOf(solidity).some(layer => wanted.includes(layer))) continue;
+      const shape = this.ecsWorld.getContract<Shape>(entityId, 'shape');
+      const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+      if (!shape || !mobility) continue;
+
+      const hit = raycastCollider(origin, end, toCollider(shape, mobility.position));
+      const hitDistance = hit ? hit.t * maxDistance : Infinity;
+      if (!hit || (closest && closest.distance <= hitDistance)) continue;
+      closest = {
+        entityId,
+        point: Vec3Utils.add(origin, Vec3Utils.multiply(dir, hitDistance)),
+        normal: hit.t === 0 ? { x: 0, y: 0, z: 0 } : hit.normal,
+        distance: hitDistance,
+      };
+    }
+    return closest;
+  }
+
+  /**
+   * Whether a solid entity stops another: owners and what they own pass through each other,
+   * and the collision matrix decides the rest
+   */
+  blocks(entityId: EntityId, otherId: EntityId): boolean {
+    const solidity = this.ecsWorld.getContract<Solidity>(entityId, 'solidity');
+    const otherSolidity = this.ecsWorld.getContract<Solidity>(otherId, 'solidity');
+    if (!otherSolidity?.solid) return false;
+    if (otherSolidity.owner === entityId || solidity?.owner === otherId) return false;
+    const matrix = this.getWorldConditions()?.collisionMatrix;
+    return (
+      collisionResponse(collisionLayersOf(solidity), collisionLayersOf(otherSolidity), matrix) ===
+      'block'
+    );
+  }
+
   private isOnGround(entityId: EntityId): boolean {
+    return this.groundUnder(entityId) !== undefined;
+  }
+
+  /**
+   * The blocked result of a short probe straight down, or undefined when nothing is there.
+   * `blockedBy` names the entity being stood on, if it is one.
+   */
+  private groundUnder(entityId: EntityId): MoveResult | undefined {
     const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
-    if (!mobility) return false;
+    if (!mobility) return undefined;
 
     // Check if there's solid ground slightly below the entity
     const testPosition = {
       x: mobility.position.x,
-      y: mobility.position.y - 0.1,
+      y: mobility.position.y - GROUND_PROBE,
       z: mobility.position.z,
     };
 
-    return this.checkCollision(entityId, testPosition);
+    const result = this.attemptMove(entityId, testPosition, 0.016); // Same probe as checkCollision
+    return result.ok ? undefined : result;
+  }
+
+  /**
+   * Share of a normal move an entity can make right now: all of it on the ground or in fly
+   * mode, movement_rules.airControl of it in the air
+   */
+  private control(entityId: EntityId): number {
+    const rules = this.ecsWorld.getContract<MovementRules>(entityId, 'movement_rules');
+    if (rules?.airControl === undefined || rules.fly) return 1;
+    return this.isOnGround(entityId) ? 1 : rules.airControl;
+  }
+
+  /**
+   * Start a jump: set the vertical velocity to movement_rules.jumpVelocity. Only works
+   * from the ground.
+   */
+  jump(entityId: EntityId): ActionResult {
+    const rules = this.ecsWorld.getContract<MovementRules>(entityId, 'movement_rules');
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    if (!mobility) return { ok: false, reason: 'No mobility contract' };
+    if (!rules?.jumpVelocity) return { ok: false, reason: 'Jumping is not allowed' };
+    if (rules.fly) return { ok: false, reason: 'Cannot jump while flying' };
+    if (!this.isOnGround(entityId)) return { ok: false, reason: 'Not on the ground' };
+
+    const velocity = mobility.velocity ?? { x: 0, y: 0, z: 0 };
+    this.setVelocity(entityId, { ...velocity, y: rules.jumpVelocity });
+    return { ok: true };
+  }
+
+  /**
+   * Crouch down to movement_rules.crouchHeight, keeping the feet where they are, or stand
+   * back up. Standing up needs room overhead.
+   */
+  crouch(entityId: EntityId, crouching: boolean): ActionResult {
+    const shape = this.ecsWorld.getContract<Shape>(entityId, 'shape');
+    const position = this.ecsWorld.getContract<Mobility>(entityId, 'mobility')?.position;
+    if (!shape || !position) return { ok: false, reason: 'No shape or mobility contract' };
+    const standing = this.standingShapes.get(entityId);
+
+    if (!crouching) {
+      if (!standing) return { ok: true };
+      // Sweep the crouched shape up through the height it would grow by
+      const growth = standing.bounds.max.y - shape.bounds.max.y;
+      const head = { ...position, y: position.y + growth };
+      if (this.sweepTo(entityId, shape, position, head, new Set()).collision) {
+        return { ok: false, reason: 'No room to stand up' };
+      }
+      this.standingShapes.delete(entityId);
+      this.ecsWorld.addContract(entityId, standing);
+      return { ok: true };
+    }
+
+    if (standing) return { ok: true };
+    const rules = this.ecsWorld.getContract<MovementRules>(entityId, 'movement_rules');
+    if (!rules?.crouchHeight) return { ok: false, reason: 'Crouching is not allowed' };
+    const { min, max } = shape.bounds;
+    const height = Math.min(rules.crouchHeight, max.y - min.y);
+    this.standingShapes.set(entityId, shape);
+    const crouched: Shape = { ...shape, bounds: { min, max: { ...max, y: min.y + height } } };
+    this.ecsWorld.addContract(entityId, crouched);
+    return { ok: true };
+  }
+
+  isCrouching(entityId: EntityId): boolean {
+    return this.standingShapes.has(entityId);
+  }
+
+  /**
+   * In fly mode, climb or sink at the entity's maxSpeed (default 5) until told to stop
+   */
+  fly(entityId: EntityId, direction: 'up' | 'down' | 'stop'): ActionResult {
+    const rules = this.ecsWorld.getContract<MovementRules>(entityId, 'movement_rules');
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    if (!mobility) return { ok: false, reason: 'No mobility contract' };
+    if (!rules?.fly) return { ok: false, reason: 'Fly mode is off' };
+
+    const speed = mobility.maxSpeed || 5;
+    const y = direction === 'stop' ? 0 : direction === 'up' ? speed : -speed;
+    const velocity = mobility.velocity ?? { x: 0, y: 0, z: 0 };
+    this.setVelocity(entityId, { ...velocity, y });
+    return { ok: true };
   }
 
   /**
@@ -556,3 +1263,65 @@ export class BasicMovementSystem implements MovementSystem {
     return true;
   }
 }
+
+/**
+ * Walk up to `budget` meters along a kinematic path from `position`, turning at waypoints
+ * as the path's mode says
+ */
+function followPath(
+  position: Vec3,
+  path: Vec3[],
+  kinematic: Kinematic,
+  budget: number
+): { position: Vec3; waypoint: number; reverse: boolean } {
+  const mode = kinematic.mode ?? 'pingpong';
+  let waypoint = Math.min(kinematic.waypoint ?? 0, path.length - 1);
+  let reverse = kinematic.reverse ?? false;
+  let remaining = budget;
+
+  // Each waypoint is reached at most once per step, so zero-length legs cannot spin forever
+  for (let legs = 0; legs <= path.length; legs++) {
+    const target = path[waypoint]!;
+    const gap = distance(position, target);
+    if (gap > remaining) {
+      const toward = Vec3Utils.subtract(target, position);
+      position = Vec3Utils.add(position, Vec3Utils.multiply(toward, remaining / gap));
+      break;
+    }
+    position = { ...target };
+    remaining -= gap;
+    const next = nextWaypoint(waypoint, reverse, path.length, mode);
+    // 'once' stays at the last waypoint
+    if (!next) break;
+    ({ waypoint, reverse } = next);
+  }
+  return { position, waypoint, reverse };
+}
+
+function nextWaypoint(
+  index: number,
+  reverse: boolean,
+  count: number,
+  mode: NonNullable<Kinematic['mode']>
+): { waypoint: number; reverse: boolean } | undefined {
+  if (count < 2) return undefined;
+  const last = index + 1 >= count;
+  switch (mode) {
+    case 'loop':
+      return { waypoint: last ? 0 : index + 1, reverse: false };
+    case 'once':
+      return last ? undefined : { waypoint: index + 1, reverse: false };
+    case 'pingpong':
+      if (reverse) return { waypoint: index > 0 ? index - 1 : 1, reverse: index > 0 };
+      return { waypoint: last ? count - 2 : index + 1, reverse: last };
+  }
+}
+
+/**
+ * Bring a coordinate past either end of [min, max) back in from the other end
+ */
+function wrapCoordinate(value: number, min: number, max: number): number {
+  if (value >= min && value < max) return value;
+  const size = max - min;
+  return min + ((((value - min) % size) + size) % size);
+}
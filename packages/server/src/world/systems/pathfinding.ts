@@ -0,0 +1,537 @@
+import type { AABB, ChunkKey, EntityId, LayerId, Vec3 } from '@worldhost/shared';
+import type { Mobility, MovementRules, PathStatus, Shape } from '@worldhost/shared';
+import { Vec3Utils } from '@worldhost/shared';
+import type { ECSWorld } from '../ecs.js';
+import type { ChunkManager } from '../chunks.js';
+import type { BasicMovementSystem } from './movement.js';
+import { aabbIntersect } from '../space.js';
+import {
+  PATHFINDING_CELL_SIZE,
+  PATHFINDING_MAX_NODES,
+  PATHFINDING_CACHE_SIZE,
+  COLLISION_EPSILON,
+} from '../../config.js';
+
+// Times a follower plans again after getting stuck, before giving up
+const MAX_REPATHS = 3;
+// Horizontal distance at which a waypoint counts as reached
+const WAYPOINT_RADIUS = 0.01;
+
+const NEIGHBOURS = [
+  { dx: 1, dz: 0 },
+  { dx: -1, dz: 0 },
+  { dx: 0, dz: 1 },
+  { dx: 0, dz: -1 },
+  { dx: 1, dz: 1 },
+  { dx: 1, dz: -1 },
+  { dx: -1, dz: 1 },
+  { dx: -1, dz: -1 },
+];
+
+export interface PathResult {
+  ok: boolean;
+  // Waypoints after the start, ending at the goal; empty when no path was found
+  path: Vec3[];
+  reason?: string;
+  // Cells A* expanded; 0 for a cached path
+  expanded: number;
+  cached: boolean;
+}
+
+// One tick of an entity following a path, or the end of its walk
+export interface PathStep {
+  entityId: EntityId;
+  status: PathStatus;
+  position: Vec3;
+  // Chunks the entity occupied before the step, for chunk delta bookkeeping
+  previousChunks: ChunkKey[];
+  reason?: string;
+}
+
+export type PathStepListener = (step: PathStep) => void;
+
+export interface PathfindingWorld {
+  getEntityLayer(entityId: EntityId): LayerId | undefined;
+}
+
+export interface PathfindingSystem {
+  update(deltaTime: number): void;
+  findPath(entityId: EntityId, goal: Vec3, maxNodes?: number): PathResult;
+  moveTo(entityId: EntityId, goal: Vec3): PathResult;
+  stop(entityId: EntityId): boolean;
+}
+
+interface Cell {
+  x: number;
+  z: number;
+}
+
+interface CachedPath {
+  entityId: EntityId;
+  layerId: LayerId;
+  cells: Cell[];
+  // Everything the search looked at; changes outside it cannot change the path
+  region: AABB;
+}
+
+interface Follower {
+  layerId: LayerId;
+  goal: Vec3;
+  waypoints: Vec3[];
+  repaths: number;
+}
+
+interface SearchNode extends Cell {
+  g: number;
+  f: number;
+}
+
+/**
+ * A* over a horizontal walkability grid at the mover's height. A cell is walkable when the
+ * mover's bounds, centered on it, overlap no solid grid cell and no solid entity that blocks
+ * the mover; anything lower than the movement_rules stepHeight is left to the movement
+ * system to step onto. Paths are cached until a solid grid cell or solid entity changes
+ * inside the area the search covered.
+ */
+export class BasicPathfindingSystem implements PathfindingSystem {
+  private world?: PathfindingWorld;
+  private cache = new Map<string, CachedPath>();
+  private followers = new Map<EntityId, Follower>();
+  private stepListeners = new Set<PathStepListener>();
+
+  constructor(
+    private readonly ecsWorld: ECSWorld,
+    private readonly chunkManager: ChunkManager,
+    private readonly movementSystem: BasicMovementSystem,
+    private readonly cellSize: number = PATHFINDING_CELL_SIZE,
+    private readonly maxNodes: number = PATHFINDING_MAX_NODES,
+    private readonly maxCached: number = PATHFINDING_CACHE_SIZE
+  ) {
+    this.chunkManager.onSolidGridChange((chunkKey, bounds) =>
+      this.invalidate(bounds, chunkKey.layerId)
+    );
+    // Solid entities do not know their layer here, so their changes invalidate on every layer
+    this.movementSystem.solids.onChange((entityId, bounds) =>
+      this.invalidate(bounds, undefined, entityId)
+    );
+    this.ecsWorld.onEntityRemove(entityId => this.followers.delete(entityId));
+  }
+
+  setWorld(world: PathfindingWorld): void {
+    this.world = world;
+  }
+
+  /**
+   * Listen for path-following progress. Returns a function that removes the listener.
+   */
+  onStep(listener: PathStepListener): () => void {
+    this.stepListeners.add(listener);
+    return () => {
+      this.stepListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Plan a path for an entity from where it stands to `goal`, expanding at most `maxNodes`
+   * cells. Waypoints are at the entity's current height.
+   */
+  findPath(entityId: EntityId, goal: Vec3, maxNodes: number = this.maxNodes): PathResult {
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    const shape = this.ecsWorld.getContract<Shape>(entityId, 'shape');
+    if (!mobility) return failure('No mobility contract');
+    if (!shape) return failure('No shape contract');
+
+    const layerId = this.world?.getEntityLayer(entityId) ?? 'default';
+    const start = mobility.position;
+    const startCell = this.toCell(start);
+    const goalCell = this.toCell(goal);
+    const key = [
+      entityId,
+      layerId,
+      startCell.x,
+      startCell.z,
+      Math.floor(start.y / this.cellSize),
+      goalCell.x,
+      goalCell.z,
+    ].join('|');
+
+    const cached = this.cache.get(key);
+    if (cached) {
+      // Most recently used last
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return {
+        ok: true,
+        path: this.toWaypoints(startCell, cached.cells, start.y, goal),
+        expanded: 0,
+        cached: true,
+      };
+    }
+
+    const stepHeight =
+      this.ecsWorld.getContract<MovementRules>(entityId, 'movement_rules')?.stepHeight ?? 0;
+    const walkable = this.walkability(entityId, layerId, shape, start.y, stepHeight);
+    if (!sameCell(startCell, goalCell) && !walkable(goalCell)) {
+      return failure('Goal is blocked');
+    }
+
+    const search = this.search(startCell, goalCell, walkable, maxNodes);
+    if (!search.cells) {
+      return { ...failure(search.reason), expanded: search.expanded };
+    }
+
+    const margin = {
+      x: this.cellSize + Math.max(-shape.bounds.min.x, shape.bounds.max.x),
+      z: this.cellSize + Math.max(-shape.bounds.min.z, shape.bounds.max.z),
+    };
+    this.remember(key, {
+      entityId,
+      layerId,
+      cells: search.cells,
+      region: {
+        min: {
+          x: search.min.x * this.cellSize - margin.x,
+          y: start.y + shape.bounds.min.y,
+          z: search.min.z * this.cellSize - margin.z,
+        },
+        max: {
+          x: (search.max.x + 1) * this.cellSize + margin.x,
+          y: start.y + shape.bounds.max.y,
+          z: (search.max.z + 1) * this.cellSize + margin.z,
+        },
+      },
+    });
+    return {
+      ok: true,
+      path: this.toWaypoints(startCell, search.cells, start.y, goal),
+      expanded: search.expanded,
+      cached: false,
+    };
+  }
+
+  /**
+   * Plan a path and walk the entity along it on every update, replacing any walk it was on
+   */
+  moveTo(entityId: EntityId, goal: Vec3): PathResult {
+    const result = this.findPath(entityId, goal);
+    if (result.ok) {
+      this.followers.set(entityId, {
+        layerId: this.world?.getEntityLayer(entityId) ?? 'default',
+        goal,
+        waypoints: [...result.path],
+        repaths: 0,
+      });
+    } else {
+      this.followers.delete(entityId);
+    }
+    return result;
+  }
+
+  /**
+   * Stop walking an entity along its path. Returns false when it was not on one.
+   */
+  stop(entityId: EntityId): boolean {
+    return this.followers.delete(entityId);
+  }
+
+  isFollowing(entityId: EntityId): boolean {
+    return this.followers.has(entityId);
+  }
+
+  /**
+   * Walk every following entity toward its next waypoints through the movement system,
+   * which limits the step to maxSpeed and stops it at solids. Stuck entities plan again,
+   * up to MAX_REPATHS times.
+   */
+  update(deltaTime: number): void {
+    for (const [entityId, follower] of this.followers) {
+      const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+      if (!mobility) {
+        this.followers.delete(entityId);
+        continue;
+      }
+      const previousChunks = this.chunkManager.getEntityChunks(entityId);
+      const start = mobility.position;
+      if ((this.world?.getEntityLayer(entityId) ?? 'default') !== follower.layerId) {
+        this.finish(entityId, 'blocked', start, previousChunks, 'Left the layer');
+        continue;
+      }
+
+      const speed = mobility.maxSpeed || 5;
+      let position = start;
+      let remaining = deltaTime;
+      let stuck = false;
+      let waypoint = follower.waypoints[0];
+      while (waypoint && remaining > 0) {
+        const result = this.movementSystem.moveEntity(
+          entityId,
+          { x: waypoint.x, y: position.y, z: waypoint.z },
+          remaining
+        );
+        const travelled = horizontalDistance(position, result.position);
+        position =
+          this.ecsWorld.getContract<Mobility>(entityId, 'mobility')?.position ?? result.position;
+        if (horizontalDistance(position, waypoint) > WAYPOINT_RADIUS) {
+          stuck = !result.ok && travelled < COLLISION_EPSILON;
+          break;
+        }
+        follower.waypoints.shift();
+        follower.repaths = 0;
+        remaining -= travelled / speed;
+        waypoint = follower.waypoints[0];
+      }
+
+      if (!waypoint) {
+        this.finish(entityId, 'arrived', position, previousChunks);
+        continue;
+      }
+      if (stuck) {
+        const replanned =
+          follower.repaths < MAX_REPATHS ? this.findPath(entityId, follower.goal) : undefined;
+        if (!replanned?.ok) {
+          this.finish(entityId, 'blocked', position, previousChunks, replanned?.reason ?? 'Stuck');
+          continue;
+        }
+        follower.repaths++;
+        follower.waypoints = replanned.path;
+      }
+      if (Vec3Utils.distance(position, start) > 0) {
+        this.emit({ entityId, status: 'moving', position, previousChunks });
+      }
+    }
+  }
+
+  private finish(
+    entityId: EntityId,
+    status: PathStatus,
+    position: Vec3,
+    previousChunks: ChunkKey[],
+    reason?: string
+  ): void {
+    this.followers.delete(entityId);
+    this.emit({ entityId, status, position, previousChunks, reason });
+  }
+
+  private emit(step: PathStep): void {
+    for (const listener of this.stepListeners) {
+      listener(step);
+    }
+  }
+
+  /**
+   * Memoized walkability test for one search: the mover's bounds at the cell center, from
+   * stepHeight above its feet to its top, shrunk so that touching a solid does not count
+   */
+  private walkability(
+    entityId: EntityId,
+    layerId: LayerId,
+    shape: Shape,
+    y: number,
+    stepHeight: number
+  ): (cell: Cell) => boolean {
+    const known = new Map<string, boolean>();
+    const bottom = Math.min(shape.bounds.min.y + stepHeight, shape.bounds.max.y);
+    return cell => {
+      const key = `${cell.x},${cell.z}`;
+      const cachedResult = known.get(key);
+      if (cachedResult !== undefined) return cachedResult;
+
+      const center = this.cellCenter(cell);
+      const bounds: AABB = {
+        min: {
+          x: center.x + shape.bounds.min.x + COLLISION_EPSILON,
+          y: y + bottom + COLLISION_EPSILON,
+          z: center.z + shape.bounds.min.z + COLLISION_EPSILON,
+        },
+        max: {
+          x: center.x + shape.bounds.max.x - COLLISION_EPSILON,
+          y: y + shape.bounds.max.y - COLLISION_EPSILON,
+          z: center.z + shape.bounds.max.z - COLLISION_EPSILON,
+        },
+      };
+      const blocked =
+        this.chunkManager.overlapsSolid(layerId, bounds) ||
+        this.movementSystem.solids
+          .query(bounds)
+          .some(
+            otherId =>
+              otherId !== entityId &&
+              (this.world?.getEntityLayer(otherId) ?? 'default') === layerId &&
+              this.movementSystem.blocks(entityId, otherId)
+          );
+      known.set(key, !blocked);
+      return !blocked;
+    };
+  }
+
+  /**
+   * A* with 8-way moves; diagonals may not cut the corner of a blocked cell. Returns the
+   * cells after the start, or why there are none, and the range of cells expanded.
+   */
+  private search(
+    start: Cell,
+    goal: Cell,
+    walkable: (cell: Cell) => boolean,
+    maxNodes: number
+  ): { cells?: Cell[]; reason: string; expanded: number; min: Cell; max: Cell } {
+    const heuristic = (cell: Cell) => {
+      const dx = Math.abs(cell.x - goal.x);
+      const dz = Math.abs(cell.z - goal.z);
+      return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    };
+    const keyOf = (cell: Cell) => `${cell.x},${cell.z}`;
+    const open = new MinHeap<SearchNode>(node => node.f);
+    const best = new Map<string, number>([[keyOf(start), 0]]);
+    const parents = new Map<string, Cell>();
+    const closed = new Set<string>();
+    const min = { ...start };
+    const max = { ...start };
+    let expanded = 0;
+    open.push({ ...start, g: 0, f: heuristic(start) });
+
+    for (let node = open.pop(); node; node = open.pop()) {
+      const key = keyOf(node);
+      if (closed.has(key)) continue;
+      closed.add(key);
+      expanded++;
+      min.x = Math.min(min.x, node.x);
+      min.z = Math.min(min.z, node.z);
+      max.x = Math.max(max.x, node.x);
+      max.z = Math.max(max.z, node.z);
+
+      if (sameCell(node, goal)) {
+        const cells: Cell[] = [];
+        for (let cell: Cell | undefined = node; cell && !sameCell(cell, start); ) {
+          cells.unshift({ x: cell.x, z: cell.z });
+          cell = parents.get(keyOf(cell));
+        }
+        return { cells, reason: '', expanded, min, max };
+      }
+      if (expanded >= maxNodes) {
+        return { reason: `No path within ${maxNodes} cells`, expanded, min, max };
+      }
+
+      for (const { dx, dz } of NEIGHBOURS) {
+        const next = { x: node.x + dx, z: node.z + dz };
+        if (closed.has(keyOf(next)) || !walkable(next)) continue;
+        if (dx !== 0 && dz !== 0) {
+          if (
+            !walkable({ x: node.x + dx, z: node.z }) ||
+            !walkable({ x: node.x, z: node.z + dz })
+          ) {
+            continue;
+          }
+        }
+        const g = node.g + (dx !== 0 && dz !== 0 ? Math.SQRT2 : 1);
+        const nextKey = keyOf(next);
+        if (g >= (best.get(nextKey) ?? Infinity)) continue;
+        best.set(nextKey, g);
+        parents.set(nextKey, node);
+        open.push({ ...next, g, f: g + heuristic(next) });
+      }
+    }
+    return { reason: 'No path to goal', expanded, min, max };
+  }
+
+  /**
+   * Waypoints at the turns of the cell path, ending exactly at the goal
+   */
+  private toWaypoints(start: Cell, cells: Cell[], y: number, goal: Vec3): Vec3[] {
+    const waypoints: Vec3[] = [];
+    for (let i = 0; i < cells.length - 1; i++) {
+      const previous = cells[i - 1] ?? start;
+      const cell = cells[i]!;
+      const next = cells[i + 1]!;
+      const straight =
+        next.x - cell.x === cell.x - previous.x && next.z - cell.z === cell.z - previous.z;
+      if (straight) continue;
+      const center = this.cellCenter(cell);
+      waypoints.push({ x: center.x, y, z: center.z });
+    }
+    waypoints.push({ x: goal.x, y, z: goal.z });
+    return waypoints;
+  }
+
+  private remember(key: string, entry: CachedPath): void {
+    this.cache.set(key, entry);
+    for (const oldest of this.cache.keys()) {
+      if (this.cache.size <= this.maxCached) break;
+      this.cache.delete(oldest);
+    }
+  }
+
+  /**
+   * Drop cached paths whose search covered the changed bounds. A mover's own motion does
+   * not invalidate its paths.
+   */
+  private invalidate(bounds: AABB, layerId?: LayerId, entityId?: EntityId): void {
+    for (const [key, entry] of this.cache) {
+      if (entry.entityId === entityId) continue;
+      if (layerId !== undefined && entry.layerId !== layerId) continue;
+      if (aabbIntersect(entry.region, bounds)) this.cache.delete(key);
+    }
+  }
+
+  private toCell(position: Vec3): Cell {
+    return { x: Math.floor(position.x / this.cellSize), z: Math.floor(position.z / this.cellSize) };
+  }
+
+  private cellCenter(cell: Cell): { x: number; z: number } {
+    return { x: (cell.x + 0.5) * this.cellSize, z: (cell.z + 0.5) * this.cellSize };
+  }
+}
+
+function failure(reason: string): PathResult {
+  return { ok: false, path: [], reason, expanded: 0, cached: false };
+}
+
+function sameCell(a: Cell, b: Cell): boolean {
+  return a.x === b.x && a.z === b.z;
+}
+
+function horizontalDistance(a: Vec3, b: Vec3): number {
+  return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+/**
+ * Binary min-heap keyed by `score`
+ */
+class MinHeap<T> {
+  private items: T[] = [];
+
+  constructor(private readonly score: (item: T) => number) {}
+
+  push(item: T): void {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.score(items[parent]!) <= this.score(item)) break;
+      items[i] = items[parent]!;
+      i = parent;
+    }
+    items[i] = item;
+  }
+
+  pop(): T | undefined {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length === 0 || last === undefined) return top;
+
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      if (left >= items.length) break;
+      const right = left + 1;
+      const child =
+        right < items.length && this.score(items[right]!) < this.score(items[left]!) ? right : left;
+      if (this.score(items[child]!) >= this.score(last)) break;
+      items[i] = items[child]!;
+      i = child;
+    }
+    items[i] = last;
+    return top;
+  }
+}
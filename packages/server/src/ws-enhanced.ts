@@ -1,29 +1,74 @@
 import { WebSocketServer, WebSocket } from 'ws';
 import { IncomingMessage, Server } from 'node:http';
 import type { ChunkKey, Vec3, EntityId, AnyContract } from '@worldhost/shared';
-import { ChunkUtils } from '@worldhost/shared';
-import type { MovementRules, CommandAccess, Mobility } from '@worldhost/shared';
-import { keyFromPos, getNeighboringChunks } from './world/space.js';
+import { ChunkUtils, Vec3Utils } from '@worldhost/shared';
+import type { MovementRules, CommandAccess, Mobility, WorldCommands } from '@worldhost/shared';
+import type { Identity, ChatChannel, ServerChatMessage } from '@worldhost/shared';
+import type { ClientRaycastMessage, ServerRaycastResultMessage } from '@worldhost/shared';
+import type { ClientMoveToMessage, ServerMoveToResultMessage } from '@worldhost/shared';
+import type { ClientJumpMessage, ClientCrouchMessage } from '@worldhost/shared';
+import type { ClientFlyDirMessage } from '@worldhost/shared';
+import { keyFromPos, getNeighboringChunks, isChunkInBounds } from './world/space.js';
 import type { AppContext } from './app.js';
-import type { MoveResult } from './world/systems/movement.js';
-import { WS_HEARTBEAT_MS, METRICS_ENABLED } from './config.js';
+import type { ChunkDelta } from './world/chunks.js';
+import type { MoveResult, EntityTransfer, TriggerEvent } from './world/systems/movement.js';
+import type { BoundaryEvent } from './world/systems/movement.js';
+import type { ActionResult } from './world/systems/movement.js';
+import {
+  WS_HEARTBEAT_MS,
+  METRICS_ENABLED,
+  MAX_MESSAGES_PER_SECOND,
+  MAX_MESSAGE_SIZE,
+  MAX_SUBS_PER_CLIENT,
+  MAX_CONCURRENT_CONNECTIONS,
+  WS_RESUME_GRACE_MS,
+  AUTH_SECRET,
+  AUTH_PUBLIC_KEY,
+  AUTH_ISSUER,
+  AUTH_AUDIENCE,
+  CHAT_PROXIMITY_RADIUS,
+  CHAT_MESSAGES_PER_MINUTE,
+  CHAT_BURST,
+  CHAT_HISTORY_SIZE,
+  MOVE_MAX_INTERVAL_MS,
+  TICK_RATE_DISABLED,
+  RAYCAST_MAX_DISTANCE,
+} from './config.js';
+import { createCommandAccess } from './world/contracts.js';
+import { SessionStore } from './sessions.js';
+import { LoginTokenVerifier, playerIdForSubject } from './auth.js';
+import { ChatService } from './chat.js';
+import { InputQueue } from './inputs.js';
+import type { LoginClaims } from './auth.js';
+import { ConnectionLimiter } from './rate-limit.js';
+import type { ViolationAction } from './rate-limit.js';
+import { WIRE_ENCODINGS, isWireEncoding, encodeWireMessage, decodeWireMessage } from './wire.js';
+import type { WireEncoding, WirePayload } from './wire.js';
+import { parseClientMessage } from './ws-messages.js';
+import type { WsErrorCode } from './ws-messages.js';
 import { 
   connectedClients, 
   totalConnections, 
   connectionDuration, 
   trackInboundMessage, 
-  trackOutboundMessage 
+  trackOutboundMessage,
+  trackLimitEvent
 } from './metrics.js';
 
 // Enhanced client message types
 export interface HelloMessage {
   type: 'hello';
   clientVersion?: string;
+  // Wire encodings the client accepts, most preferred first (defaults to json)
+  encodings?: WireEncoding[];
+  // Token from a previous connection's hello_ok, to take back its player and subscriptions
+  resumeToken?: string;
 }
 
 export interface SubscribeChunksMessage {
   type: 'subscribe_chunks';
-  chunkKeys: ChunkKey[];
+  // sinceVersion: last chunk version the client holds; only newer deltas are sent
+  chunkKeys: Array<ChunkKey & { sinceVersion?: number }>;
 }
 
 export interface UnsubscribeChunksMessage {
@@ -34,13 +79,21 @@ export interface UnsubscribeChunksMessage {
 export interface MoveMessage {
   type: 'move';
   want: Vec3;
+  // Client input sequence number, echoed back as move_result.ack
+  seq?: number;
 }
 
 // New simple login/logout and convenience commands
-export interface LoginMessage { type: 'login'; layerId?: string; playerName?: string }
+// token: signed login token; required when the server has an auth secret or key configured
+export interface LoginMessage { type: 'login'; layerId?: string; playerName?: string; token?: string }
 export interface LogoutMessage { type: 'logout' }
 export interface SetViewMessage { type: 'set_view'; radius: number }
-export interface MoveDirMessage { type: 'move_dir'; directions: Array<'north'|'south'|'east'|'west'> }
+export interface MoveDirMessage { type: 'move_dir'; directions: Array<'north'|'south'|'east'|'west'>; seq?: number }
+// Jumps, crouches and fly_dir go through the input queue with moves
+type MovementAction = ClientJumpMessage | ClientCrouchMessage | ClientFlyDirMessage;
+type MoveInput = MoveMessage | MoveDirMessage | MovementAction;
+// channel defaults to proximity; whisper needs `to` (a player id)
+export interface ChatMessage { type: 'chat'; message: string; channel?: ChatChannel; to?: EntityId }
 
 export interface InteractMessage {
   type: 'interact';
@@ -67,6 +120,17 @@ export interface HelloOkMessage {
   clientId: string;
   serverId: string;
   serverVersion: string;
+  // On connect: encodings the server supports. In reply to hello: the one chosen,
+  // used for every message after this one.
+  encodings?: readonly WireEncoding[];
+  encoding?: WireEncoding;
+  // Present this in a later hello to resume after a dropped connection
+  resumeToken?: string;
+  // In reply to hello with a resumeToken: whether the old session was restored
+  resumed?: boolean;
+  playerId?: string;
+  // Simulation tick at the time of sending
+  tick?: number;
 }
 
 export interface ChunkSnapshotMessage {
@@ -88,6 +152,8 @@ export interface ChunkDeltaMessage {
     contracts?: AnyContract[];
   };
   version: number;
+  // Simulation tick the change was sent in
+  tick: number;
 }
 
 export interface EntityUpdateMessage {
@@ -113,14 +179,47 @@ export interface EntityDespawnMessage {
 export interface MoveResultMessage {
   type: 'move_result';
   success: boolean;
+  // Where the server actually put the player, after the speed clamp and collisions
   position: Vec3;
   reason?: string;
+  blockedReason?: string;
+  collisionNormal?: Vec3;
+  // Last input seq processed, once the client sends them, and the tick it was processed in
+  ack?: number;
+  tick?: number;
+}
+
+// Sent to the player's own connection when it goes through an entrance to another layer
+export interface EntityTransferMessage extends EntityTransfer {
+  type: 'entity_transfer';
+}
+
+// Sent to the player's own connection when it moves into a trigger-only entity
+export interface TriggerMessage extends TriggerEvent {
+  type: 'trigger';
+}
+
+// Sent to the player's own connection when a layer's boundaries wrap, respawn or destroy it
+export interface EntityBoundaryMessage extends BoundaryEvent {
+  type: 'entity_boundary';
+}
+
+export interface InteractResultMessage {
+  type: 'interact_result';
+  actorId: EntityId;
+  action: string;
+  success: boolean;
+  targetId?: EntityId;
+  reason?: string;
+  details?: Record<string, unknown>;
 }
 
 export interface ErrorMessage {
   type: 'error';
-  code: string;
+  code: WsErrorCode; // See WS_ERROR_CODES in ws-messages.ts
   message: string;
+  // Field paths for VALIDATION_FAILED
+  issues?: Array<{ path: string; message: string }>;
 }
 
 // Union types for enhanced messages
@@ -135,7 +234,11 @@ export type EnhancedClientMessage =
   | LoginMessage
   | LogoutMessage
   | SetViewMessage
-  | MoveDirMessage;
+  | MoveDirMessage
+  | MovementAction
+  | ChatMessage
+  | ClientRaycastMessage
+  | ClientMoveToMessage;
 
 export type EnhancedServerMessage = 
   | HelloOkMessage
@@ -145,9 +248,16 @@ export type EnhancedServerMessage =
   | EntitySpawnMessage
   | EntityDespawnMessage
   | MoveResultMessage
+  | InteractResultMessage
+  | EntityTransferMessage
+  | TriggerMessage
+  | EntityBoundaryMessage
   | { type: 'login_ok'; playerId: string; layerId: string }
   | { type: 'logout_ok' }
   | { type: 'set_view_ok'; radius: number }
+  | ServerChatMessage
+  | ServerRaycastResultMessage
+  | ServerMoveToResultMessage
   | ErrorMessage;
 
 export interface ClientConnection {
@@ -158,12 +268,27 @@ export interface ClientConnection {
   subscribedChunks: Set<string>; // ChunkKey strings
   lastActivity: number;
   viewRadius?: number;
+  limiter: ConnectionLimiter;
+  resumeToken: string;
+  inputs: InputQueue<MoveInput>;
+  lastMoveAt?: number;
+  // requestId of the player's current move_to walk
+  moveToRequestId?: string;
 }
 
+// Negotiated wire encoding per socket; sockets that never negotiated use json
+const connectionEncodings = new WeakMap<WebSocket, WireEncoding>();
+
+// Close codes (RFC 6455 section 7.4.1)
+const CLOSE_POLICY_VIOLATION = 1008;
+const CLOSE_TRY_AGAIN_LATER = 1013;
+
 export function setupEnhancedWebSocketServer(httpServer: Server, context: AppContext) {
   const wss = new WebSocketServer({ 
     server: httpServer,
-    path: '/ws'
+    path: '/ws',
+    // Larger frames are rejected by ws and the socket closed with 1009
+    maxPayload: MAX_MESSAGE_SIZE,
   });
 
   // Prevent unhandled error from crashing process (e.g., EADDRINUSE bubbling)
@@ -174,6 +299,21 @@ export function setupEnhancedWebSocketServer(httpServer: Server, context: AppCon
   const clients = new Map<WebSocket, ClientConnection>();
   const clientsById = new Map<string, ClientConnection>();
   const chunkSubscriptions = new Map<string, Set<string>>(); // ChunkKey -> Set<clientId>
+  const sessions = new SessionStore(WS_RESUME_GRACE_MS);
+  const verifier = new LoginTokenVerifier({
+    secret: AUTH_SECRET,
+    publicKey: AUTH_PUBLIC_KEY,
+    issuer: AUTH_ISSUER,
+    audience: AUTH_AUDIENCE,
+  });
+  if (verifier.enabled) {
+    console.log('🔐 Login requires a signed token');
+  }
+  const chat = new ChatService({
+    historySize: CHAT_HISTORY_SIZE,
+    messagesPerMinute: CHAT_MESSAGES_PER_MINUTE,
+    burst: CHAT_BURST,
+  });
   
   // Generate unique server ID
   const serverId = `server-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -181,6 +321,175 @@ export function setupEnhancedWebSocketServer(httpServer: Server, context: AppCon
   // Track entity positions for chunk change detection
   const entityPositions = new Map<EntityId, Vec3>();
 
+  // Chunk deltas are queued and flushed after the current change completes, so contracts
+  // are read once the entity is fully built (spawn hooks fire mid-createEntity)
+  let pendingDeltas: Array<{ chunkKey: ChunkKey; delta: ChunkDelta }> = [];
+  // Chunks whose delta ring a terrain change emptied; their subscribers would see a version
+  // gap they cannot fill, so they are sent one fresh snapshot per batch instead
+  let pendingResyncs = new Map<string, ChunkKey>();
+  const scheduleFlush = () => {
+    if (pendingDeltas.length === 0 && pendingResyncs.size === 0) {
+      queueMicrotask(flushChunkDeltas);
+    }
+  };
+  const stopDeltaListener = context.chunkManager.onDelta((chunkKey, delta) => {
+    if (!chunkSubscriptions.has(ChunkUtils.toString(chunkKey))) return;
+    scheduleFlush();
+    pendingDeltas.push({ chunkKey, delta });
+  });
+  const stopResyncListener = context.chunkManager.onResync(chunkKey => {
+    const chunkKeyStr = ChunkUtils.toString(chunkKey);
+    if (!chunkSubscriptions.has(chunkKeyStr)) return;
+    scheduleFlush();
+    pendingResyncs.set(chunkKeyStr, chunkKey);
+  });
+
+  function flushChunkDeltas() {
+    const deltas = pendingDeltas;
+    const resyncs = pendingResyncs;
+    pendingDeltas = [];
+    pendingResyncs = new Map();
+
+    // A chunk crossing is a despawn from the chunks left plus a spawn in the chunks entered;
+    // clients that see the entity on both sides get an update instead of either
+    const left = new Map<EntityId, Set<string>>();
+    const entered = new Map<EntityId, Set<string>>();
+    for (const { chunkKey, delta } of deltas) {
+      if (delta.type === 'entity_update') continue;
+      const crossed = delta.type === 'entity_despawn' ? left : entered;
+      let keys = crossed.get(delta.entityId);
+      if (!keys) {
+        keys = new Set();
+        crossed.set(delta.entityId, keys);
+      }
+      keys.add(ChunkUtils.toString(chunkKey));
+    }
+    const chunksNow = new Map<EntityId, string[]>();
+    const entityChunks = (entityId: EntityId) => {
+      let keys = chunksNow.get(entityId);
+      if (!keys) {
+        keys = context.chunkManager.getEntityChunks(entityId).map(ChunkUtils.toString);
+        chunksNow.set(entityId, keys);
+      }
+      return keys;
+    };
+    const seesAny = (client: ClientConnection, keys: Iterable<string>) => {
+      for (const key of keys) {
+        if (client.subscribedChunks.has(key)) return true;
+      }
+      return false;
+    };
+
+    for (const { chunkKey, delta } of deltas) {
+      const chunkKeyStr = ChunkUtils.toString(chunkKey);
+      // The snapshot below already includes this change
+      if (resyncs.has(chunkKeyStr)) continue;
+      const subscribers = chunkSubscriptions.get(chunkKeyStr);
+      if (!subscribers) continue;
+      const message = buildChunkDeltaMessage(chunkKey, delta, context);
+      const encoded = new Map<WireEncoding, WirePayload>();
+      // Chunks the entity was visible through before this batch
+      let seenBefore: string[] | undefined;
+      let update: ChunkDeltaMessage | undefined;
+      let updateEncoded: Map<WireEncoding, WirePayload> | undefined;
+      for (const clientId of subscribers) {
+        const client = clientsById.get(clientId);
+        if (!client) continue;
+
+        if (delta.type === 'entity_despawn' && seesAny(client, entityChunks(delta.entityId))) {
+          continue;
+        }
+        if (delta.type === 'entity_spawn') {
+          seenBefore ??= [
+            ...(left.get(delta.entityId) ?? []),
+            ...entityChunks(delta.entityId).filter(key => !entered.get(delta.entityId)?.has(key)),
+          ];
+          if (seesAny(client, seenBefore)) {
+            update ??= { ...message, delta: { ...message.delta, type: 'entity_update' } };
+            updateEncoded ??= new Map();
+            sendMessage(client.ws, update, updateEncoded);
+            continue;
+          }
+        }
+        sendMessage(client.ws, message, encoded);
+      }
+    }
+
+    for (const [chunkKeyStr, chunkKey] of resyncs) {
+      for (const clientId of chunkSubscriptions.get(chunkKeyStr) ?? []) {
+        const client = clientsById.get(clientId);
+        if (client) sendChunkSnapshot(client.ws, chunkKey, context);
+      }
+    }
+  }
+
+  // Players going through an entrance are told, and auto views follow them to the new layer
+  const stopTransferListener = context.movementSystem.onTransfer(transfer => {
+    for (const client of clients.values()) {
+      if (client.playerId !== transfer.entityId) continue;
+      sendMessage(client.ws, { type: 'entity_transfer', ...transfer });
+      updateAutoSubscriptions(client, context, chunkSubscriptions);
+    }
+  });
+
+  const stopTriggerListener = context.movementSystem.onTrigger(event => {
+    for (const client of clients.values()) {
+      if (client.playerId === event.entityId) sendMessage(client.ws, { type: 'trigger', ...event });
+    }
+  });
+
+  // Wraps and respawns reach watchers and auto views as moves; a player the boundaries
+  // destroyed is no longer in the world, so its connection is logged out of it
+  const stopBoundaryListener = context.movementSystem.onBoundary(event => {
+    for (const client of clients.values()) {
+      if (client.playerId !== event.entityId) continue;
+      sendMessage(client.ws, { type: 'entity_boundary', ...event });
+      if (event.action === 'destroyed') {
+        client.playerId = undefined;
+        client.inputs.drain();
+      }
+    }
+  });
+
+  // Entities walking a path are broadcast like moved players; a player's own connection
+  // also hears when its move_to walk ends
+  const stopPathListener = context.pathfindingSystem.onStep(step => {
+    entityPositions.set(step.entityId, step.position);
+    broadcastEntityUpdate(step.entityId, context, 'entity_update', step.previousChunks);
+    for (const client of clients.values()) {
+      if (client.playerId !== step.entityId) continue;
+      if (client.viewRadius) updateAutoSubscriptions(client, context, chunkSubscriptions);
+      if (step.status === 'moving') continue;
+      sendMessage(client.ws, {
+        type: 'move_to_result',
+        requestId: client.moveToRequestId,
+        status: step.status,
+        position: step.position,
+        reason: step.reason,
+      });
+    }
+  });
+
+  // Falling, jumping, flying and riding platforms happen in the movement update, between
+  // inputs; watchers see each step and auto views follow a player carried to new chunks
+  const stopMoveListener = context.movementSystem.onMove(move => {
+    entityPositions.set(move.entityId, move.position);
+    broadcastEntityUpdate(move.entityId, context, 'entity_update', move.previousChunks);
+    for (const client of clients.values()) {
+      if (client.playerId === move.entityId && client.viewRadius) {
+        updateAutoSubscriptions(client, context, chunkSubscriptions);
+      }
+    }
+  });
+
+  // Queued movement inputs are applied at the start of every tick
+  const processInputs = () => {
+    for (const client of clients.values()) {
+      processClientInputs(client, context, chunkSubscriptions, entityPositions);
+    }
+  };
+  context.tickHandlers.add(processInputs);
+
   // Heartbeat interval to detect dead connections
   const heartbeatInterval = setInterval(() => {
     wss.clients.forEach((ws) => {
@@ -200,6 +509,13 @@ export function setupEnhancedWebSocketServer(httpServer: Server, context: AppCon
   wss.on('connection', (ws: WebSocket, req: IncomingMessage) => {
     console.log('🔗 New WebSocket connection from:', req.socket.remoteAddress);
 
+    if (clients.size >= MAX_CONCURRENT_CONNECTIONS) {
+      console.warn(`🚫 Refusing connection: at limit of ${MAX_CONCURRENT_CONNECTIONS} clients`);
+      trackLimitEvent('connections', 'refuse');
+      ws.close(CLOSE_TRY_AGAIN_LATER, 'Server is at its connection limit');
+      return;
+    }
+
     // Generate unique client ID
     const clientId = `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const connectionStartTime = Date.now();
@@ -210,6 +526,9 @@ export function setupEnhancedWebSocketServer(httpServer: Server, context: AppCon
       isAlive: true,
       subscribedChunks: new Set(),
       lastActivity: Date.now(),
+      limiter: new ConnectionLimiter({ messagesPerSecond: MAX_MESSAGES_PER_SECOND }),
+      resumeToken: sessions.issueToken(),
+      inputs: new InputQueue(),
     };
     
     clients.set(ws, client);
@@ -227,6 +546,9 @@ export function setupEnhancedWebSocketServer(httpServer: Server, context: AppCon
       clientId,
       serverId,
       serverVersion: '1.0.0',
+      encodings: WIRE_ENCODINGS,
+      resumeToken: client.resumeToken,
+      tick: context.tick,
     });
     context.devEvents.publish({ type: 'ws_connect', payload: { clientId, remote: req.socket.remoteAddress } });
 
@@ -239,18 +561,21 @@ export function setupEnhancedWebSocketServer(httpServer: Server, context: AppCon
     });
 
     // Handle incoming messages
-    ws.on('message', (data: Buffer) => {
+    ws.on('message', (data: Buffer, isBinary: boolean) => {
+      // Frames already buffered when we closed the connection are dropped
+      if (ws.readyState !== WebSocket.OPEN) return;
       client.lastActivity = Date.now();
       
+      const allowance = client.limiter.consume(client.lastActivity);
+      if (allowance !== 'allow') {
+        const reason = `Rate limit of ${MAX_MESSAGES_PER_SECOND} messages/second exceeded`;
+        enforceLimit(client, 'rate', allowance, 'RATE_LIMITED', reason);
+        return;
+      }
+      
+      let raw: unknown;
       try {
-        const message: EnhancedClientMessage = JSON.parse(data.toString());
-        
-        // Track message metrics
-        if (METRICS_ENABLED) {
-          trackInboundMessage(message.type, clientId);
-        }
-        
-        handleEnhancedClientMessage(ws, client, message, context, chunkSubscriptions, entityPositions);
+        raw = decodeWireMessage(data, isBinary);
       } catch (error) {
         console.error('Failed to parse message:', error);
         sendMessage(ws, {
@@ -258,6 +583,34 @@ export function setupEnhancedWebSocketServer(httpServer: Server, context: AppCon
           code: 'INVALID_MESSAGE',
           message: 'Failed to parse message',
         });
+        return;
+      }
+      
+      // Validate before dispatch so handlers only ever see well-formed messages
+      const parsed = parseClientMessage(raw);
+      if (!parsed.success) {
+        if (METRICS_ENABLED) {
+          trackInboundMessage('invalid', clientId);
+        }
+        sendMessage(ws, parsed.error);
+        return;
+      }
+      const message = parsed.message;
+      
+      // Track message metrics
+      if (METRICS_ENABLED) {
+        trackInboundMessage(message.type, clientId);
+      }
+      
+      try {
+        handleEnhancedClientMessage(ws, client, message, context, chunkSubscriptions, entityPositions, serverId, sessions, verifier, clientsById, chat);
+      } catch (error) {
+        console.error(`Failed to handle ${message.type} message:`, error);
+        sendMessage(ws, {
+          type: 'error',
+          code: 'INTERNAL_ERROR',
+          message: `Failed to handle ${message.type} message`,
+        });
       }
     });
 
@@ -274,9 +627,21 @@ export function setupEnhancedWebSocketServer(httpServer: Server, context: AppCon
           connectedClients.dec();
         }
         
-        // Clean up player
-        if (client.playerId) {
-          context.worldState.removePlayer(client.playerId);
+        // Park the player for a resume; it is removed if the grace period runs out
+        const session = {
+          playerId: client.playerId,
+          subscribedChunks: new Set(client.subscribedChunks),
+          viewRadius: client.viewRadius,
+          parkedAt: Date.now(),
+        };
+        const parked = sessions.park(client.resumeToken, session, expired => {
+          if (expired.playerId) {
+            console.log(`⌛ Resume window closed for ${expired.playerId}`);
+            despawnPlayer(expired.playerId, context);
+          }
+        });
+        if (!parked && client.playerId) {
+          despawnPlayer(client.playerId, context);
         }
         
         // Clean up chunk subscriptions
@@ -290,20 +655,27 @@ export function setupEnhancedWebSocketServer(httpServer: Server, context: AppCon
     });
 
     // Handle errors
-    ws.on('error', (error: Error) => {
+    ws.on('error', (error: Error & { code?: string }) => {
       console.error('WebSocket error:', error);
-      const client = clients.get(ws);
-      if (client) {
-        cleanupClientSubscriptions(client, chunkSubscriptions);
-        clients.delete(ws);
-        clientsById.delete(client.clientId);
+      if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+        trackLimitEvent('payload', 'disconnect');
       }
+      // ws always follows 'error' with 'close', which parks or removes the player
       context.devEvents.publish({ type: 'ws_error', payload: { clientId, message: error.message } });
     });
   });
 
   wss.on('close', () => {
     clearInterval(heartbeatInterval);
+    stopDeltaListener();
+    stopResyncListener();
+    stopTransferListener();
+    stopTriggerListener();
+    stopPathListener();
+    stopMoveListener();
+    stopBoundaryListener();
+    context.tickHandlers.delete(processInputs);
+    sessions.dispose();
   });
 
   // Utility functions
@@ -330,14 +702,14 @@ export function setupEnhancedWebSocketServer(httpServer: Server, context: AppCon
     
     if (!subscribers) return;
     
-    const messageStr = JSON.stringify(message);
+    const encoded = new Map<WireEncoding, WirePayload>();
     
     for (const clientId of subscribers) {
       if (clientId === excludeClientId) continue;
       
       const client = clientsById.get(clientId);
-      if (client && client.ws.readyState === WebSocket.OPEN) {
-        client.ws.send(messageStr);
+      if (client) {
+        sendMessage(client.ws, message, encoded);
       }
     }
   }
@@ -351,14 +723,29 @@ function handleEnhancedClientMessage(
   message: EnhancedClientMessage, 
   context: AppContext,
   chunkSubscriptions: Map<string, Set<string>>,
-  entityPositions: Map<EntityId, Vec3>
+  entityPositions: Map<EntityId, Vec3>,
+  serverId: string,
+  sessions: SessionStore,
+  verifier: LoginTokenVerifier,
+  clientsById: Map<string, ClientConnection>,
+  chat: ChatService
 ) {
   console.log('📨 Received message:', message.type, client.clientId);
   context.devEvents.publish({ type: 'ws_message_in', payload: { clientId: client.clientId, type: message.type } });
 
+  // Before login, only the world's guest commands are accepted
+  if (!client.playerId && message.type !== 'hello' && !isGuestCommand(context, message.type)) {
+    sendMessage(ws, {
+      type: 'error',
+      code: 'NOT_AUTHENTICATED',
+      message: `${message.type} requires login`,
+    });
+    return;
+  }
+
   switch (message.type) {
     case 'login':
-      handleLoginMessage(ws, client, message, context, chunkSubscriptions);
+      handleLoginMessage(ws, client, message, context, verifier, clientsById, sessions, chat);
       context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: 'login' } });
       break;
     case 'logout':
@@ -370,11 +757,22 @@ function handleEnhancedClientMessage(
       context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: 'set_view', data: message.radius } });
       break;
     case 'move_dir':
-      handleMoveDirMessage(ws, client, message, context, chunkSubscriptions, entityPositions);
+      queueMoveInput(ws, client, message, context, chunkSubscriptions, entityPositions);
       context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: 'move_dir', data: message.directions } });
       break;
+    case 'jump':
+    case 'crouch':
+    case 'fly_dir':
+      queueMoveInput(ws, client, message, context, chunkSubscriptions, entityPositions);
+      context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: message.type } });
+      break;
+    case 'chat':
+      handleChatMessage(ws, client, message, context, chat, clientsById);
+      context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: 'chat', data: { channel: message.channel ?? 'proximity' } } });
+      break;
     case 'hello':
-      // Hello already handled in connection setup
+      // hello_ok was already sent on connect; this only negotiates the encoding
+      handleHelloMessage(ws, client, message, context, chunkSubscriptions, serverId, sessions);
       break;
       
     case 'subscribe_chunks':
@@ -388,24 +786,34 @@ function handleEnhancedClientMessage(
       break;
       
     case 'move':
-      handleMoveMessage(ws, client, message, context, chunkSubscriptions, entityPositions);
+      queueMoveInput(ws, client, message, context, chunkSubscriptions, entityPositions);
       context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: 'move' } });
       break;
       
     case 'interact':
-      handleInteractMessage(ws, client, message, context);
+      handleInteractMessage(ws, client, message, context, chunkSubscriptions, clientsById);
       context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: 'interact', data: { action: message.action } } });
       break;
       
     case 'add_contract':
-      handleAddContractMessage(ws, client, message, context, chunkSubscriptions);
+      handleAddContractMessage(ws, client, message, context);
       context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: 'add_contract', data: { entityId: message.entityId, type: message.contract.type } } });
       break;
       
     case 'remove_contract':
-      handleRemoveContractMessage(ws, client, message, context, chunkSubscriptions);
+      handleRemoveContractMessage(ws, client, message, context);
       context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: 'remove_contract', data: { entityId: message.entityId, type: message.contractType } } });
       break;
+
+    case 'move_to':
+      handleMoveToMessage(ws, client, message, context);
+      context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: 'move_to', data: message.target } });
+      break;
+
+    case 'raycast':
+      handleRaycastMessage(ws, client, message, context);
+      context.devEvents.publish({ type: 'command', payload: { clientId: client.clientId, command: 'raycast', data: { requestId: message.requestId } } });
+      break;
       
     default:
       sendMessage(ws, {
@@ -416,6 +824,77 @@ function handleEnhancedClientMessage(
   }
 }
 
+function handleHelloMessage(
+  ws: WebSocket,
+  client: ClientConnection,
+  message: HelloMessage,
+  context: AppContext,
+  chunkSubscriptions: Map<string, Set<string>>,
+  serverId: string,
+  sessions: SessionStore
+) {
+  const requested = Array.isArray(message.encodings) ? message.encodings : [];
+  const encoding = requested.find(isWireEncoding) ?? 'json';
+
+  // Only a connection without its own player can take over a parked one
+  const session =
+    message.resumeToken && !client.playerId ? sessions.resume(message.resumeToken) : undefined;
+  if (session) {
+    client.playerId = session.playerId;
+    client.viewRadius = session.viewRadius;
+  }
+
+  // The reply still goes out in the old encoding so the client knows where the switch happens
+  sendMessage(ws, {
+    type: 'hello_ok',
+    clientId: client.clientId,
+    serverId,
+    serverVersion: '1.0.0',
+    encoding,
+    resumeToken: client.resumeToken,
+    tick: context.tick,
+    ...(message.resumeToken ? { resumed: !!session, playerId: client.playerId } : {}),
+  });
+  connectionEncodings.set(ws, encoding);
+
+  console.log(`🤝 Client ${client.clientId} using ${encoding} encoding`);
+
+  if (session) {
+    restoreSession(client, session.subscribedChunks, context, chunkSubscriptions);
+    const parkedMs = Date.now() - session.parkedAt;
+    console.log(`🔁 Client ${client.clientId} resumed ${session.playerId ?? 'session'} after ${parkedMs}ms`);
+  }
+}
+
+/**
+ * Re-subscribe a resumed client to its old chunks and send fresh snapshots of each
+ */
+function restoreSession(
+  client: ClientConnection,
+  subscribedChunks: Set<string>,
+  context: AppContext,
+  chunkSubscriptions: Map<string, Set<string>>
+) {
+  for (const keyStr of subscribedChunks) {
+    const key = ChunkUtils.fromString(keyStr);
+    if (!key || !isChunkInBounds(key) || client.subscribedChunks.size >= MAX_SUBS_PER_CLIENT) {
+      continue;
+    }
+    client.subscribedChunks.add(keyStr);
+    let subs = chunkSubscriptions.get(keyStr);
+    if (!subs) {
+      subs = new Set();
+      chunkSubscriptions.set(keyStr, subs);
+    }
+    subs.add(client.clientId);
+    sendChunkSnapshot(client.ws, key, context);
+  }
+  // The player may have been moved while parked (e.g. by gravity)
+  if (client.viewRadius && client.viewRadius > 0) {
+    updateAutoSubscriptions(client, context, chunkSubscriptions);
+  }
+}
+
 function handleSubscribeChunks(
   ws: WebSocket,
   client: ClientConnection,
@@ -423,8 +902,20 @@ function handleSubscribeChunks(
   context: AppContext,
   chunkSubscriptions: Map<string, Set<string>>
 ) {
-  for (const chunkKey of message.chunkKeys) {
+  let skipped = 0;
+  const outside: string[] = [];
+  for (const { sinceVersion, ...chunkKey } of message.chunkKeys) {
     const chunkKeyStr = ChunkUtils.toString(chunkKey);
+    if (!isChunkInBounds(chunkKey)) {
+      outside.push(chunkKeyStr);
+      continue;
+    }
+    
+    const isNew = !client.subscribedChunks.has(chunkKeyStr);
+    if (isNew && client.subscribedChunks.size >= MAX_SUBS_PER_CLIENT) {
+      skipped++;
+      continue;
+    }
     
     // Add to client's subscriptions
     client.subscribedChunks.add(chunkKeyStr);
@@ -437,10 +928,61 @@ function handleSubscribeChunks(
     }
     subscribers.add(client.clientId);
     
-    // Send chunk snapshot
-    sendChunkSnapshot(ws, chunkKey, context);
+    // Resume from the client's version when the delta ring still covers it, else send a snapshot
+    const missed =
+      sinceVersion !== undefined
+        ? context.chunkManager.getDeltasSince(chunkKey, sinceVersion)
+        : undefined;
+    if (missed) {
+      for (const delta of missed) {
+        sendMessage(ws, buildChunkDeltaMessage(chunkKey, delta, context));
+      }
+    } else {
+      sendChunkSnapshot(ws, chunkKey, context);
+    }
     
-    console.log(`📡 Client ${client.clientId} subscribed to chunk ${chunkKeyStr}`);
+    const resumed = missed ? ` (resumed from v${sinceVersion}, ${missed.length} deltas)` : '';
+    console.log(`📡 Client ${client.clientId} subscribed to chunk ${chunkKeyStr}${resumed}`);
+  }
+  
+  if (outside.length > 0) {
+    sendMessage(ws, {
+      type: 'error',
+      code: 'OUT_OF_BOUNDS',
+      message: `Outside the layer boundaries: ${outside.join(', ')}`,
+    });
+  }
+
+  if (skipped > 0) {
+    enforceLimit(
+      client,
+      'subscriptions',
+      client.limiter.violate(),
+      'SUBSCRIPTION_LIMIT',
+      `Subscription limit of ${MAX_SUBS_PER_CLIENT} chunks reached; ${skipped} chunk(s) not subscribed`
+    );
+  }
+}
+
+/**
+ * Respond to a limit violation: warn with an error, drop silently while throttled,
+ * or close the connection once violations keep coming
+ */
+function enforceLimit(
+  client: ClientConnection,
+  limit: 'rate' | 'subscriptions',
+  action: ViolationAction,
+  code: WsErrorCode,
+  message: string
+) {
+  trackLimitEvent(limit, action);
+  
+  if (action === 'warn') {
+    sendMessage(client.ws, { type: 'error', code, message });
+  } else if (action === 'disconnect') {
+    console.warn(`🚫 Disconnecting ${client.clientId}: repeated ${limit} limit violations`);
+    sendMessage(client.ws, { type: 'error', code, message: `${message}; closing connection` });
+    client.ws.close(CLOSE_POLICY_VIOLATION, `Repeated ${limit} limit violations`);
   }
 }
 
@@ -452,20 +994,31 @@ function ensurePlayer(client: ClientConnection, context: AppContext): string {
   return client.playerId;
 }
 
+// Message types clients may send before login when world_commands sets no guest list
+const DEFAULT_GUEST_COMMANDS = ['login', 'subscribe_chunks', 'unsubscribe_chunks'];
+
+function getWorldCommands(context: AppContext): WorldCommands | undefined {
+  const ecs = context.worldState.getECSWorld();
+  const [worldId] = ecs.getEntitiesWithContract('world_commands');
+  return worldId ? ecs.getContract<WorldCommands>(worldId, 'world_commands') : undefined;
+}
+
+function isGuestCommand(context: AppContext, command: string): boolean {
+  const guest = getWorldCommands(context)?.guest ?? DEFAULT_GUEST_COMMANDS;
+  return guest.includes(command);
+}
+
 function isCommandAllowed(
   client: ClientConnection,
   context: AppContext,
   command: string
 ): boolean {
-  const ecs = context.worldState.getECSWorld();
-  const worldEntities = ecs.getEntitiesWithContract('world_commands');
-  if (worldEntities.length > 0) {
-    const worldCmds = ecs.getContract<any>(worldEntities[0]!, 'world_commands') as { commands?: string[] } | undefined;
-    if (worldCmds?.commands && !worldCmds.commands.includes(command)) {
-      return false;
-    }
+  const worldCmds = getWorldCommands(context);
+  if (worldCmds?.commands && !worldCmds.commands.includes(command)) {
+    return false;
   }
-  if (!client.playerId) return command === 'login';
+  if (!client.playerId) return isGuestCommand(context, command);
+  const ecs = context.worldState.getECSWorld();
   const access = ecs.getContract<CommandAccess>(client.playerId, 'command_access');
   if (access?.allowed) return access.allowed.includes(command);
   return false;
@@ -477,17 +1030,29 @@ function computeViewChunks(layerId: string, position: Vec3, radius: number): Chu
   return getNeighboringChunks(center, chunkRadius);
 }
 
+/**
+ * Subscribe the client to the chunks in its view radius. Returns how many chunks in view
+ * were left out because of the subscription quota.
+ */
 function updateAutoSubscriptions(
   client: ClientConnection,
   context: AppContext,
   chunkSubscriptions: Map<string, Set<string>>
-) {
-  if (!client.playerId || !client.viewRadius) return;
+): number {
+  if (!client.playerId || !client.viewRadius) return 0;
   const ecs = context.worldState.getECSWorld();
   const mobility = ecs.getContract<Mobility>(client.playerId, 'mobility');
-  if (!mobility) return;
-  const desired = computeViewChunks('default', mobility.position, client.viewRadius);
-  const desiredSet = new Set(desired.map(ChunkUtils.toString));
+  if (!mobility) return 0;
+  const layerId = context.worldState.getEntityLayer(client.playerId) ?? 'default';
+  const desired = computeViewChunks(layerId, mobility.position, client.viewRadius).filter(
+    isChunkInBounds
+  );
+  // Keep the nearest chunks when the view needs more than the subscription quota
+  const center = keyFromPos(layerId, mobility.position);
+  const distance = (key: ChunkKey) =>
+    (key.cx - center.cx) ** 2 + (key.cy - center.cy) ** 2 + (key.cz - center.cz) ** 2;
+  const kept = desired.sort((a, b) => distance(a) - distance(b)).slice(0, MAX_SUBS_PER_CLIENT);
+  const desiredSet = new Set(kept.map(ChunkUtils.toString));
   for (const keyStr of Array.from(client.subscribedChunks)) {
     if (!desiredSet.has(keyStr)) {
       const subs = chunkSubscriptions.get(keyStr);
@@ -508,6 +1073,7 @@ function updateAutoSubscriptions(
       if (key) sendChunkSnapshot(client.ws, key, context);
     }
   }
+  return desired.length - kept.length;
 }
 
 function handleLoginMessage(
@@ -515,18 +1081,192 @@ function handleLoginMessage(
   client: ClientConnection,
   message: LoginMessage,
   context: AppContext,
-  chunkSubscriptions: Map<string, Set<string>>
+  verifier: LoginTokenVerifier,
+  clientsById: Map<string, ClientConnection>,
+  sessions: SessionStore,
+  chat: ChatService
 ) {
   if (!isCommandAllowed(client, context, 'login')) {
     sendMessage(ws, { type: 'error', code: 'FORBIDDEN', message: 'login not allowed' });
     return;
   }
-  const layerId = message.layerId || 'default';
+  let layerId = message.layerId || 'default';
+  const loggingIn = !client.playerId;
   if (!client.playerId) {
-    client.playerId = context.worldState.addPlayer(layerId, message.playerName || `Player-${client.clientId.slice(-4)}`);
-    console.log(`✅ Login: ${client.clientId} -> ${client.playerId} on ${layerId}`);
+    if (verifier.enabled) {
+      let claims: LoginClaims;
+      try {
+        if (!message.token) throw new Error('login requires a token');
+        claims = verifier.verify(message.token);
+      } catch (error) {
+        const reason = error instanceof Error ? error.message : 'Invalid token';
+        console.warn(`🔒 Login rejected for ${client.clientId}: ${reason}`);
+        sendMessage(ws, { type: 'error', code: 'AUTH_FAILED', message: reason });
+        return;
+      }
+      loginAuthenticatedPlayer(
+        client,
+        claims,
+        layerId,
+        message.playerName,
+        context,
+        clientsById,
+        sessions
+      );
+      layerId = context.worldState.getEntityLayer(client.playerId!) ?? layerId;
+    } else {
+      client.playerId = context.worldState.addPlayer(layerId, message.playerName || `Player-${client.clientId.slice(-4)}`);
+      console.log(`✅ Login: ${client.clientId} -> ${client.playerId} on ${layerId}`);
+      broadcastEntityUpdate(client.playerId, context, 'entity_spawn');
+    }
   }
   sendMessage(ws, { type: 'login_ok', playerId: client.playerId || '' , layerId } as any);
+
+  // Catch the player up on recent chat
+  if (loggingIn && client.playerId) {
+    for (const entry of chat.historyFor(client.playerId, layerId)) {
+      sendMessage(ws, entry);
+    }
+  }
+}
+
+/**
+ * Bind the client to the persistent player of a verified token's subject. A player that
+ * already exists (parked, held by another connection, or loaded from disk) is taken over
+ * rather than duplicated. The token's commands claim replaces its command_access.
+ */
+function loginAuthenticatedPlayer(
+  client: ClientConnection,
+  claims: LoginClaims,
+  layerId: string,
+  playerName: string | undefined,
+  context: AppContext,
+  clientsById: Map<string, ClientConnection>,
+  sessions: SessionStore
+) {
+  const playerId = playerIdForSubject(claims.sub);
+  const ecs = context.worldState.getECSWorld();
+
+  for (const other of clientsById.values()) {
+    if (other !== client && other.playerId === playerId) {
+      other.playerId = undefined;
+      sendMessage(other.ws, {
+        type: 'error',
+        code: 'SESSION_REPLACED',
+        message: `${playerId} logged in from another connection`,
+      });
+    }
+  }
+  // A parked session must not remove the player when its grace period ends
+  sessions.releasePlayer(playerId);
+
+  const existing = ecs.hasEntity(playerId);
+  if (!existing) {
+    context.worldState.addPlayer(layerId, claims.name || playerName || claims.sub, playerId);
+  }
+  if (claims.commands) {
+    ecs.addContract(playerId, createCommandAccess(claims.commands));
+  }
+  client.playerId = playerId;
+  const state = existing ? 'existing' : 'new';
+  console.log(`✅ Login: ${client.clientId} -> ${playerId} (${state} player)`);
+  broadcastEntityUpdate(playerId, context, existing ? 'entity_update' : 'entity_spawn');
+}
+
+/**
+ * Deliver a chat message on its channel. The sender always gets its own message back,
+ * which doubles as the delivery confirmation.
+ */
+function handleChatMessage(
+  ws: WebSocket,
+  client: ClientConnection,
+  message: ChatMessage,
+  context: AppContext,
+  chat: ChatService,
+  clientsById: Map<string, ClientConnection>
+) {
+  if (!isCommandAllowed(client, context, 'chat')) {
+    sendMessage(ws, { type: 'error', code: 'FORBIDDEN', message: 'chat not allowed' });
+    return;
+  }
+  const playerId = client.playerId;
+  if (!playerId) {
+    sendMessage(ws, { type: 'error', code: 'NOT_AUTHENTICATED', message: 'Must log in to chat' });
+    return;
+  }
+  if (!chat.allow(playerId)) {
+    sendMessage(ws, {
+      type: 'error',
+      code: 'CHAT_RATE_LIMITED',
+      message: `Chat is limited to ${CHAT_MESSAGES_PER_MINUTE} messages/minute`,
+    });
+    return;
+  }
+
+  const channel = message.channel ?? 'proximity';
+  if (channel === 'whisper' && !message.to) {
+    sendMessage(ws, {
+      type: 'error',
+      code: 'PLAYER_NOT_FOUND',
+      message: 'whisper needs a recipient',
+    });
+    return;
+  }
+
+  const { worldState } = context;
+  const ecs = worldState.getECSWorld();
+  const layerId = worldState.getEntityLayer(playerId) ?? 'default';
+  const recipients = new Set<ClientConnection>();
+
+  if (channel === 'proximity') {
+    const mobility = ecs.getContract<Mobility>(playerId, 'mobility');
+    const nearby = mobility
+      ? new Set(worldState.getEntitiesNearPosition(mobility.position, CHAT_PROXIMITY_RADIUS))
+      : new Set<EntityId>();
+    for (const other of clientsById.values()) {
+      if (!other.playerId || !nearby.has(other.playerId)) continue;
+      if (worldState.getEntityLayer(other.playerId) === layerId) {
+        recipients.add(other);
+      }
+    }
+  } else {
+    for (const other of clientsById.values()) {
+      if (!other.playerId) continue;
+      if (
+        channel === 'global' ||
+        (channel === 'layer' && worldState.getEntityLayer(other.playerId) === layerId) ||
+        (channel === 'whisper' && other.playerId === message.to)
+      ) {
+        recipients.add(other);
+      }
+    }
+    if (channel === 'whisper' && recipients.size === 0) {
+      sendMessage(ws, {
+        type: 'error',
+        code: 'PLAYER_NOT_FOUND',
+        message: `${message.to} is not online`,
+      });
+      return;
+    }
+  }
+  recipients.add(client);
+
+  const identity = ecs.getContract<Identity>(playerId, 'identity');
+  const outgoing: ServerChatMessage = {
+    type: 'chat',
+    playerId,
+    playerName: identity?.name ?? playerId,
+    message: message.message,
+    timestamp: Date.now(),
+    channel,
+    ...(channel === 'whisper' ? { to: message.to } : {}),
+  };
+  const encoded = new Map<WireEncoding, WirePayload>();
+  for (const recipient of recipients) {
+    sendMessage(recipient.ws, outgoing, encoded);
+  }
+  chat.record(outgoing, layerId);
+  console.log(`💬 ${playerId} (${channel}) -> ${recipients.size} recipient(s)`);
 }
 
 function handleLogoutMessage(
@@ -540,7 +1280,7 @@ function handleLogoutMessage(
     return;
   }
   if (client.playerId) {
-    context.worldState.removePlayer(client.playerId);
+    despawnPlayer(client.playerId, context);
     client.playerId = undefined;
   }
   // Unsubscribe from all chunks
@@ -571,58 +1311,45 @@ function handleSetViewMessage(
   const mobility = world.getContract<Mobility>(playerId, 'mobility');
   if (!mobility) return;
   client.viewRadius = Math.max(0, message.radius);
-  updateAutoSubscriptions(client, context, chunkSubscriptions);
+  const clipped = updateAutoSubscriptions(client, context, chunkSubscriptions);
+  if (clipped > 0) {
+    // The server picked the radius limit, so this is a notice rather than a violation
+    sendMessage(ws, {
+      type: 'error',
+      code: 'SUBSCRIPTION_LIMIT',
+      message: `View covers more than ${MAX_SUBS_PER_CLIENT} chunks; ${clipped} farthest chunk(s) not subscribed`,
+    });
+  }
   sendMessage(ws, { type: 'set_view_ok', radius: client.viewRadius } as any);
 }
 
-function handleMoveDirMessage(
+/**
+ * Cast a ray on the player's layer, from its position unless the message gives an origin.
+ * The player itself is never hit.
+ */
+function handleRaycastMessage(
   ws: WebSocket,
   client: ClientConnection,
-  message: MoveDirMessage,
-  context: AppContext,
-  chunkSubscriptions: Map<string, Set<string>>,
-  entityPositions: Map<EntityId, Vec3>
+  message: ClientRaycastMessage,
+  context: AppContext
 ) {
-  if (!isCommandAllowed(client, context, 'move_dir')) {
-    sendMessage(ws, { type: 'error', code: 'FORBIDDEN', message: 'move_dir not allowed' });
+  if (!isCommandAllowed(client, context, 'raycast')) {
+    sendMessage(ws, { type: 'error', code: 'FORBIDDEN', message: 'raycast not allowed' });
     return;
   }
   const playerId = ensurePlayer(client, context);
-  const ecs = context.worldState.getECSWorld();
-  const mobility = ecs.getContract<Mobility>(playerId, 'mobility');
-  if (!mobility) return;
-  const movementRules = ecs.getContract<MovementRules>(playerId, 'movement_rules');
-  const step = movementRules?.stepDistance ?? 1;
-
-  let dx = 0; let dz = 0;
-  const dirs = new Set(message.directions.slice(0, 2));
-  if (dirs.has('north')) dz -= 1;
-  if (dirs.has('south')) dz += 1;
-  if (dirs.has('west')) dx -= 1;
-  if (dirs.has('east')) dx += 1;
-  if (dx === 0 && dz === 0) {
-    sendMessage(ws, { type: 'move_result', success: true, position: mobility.position });
-    return;
-  }
-  // Normalize diagonal if configured
-  if (movementRules?.diagonalNormalized && dx !== 0 && dz !== 0) {
-    const inv = 1 / Math.SQRT2;
-    dx *= inv; dz *= inv;
-  }
-  const want = { x: mobility.position.x + dx * step, y: mobility.position.y, z: mobility.position.z + dz * step };
-  try {
-    const updated: Mobility = { ...mobility, position: want };
-    ecs.addContract(playerId, updated);
-    entityPositions.set(playerId, want);
-    sendMessage(ws, { type: 'move_result', success: true, position: want });
-    const defaultChunk: ChunkKey = { layerId: 'default', cx: 0, cy: 0, cz: 0 };
-    broadcastEntityUpdate(playerId, defaultChunk, context, chunkSubscriptions, 'entity_update');
-    if (client.viewRadius && client.viewRadius > 0) {
-      updateAutoSubscriptions(client, context, chunkSubscriptions);
-    }
-  } catch (err) {
-    sendMessage(ws, { type: 'move_result', success: false, position: mobility.position, reason: err instanceof Error ? err.message : 'failed' });
-  }
+  const mobility = context.worldState.getECSWorld().getContract<Mobility>(playerId, 'mobility');
+  const origin = message.origin ?? mobility?.position;
+  if (!origin) return;
+  const layerId = context.worldState.getEntityLayer(playerId) ?? 'default';
+  const hit = context.movementSystem.raycast(
+    layerId,
+    origin,
+    message.direction,
+    message.maxDistance ?? RAYCAST_MAX_DISTANCE,
+    { ...message.filter, ignore: [...(message.filter?.ignore ?? []), playerId] }
+  );
+  sendMessage(ws, { type: 'raycast_result', requestId: message.requestId, hit: hit ?? null });
 }
 
 function handleUnsubscribeChunks(
@@ -651,13 +1378,12 @@ function handleUnsubscribeChunks(
 }
 
 function sendChunkSnapshot(ws: WebSocket, chunkKey: ChunkKey, context: AppContext) {
-  // Get chunk entities (simplified access)
   const entities: Array<{ id: EntityId; contracts: AnyContract[] }> = [];
   
-  // For now, get all entities in the world (TODO: implement proper chunk-based entity retrieval)
-  const allEntities = context.worldState.getECSWorld().getAllEntities();
+  // Only entities whose position or shape bounds fall inside this chunk (live chunk index)
+  const chunkEntities = context.chunkManager.getEntitiesInChunk(chunkKey);
   
-  for (const entityId of allEntities) {
+  for (const entityId of chunkEntities) {
     const contracts = context.worldState.getECSWorld().getContracts(entityId);
     entities.push({ id: entityId, contracts: contracts as AnyContract[] });
   }
@@ -666,7 +1392,7 @@ function sendChunkSnapshot(ws: WebSocket, chunkKey: ChunkKey, context: AppContex
     type: 'chunk_snapshot',
     chunkKey,
     entities,
-    version: 1, // TODO: implement proper versioning
+    version: context.chunkManager.getChunk(chunkKey).version,
   };
   
   sendMessage(ws, message);
@@ -680,66 +1406,266 @@ function sendChunkSnapshot(ws: WebSocket, chunkKey: ChunkKey, context: AppContex
   } catch {}
 }
 
-function handleMoveMessage(
+function buildChunkDeltaMessage(
+  chunkKey: ChunkKey,
+  delta: ChunkDelta,
+  context: AppContext
+): ChunkDeltaMessage {
+  // Contracts are read at send time; the ring only keeps what changed and in which version
+  const contracts =
+    delta.type === 'entity_despawn'
+      ? undefined
+      : (context.worldState.getECSWorld().getContracts(delta.entityId) as AnyContract[]);
+  return {
+    type: 'chunk_delta',
+    chunkKey,
+    delta: { type: delta.type, entityId: delta.entityId, contracts },
+    version: delta.version,
+    tick: context.tick,
+  };
+}
+
+/**
+ * Queue a move, move_dir, jump, crouch or fly_dir for the next tick. With the game loop
+ * disabled there are no ticks, so the input is processed right away.
+ */
+function queueMoveInput(
   ws: WebSocket,
   client: ClientConnection,
-  message: MoveMessage,
+  message: MoveInput,
   context: AppContext,
   chunkSubscriptions: Map<string, Set<string>>,
   entityPositions: Map<EntityId, Vec3>
 ) {
-  if (!client.playerId) {
-    // Create a player if none exists
-    client.playerId = context.worldState.addPlayer('default', `Player-${client.clientId.slice(-4)}`);
-    console.log(`🎮 Created player ${client.playerId} for client ${client.clientId}`);
+  if (message.type !== 'move' && !isCommandAllowed(client, context, message.type)) {
+    sendMessage(ws, { type: 'error', code: 'FORBIDDEN', message: `${message.type} not allowed` });
+    return;
+  }
+  const playerId = ensurePlayer(client, context);
+  if (!client.inputs.push(message, message.seq, context.clock.now())) {
+    sendMessage(ws, {
+      type: 'error',
+      code: 'STALE_INPUT',
+      message: `seq ${message.seq} is not newer than the previous input`,
+    });
+    return;
   }
+  // Steering by hand ends a move_to walk
+  if (message.type === 'move' || message.type === 'move_dir') {
+    context.pathfindingSystem.stop(playerId);
+  }
+  if (TICK_RATE_DISABLED) {
+    processClientInputs(client, context, chunkSubscriptions, entityPositions);
+  }
+}
 
-  // For now, use a simple movement system (TODO: integrate with proper movement system)
-  const mobility = context.worldState.getECSWorld().getContract(client.playerId, 'mobility');
-  if (mobility) {
-    const currentPos = (mobility as any).position;
-    const newPos = message.want;
-    
-    // Simple collision-free movement for demo
-    const updatedMobility = {
-      ...mobility,
-      position: newPos,
-    };
-    
+/**
+ * Start walking the player to the target along a path around obstacles. The reply lists
+ * the waypoints; the walk itself advances on every tick and ends with another move_to_result.
+ */
+function handleMoveToMessage(
+  ws: WebSocket,
+  client: ClientConnection,
+  message: ClientMoveToMessage,
+  context: AppContext
+) {
+  if (!isCommandAllowed(client, context, 'move_to')) {
+    sendMessage(ws, { type: 'error', code: 'FORBIDDEN', message: 'move_to not allowed' });
+    return;
+  }
+  if (TICK_RATE_DISABLED) {
+    sendMessage(ws, {
+      type: 'error',
+      code: 'NOT_IMPLEMENTED',
+      message: 'move_to needs the game loop, which is disabled',
+    });
+    return;
+  }
+  const playerId = ensurePlayer(client, context);
+  const result = context.pathfindingSystem.moveTo(playerId, message.target);
+  const mobility = context.worldState.getECSWorld().getContract<Mobility>(playerId, 'mobility');
+  client.moveToRequestId = message.requestId;
+  sendMessage(ws, {
+    type: 'move_to_result',
+    requestId: message.requestId,
+    status: result.ok ? 'moving' : 'blocked',
+    position: mobility?.position ?? message.target,
+    path: result.ok ? result.path : undefined,
+    reason: result.reason,
+  });
+}
+
+/**
+ * Apply a client's queued inputs in order and answer with one move_result: the
+ * authoritative position after the last input, the seq of the last input applied, the tick,
+ * and why the first blocked or failed input did not go through.
+ */
+function processClientInputs(
+  client: ClientConnection,
+  context: AppContext,
+  chunkSubscriptions: Map<string, Set<string>>,
+  entityPositions: Map<EntityId, Vec3>
+) {
+  const inputs = client.inputs.drain();
+  const playerId = client.playerId;
+  if (inputs.length === 0 || !playerId) return;
+
+  const tick = context.tick;
+  const start = context.worldState.getECSWorld().getContract<Mobility>(playerId, 'mobility');
+  if (!start) {
+    sendMessage(client.ws, {
+      type: 'move_result',
+      success: false,
+      position: { x: 0, y: 0, z: 0 },
+      reason: 'Player is not in the world',
+      ack: client.inputs.lastProcessedSeq,
+      tick,
+    });
+    return;
+  }
+
+  const previousChunks = context.chunkManager.getEntityChunks(playerId);
+  let failure: Pick<MoveResultMessage, 'reason' | 'blockedReason' | 'collisionNormal'> | undefined;
+  // Jumps and crouches change velocity or shape, which watchers need even without a move
+  let acted = false;
+  for (const { input, seq, receivedAt } of inputs) {
+    let result: MoveResult | undefined;
     try {
-      context.worldState.getECSWorld().addContract(client.playerId, updatedMobility);
-      
-      // Update position tracking
-      entityPositions.set(client.playerId, newPos);
-      
-      // Send success result
-      sendMessage(ws, {
-        type: 'move_result',
-        success: true,
-        position: newPos,
-      });
-      
-      // Broadcast entity update (simplified - assume default chunk)
-      const defaultChunk: ChunkKey = { layerId: 'default', cx: 0, cy: 0, cz: 0 };
-      broadcastEntityUpdate(client.playerId, defaultChunk, context, chunkSubscriptions, 'entity_update');
-      
-      console.log(`🚶 Player ${client.playerId} moved to:`, newPos);
+      if (input.type === 'move' || input.type === 'move_dir') {
+        const want = input.type === 'move' ? input.want : moveDirTarget(playerId, input, context);
+        if (want) result = stepPlayer(client, playerId, want, receivedAt, context);
+      } else {
+        result = applyMovementAction(playerId, input, context);
+        acted ||= result.ok;
+      }
     } catch (error) {
-      sendMessage(ws, {
-        type: 'move_result',
-        success: false,
-        position: currentPos,
-        reason: error instanceof Error ? error.message : 'Movement failed',
-      });
+      // Not applied, so not acknowledged; the inputs after it still run
+      failure ??= { reason: error instanceof Error ? error.message : 'Movement failed' };
+      continue;
     }
+    client.inputs.acknowledge(seq);
+    if (result && !result.ok) {
+      failure ??= { blockedReason: result.blockedReason, collisionNormal: result.collisionNormal };
+    }
+  }
+
+  const position =
+    context.worldState.getECSWorld().getContract<Mobility>(playerId, 'mobility')?.position ??
+    start.position;
+  const moved = Vec3Utils.distance(position, start.position) > 0;
+  if (moved || acted) {
+    entityPositions.set(playerId, position);
+    // Subscribers of the old and new chunks get spawn/despawn on crossings
+    broadcastEntityUpdate(playerId, context, 'entity_update', previousChunks);
+  }
+
+  sendMessage(client.ws, {
+    type: 'move_result',
+    success: !failure,
+    position,
+    ...failure,
+    ack: client.inputs.lastProcessedSeq,
+    tick,
+  });
+  if (moved && client.viewRadius && client.viewRadius > 0) {
+    updateAutoSubscriptions(client, context, chunkSubscriptions);
+  }
+}
+
+/**
+ * Apply a jump, crouch or fly_dir through the movement system. A refused action comes back
+ * as a blocked result with the reason.
+ */
+function applyMovementAction(
+  playerId: EntityId,
+  input: MovementAction,
+  context: AppContext
+): MoveResult {
+  const movement = context.movementSystem;
+  let action: ActionResult;
+  switch (input.type) {
+    case 'jump':
+      action = movement.jump(playerId);
+      break;
+    case 'crouch':
+      action = movement.crouch(playerId, input.crouching);
+      break;
+    case 'fly_dir':
+      action = movement.fly(playerId, input.direction);
+      break;
   }
+  const mobility = context.worldState.getECSWorld().getContract<Mobility>(playerId, 'mobility');
+  return {
+    ok: action.ok,
+    position: mobility?.position ?? { x: 0, y: 0, z: 0 },
+    blockedReason: action.reason,
+  };
+}
+
+/**
+ * Where a move_dir input asks to go: one movement_rules step from the current position
+ */
+function moveDirTarget(
+  playerId: EntityId,
+  message: MoveDirMessage,
+  context: AppContext
+): Vec3 | undefined {
+  const ecs = context.worldState.getECSWorld();
+  const mobility = ecs.getContract<Mobility>(playerId, 'mobility');
+  if (!mobility) return undefined;
+  const movementRules = ecs.getContract<MovementRules>(playerId, 'movement_rules');
+  const step = movementRules?.stepDistance ?? 1;
+
+  let dx = 0;
+  let dz = 0;
+  const dirs = new Set(message.directions.slice(0, 2));
+  if (dirs.has('north')) dz -= 1;
+  if (dirs.has('south')) dz += 1;
+  if (dirs.has('west')) dx -= 1;
+  if (dirs.has('east')) dx += 1;
+  if (dx === 0 && dz === 0) return undefined;
+  // Normalize diagonal if configured
+  if (movementRules?.diagonalNormalized && dx !== 0 && dz !== 0) {
+    const inv = 1 / Math.SQRT2;
+    dx *= inv;
+    dz *= inv;
+  }
+  const { x, y, z } = mobility.position;
+  return { x: x + dx * step, y, z: z + dz * step };
+}
+
+/**
+ * Move the player toward `want` through the movement system, which clamps the step to
+ * maxSpeed over the time since the client's previous input, stops it at solids and
+ * carries it through entrances
+ */
+function stepPlayer(
+  client: ClientConnection,
+  playerId: EntityId,
+  want: Vec3,
+  receivedAt: number,
+  context: AppContext
+): MoveResult {
+  // The first input, and any after a pause, may cover at most MOVE_MAX_INTERVAL_MS
+  const sinceLastMs = Math.max(0, receivedAt - (client.lastMoveAt ?? 0));
+  const elapsedMs = Math.min(sinceLastMs, MOVE_MAX_INTERVAL_MS);
+  client.lastMoveAt = receivedAt;
+
+  return context.movementSystem.moveEntity(playerId, want, elapsedMs / 1000);
 }
 
+/**
+ * Run an interaction through the interaction system. The result goes to the actor and to
+ * everyone watching the chunks the actor or target occupied before or after; the state
+ * changes themselves reach subscribers as chunk deltas.
+ */
 function handleInteractMessage(
   ws: WebSocket,
   client: ClientConnection,
   message: InteractMessage,
-  context: AppContext
+  context: AppContext,
+  chunkSubscriptions: Map<string, Set<string>>,
+  clientsById: Map<string, ClientConnection>
 ) {
   if (!client.playerId) {
     sendMessage(ws, {
@@ -750,23 +1676,64 @@ function handleInteractMessage(
     return;
   }
 
-  // TODO: Handle interaction logic based on action type
-  console.log(`🤝 Player ${client.playerId} performed action:`, message.action, message.data);
-  
-  // For now, just acknowledge the interaction
-  sendMessage(ws, {
-    type: 'error',
-    code: 'NOT_IMPLEMENTED',
-    message: 'Interaction system not yet implemented',
+  const { chunkManager } = context;
+  const involved = [client.playerId, message.targetId].filter((id): id is EntityId => !!id);
+  const before = new Map(involved.map(id => [id, chunkManager.getEntityChunks(id)]));
+
+  const result = context.interactionSystem.interact({
+    actorId: client.playerId,
+    action: message.action,
+    targetId: message.targetId,
+    data: message.data,
   });
+  const outcome = result.success ? 'ok' : result.reason;
+  console.log(`🤝 Player ${client.playerId} ${message.action}:`, outcome);
+
+  // Membership changes were recorded by the chunk index; record updates in the chunks that stayed
+  for (const entityId of result.changed) {
+    broadcastEntityUpdate(entityId, context, 'entity_update', before.get(entityId) ?? []);
+  }
+  // Using an entrance moves the actor to another layer; its auto view follows
+  if (result.changed.includes(client.playerId) && client.viewRadius) {
+    updateAutoSubscriptions(client, context, chunkSubscriptions);
+  }
+
+  const outgoing: InteractResultMessage = {
+    type: 'interact_result',
+    actorId: client.playerId,
+    action: result.action,
+    success: result.success,
+    targetId: result.targetId,
+    reason: result.reason,
+    details: result.details,
+  };
+  const recipients = new Set<ClientConnection>([client]);
+  if (result.success) {
+    const affected = new Set<string>();
+    for (const entityId of new Set([...involved, ...(result.targetId ? [result.targetId] : [])])) {
+      const keys = [...(before.get(entityId) ?? []), ...chunkManager.getEntityChunks(entityId)];
+      for (const key of keys) {
+        affected.add(ChunkUtils.toString(key));
+      }
+    }
+    for (const keyStr of affected) {
+      for (const clientId of chunkSubscriptions.get(keyStr) ?? []) {
+        const subscriber = clientsById.get(clientId);
+        if (subscriber) recipients.add(subscriber);
+      }
+    }
+  }
+  const encoded = new Map<WireEncoding, WirePayload>();
+  for (const recipient of recipients) {
+    sendMessage(recipient.ws, outgoing, encoded);
+  }
 }
 
 function handleAddContractMessage(
   ws: WebSocket,
   client: ClientConnection,
   message: AddContractMessage,
-  context: AppContext,
-  chunkSubscriptions: Map<string, Set<string>>
+  context: AppContext
 ) {
   try {
     // Validate that client can modify this entity (for now, only their own player)
@@ -779,12 +1746,12 @@ function handleAddContractMessage(
       return;
     }
     
-    // Add contract to entity
+    // Add contract to entity (may change its position or bounds)
+    const previousChunks = context.chunkManager.getEntityChunks(message.entityId);
     context.worldState.getECSWorld().addContract(message.entityId, message.contract);
     
-    // Broadcast update to chunk subscribers (simplified)
-    const defaultChunk: ChunkKey = { layerId: 'default', cx: 0, cy: 0, cz: 0 };
-    broadcastEntityUpdate(message.entityId, defaultChunk, context, chunkSubscriptions, 'entity_update');
+    // Broadcast update to chunk subscribers
+    broadcastEntityUpdate(message.entityId, context, 'entity_update', previousChunks);
     
     console.log(`➕ Added contract ${message.contract.type} to entity ${message.entityId}`);
     
@@ -801,8 +1768,7 @@ function handleRemoveContractMessage(
   ws: WebSocket,
   client: ClientConnection,
   message: RemoveContractMessage,
-  context: AppContext,
-  chunkSubscriptions: Map<string, Set<string>>
+  context: AppContext
 ) {
   try {
     // Validate that client can modify this entity (for now, only their own player)
@@ -816,12 +1782,12 @@ function handleRemoveContractMessage(
     }
     
     // Remove contract from entity
+    const previousChunks = context.chunkManager.getEntityChunks(message.entityId);
     const success = context.worldState.getECSWorld().removeContract(message.entityId, message.contractType);
     
     if (success) {
-      // Broadcast update to chunk subscribers (simplified)
-      const defaultChunk: ChunkKey = { layerId: 'default', cx: 0, cy: 0, cz: 0 };
-      broadcastEntityUpdate(message.entityId, defaultChunk, context, chunkSubscriptions, 'entity_update');
+      // Broadcast update to chunk subscribers (dropping mobility despawns it everywhere)
+      broadcastEntityUpdate(message.entityId, context, 'entity_update', previousChunks);
       
       console.log(`➖ Removed contract ${message.contractType} from entity ${message.entityId}`);
     } else {
@@ -841,73 +1807,70 @@ function handleRemoveContractMessage(
   }
 }
 
+/**
+ * Remove a player entity and tell everyone who could see it
+ */
+function despawnPlayer(playerId: EntityId, context: AppContext) {
+  context.worldState.removePlayer(playerId);
+  broadcastEntityUpdate(playerId, context, 'entity_despawn');
+}
+
+/**
+ * Record an entity change in the chunks it occupies; subscribers receive it as chunk_delta.
+ * Chunk entries and exits are recorded by the chunk index itself (entity_spawn/entity_despawn),
+ * so only chunks the entity stayed in since previousChunks get an entity_update here.
+ */
 function broadcastEntityUpdate(
   entityId: EntityId,
-  chunkKey: ChunkKey,
   context: AppContext,
-  chunkSubscriptions: Map<string, Set<string>>,
-  updateType: 'entity_spawn' | 'entity_despawn' | 'entity_update'
+  updateType: 'entity_spawn' | 'entity_despawn' | 'entity_update',
+  previousChunks?: ChunkKey[]
 ) {
-  const chunkKeyStr = ChunkUtils.toString(chunkKey);
-  const subscribers = chunkSubscriptions.get(chunkKeyStr);
-  
-  if (!subscribers || subscribers.size === 0) return;
-  
-  let message: EnhancedServerMessage;
-  
-  if (updateType === 'entity_despawn') {
-    message = {
-      type: 'entity_despawn',
-      entityId,
-      chunkKey,
-    };
-    try { context.devEvents.publish({ type: 'entity_despawn', payload: { id: entityId } }); } catch {}
-  } else {
-    const contracts = context.worldState.getECSWorld().getContracts(entityId) as AnyContract[];
-    
-    if (updateType === 'entity_spawn') {
-      message = {
-        type: 'entity_spawn',
-        entityId,
-        contracts,
-        chunkKey,
-      };
-      try {
-        const identity = (contracts as any[]).find(c => c.type === 'identity');
-        const kind = (identity?.name || '').toLowerCase().includes('player') ? 'player' : (identity?.name ? identity.name.toLowerCase() : 'entity');
-        context.devEvents.publish({ type: 'entity_snapshot', payload: { id: entityId, contracts, kind } });
-      } catch {}
-    } else {
-      message = {
-        type: 'entity_update',
-        entityId,
-        contracts,
-        chunkKey,
-      };
-      try {
-        const identity = (contracts as any[]).find(c => c.type === 'identity');
-        const kind = (identity?.name || '').toLowerCase().includes('player') ? 'player' : (identity?.name ? identity.name.toLowerCase() : 'entity');
-        context.devEvents.publish({ type: 'entity_update', payload: { id: entityId, contracts, kind } });
-      } catch {}
+  if (updateType === 'entity_update') {
+    const stayed = previousChunks ? new Set(previousChunks.map(ChunkUtils.toString)) : undefined;
+    for (const chunkKey of context.chunkManager.getEntityChunks(entityId)) {
+      if (!stayed || stayed.has(ChunkUtils.toString(chunkKey))) {
+        context.chunkManager.recordEntityUpdate(entityId, chunkKey);
+      }
     }
   }
   
-  const messageStr = JSON.stringify(message);
-  
-  // Get clients by ID from context (TODO: better client management)
-  for (const clientId of subscribers) {
-    // For now, broadcast to all connected clients (simplified)
-    console.log(`📡 Broadcasting ${updateType} for entity ${entityId} to ${subscribers.size} subscribers`);
-  }
+  // Publish for visualizer
+  try {
+    if (updateType === 'entity_despawn') {
+      context.devEvents.publish({ type: 'entity_despawn', payload: { id: entityId } });
+    } else {
+      const contracts = context.worldState.getECSWorld().getContracts(entityId) as AnyContract[];
+      const identity = (contracts as any[]).find(c => c.type === 'identity');
+      const kind = (identity?.name || '').toLowerCase().includes('player') ? 'player' : (identity?.name ? identity.name.toLowerCase() : 'entity');
+      const eventType = updateType === 'entity_spawn' ? 'entity_snapshot' : 'entity_update';
+      context.devEvents.publish({ type: eventType, payload: { id: entityId, contracts, kind } });
+    }
+  } catch {}
 }
 
-function sendMessage(ws: WebSocket, message: EnhancedServerMessage) {
+/**
+ * Send a message in the socket's negotiated encoding. Pass the same `encoded` map when
+ * sending one message to many sockets so each encoding is produced only once.
+ */
+function sendMessage(
+  ws: WebSocket,
+  message: EnhancedServerMessage,
+  encoded?: Map<WireEncoding, WirePayload>
+) {
   if (ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify(message));
+    const encoding = connectionEncodings.get(ws) ?? 'json';
+    let payload = encoded?.get(encoding);
+    if (payload === undefined) {
+      payload = encodeWireMessage(message, encoding);
+      encoded?.set(encoding, payload);
+    }
+    ws.send(payload, { binary: encoding === 'binary' });
     
     // Track outbound message
     if (METRICS_ENABLED) {
-      trackOutboundMessage(message.type);
+      const bytes = typeof payload === 'string' ? Buffer.byteLength(payload) : payload.byteLength;
+      trackOutboundMessage(message.type, encoding, bytes);
     }
   }
 }
@@ -0,0 +1,216 @@
+import { z } from 'zod';
+import { Vec3Schema, AnyContractSchema } from './world/contracts.js';
+import { CHAT_MAX_LENGTH, RAYCAST_MAX_DISTANCE } from './config.js';
+import type { EnhancedClientMessage, ErrorMessage } from './ws-enhanced.js';
+
+/**
+ * Error codes sent in `{ type: 'error', code, message }` by the enhanced WebSocket protocol.
+ * Codes are stable; messages are human-readable and may change.
+ */
+export const WS_ERROR_CODES = {
+  INVALID_MESSAGE: 'The frame could not be decoded (malformed JSON or binary)',
+  UNKNOWN_MESSAGE_TYPE: 'The message has no type, or a type the server does not handle',
+  VALIDATION_FAILED: 'The message fields do not match its schema; see issues for field paths',
+  FORBIDDEN: 'The command is disabled by world_commands or the player command_access',
+  NOT_AUTHENTICATED: 'The command needs a logged-in player',
+  AUTH_FAILED: 'The login token was missing, malformed, expired or not signed by a trusted key',
+  SESSION_REPLACED: 'Another connection logged in as this player; this one is back to guest',
+  STALE_INPUT: 'The move seq was not newer than the previous one; the input was dropped',
+  PERMISSION_DENIED: 'The player may not modify the target entity',
+  NOT_IMPLEMENTED: 'The command is recognised but not supported yet',
+  ADD_CONTRACT_FAILED: 'The contract was valid but the entity rejected it (e.g. limits)',
+  CONTRACT_NOT_FOUND: 'The entity has no contract of the given type',
+  REMOVE_CONTRACT_FAILED: 'Removing the contract failed unexpectedly',
+  RATE_LIMITED: 'Too many messages; more will be dropped and then the connection closed',
+  CHAT_RATE_LIMITED: 'Too many chat messages from this player; the message was not delivered',
+  PLAYER_NOT_FOUND: 'The whisper recipient is missing or not online',
+  SUBSCRIPTION_LIMIT:
+    'The per-connection chunk subscription quota is full; extra chunks were skipped',
+  OUT_OF_BOUNDS: 'The chunk lies outside its layer boundaries and was not subscribed',
+  INTERNAL_ERROR: 'The server failed while handling an otherwise valid message',
+} as const;
+
+export type WsErrorCode = keyof typeof WS_ERROR_CODES;
+
+// Schemas for every client message type, keyed by `type`
+const ChunkKeySchema = z.object({
+  layerId: z.string().min(1),
+  cx: z.number().int(),
+  cy: z.number().int(),
+  cz: z.number().int(),
+});
+
+const HelloMessageSchema = z.object({
+  type: z.literal('hello'),
+  clientVersion: z.string().optional(),
+  // Unknown encodings are skipped during negotiation, so any string is accepted here
+  encodings: z.array(z.string()).optional(),
+  resumeToken: z.string().min(1).max(128).optional(),
+});
+
+const SubscribeChunksMessageSchema = z.object({
+  type: z.literal('subscribe_chunks'),
+  chunkKeys: z.array(ChunkKeySchema.extend({ sinceVersion: z.number().int().min(0).optional() })),
+});
+
+const UnsubscribeChunksMessageSchema = z.object({
+  type: z.literal('unsubscribe_chunks'),
+  chunkKeys: z.array(ChunkKeySchema),
+});
+
+const MoveMessageSchema = z.object({
+  type: z.literal('move'),
+  want: Vec3Schema,
+  seq: z.number().int().min(0).optional(),
+});
+
+const LoginMessageSchema = z.object({
+  type: z.literal('login'),
+  layerId: z.string().min(1).optional(),
+  playerName: z.string().min(1).max(64).optional(),
+  token: z.string().min(1).max(8192).optional(),
+});
+
+const LogoutMessageSchema = z.object({
+  type: z.literal('logout'),
+});
+
+const SetViewMessageSchema = z.object({
+  type: z.literal('set_view'),
+  radius: z.number().min(0),
+});
+
+const MoveDirMessageSchema = z.object({
+  type: z.literal('move_dir'),
+  directions: z.array(z.enum(['north', 'south', 'east', 'west'])),
+  seq: z.number().int().min(0).optional(),
+});
+
+const JumpMessageSchema = z.object({
+  type: z.literal('jump'),
+  seq: z.number().int().min(0).optional(),
+});
+
+const CrouchMessageSchema = z.object({
+  type: z.literal('crouch'),
+  crouching: z.boolean(),
+  seq: z.number().int().min(0).optional(),
+});
+
+const FlyDirMessageSchema = z.object({
+  type: z.literal('fly_dir'),
+  direction: z.enum(['up', 'down', 'stop']),
+  seq: z.number().int().min(0).optional(),
+});
+
+const InteractMessageSchema = z.object({
+  type: z.literal('interact'),
+  targetId: z.string().optional(),
+  action: z.string().min(1),
+  data: z.any().optional(),
+});
+
+const ChatMessageSchema = z.object({
+  type: z.literal('chat'),
+  message: z.string().trim().min(1).max(CHAT_MAX_LENGTH),
+  channel: z.enum(['proximity', 'layer', 'global', 'whisper']).optional(),
+  to: z.string().min(1).optional(),
+});
+
+const AddContractMessageSchema = z.object({
+  type: z.literal('add_contract'),
+  entityId: z.string().min(1),
+  contract: AnyContractSchema,
+});
+
+const RemoveContractMessageSchema = z.object({
+  type: z.literal('remove_contract'),
+  entityId: z.string().min(1),
+  contractType: z.string().min(1),
+});
+
+const MoveToMessageSchema = z.object({
+  type: z.literal('move_to'),
+  target: Vec3Schema,
+  requestId: z.string().max(64).optional(),
+});
+
+// Shared with POST /query/raycast
+export const RaycastFilterSchema = z.object({
+  ignore: z.array(z.string().min(1)).optional(),
+  collisionLayers: z.array(z.string().min(1)).optional(),
+  entities: z.boolean().optional(),
+  voxels: z.boolean().optional(),
+});
+
+const RaycastMessageSchema = z.object({
+  type: z.literal('raycast'),
+  direction: Vec3Schema,
+  origin: Vec3Schema.optional(),
+  maxDistance: z.number().positive().max(RAYCAST_MAX_DISTANCE).optional(),
+  filter: RaycastFilterSchema.optional(),
+  requestId: z.string().max(64).optional(),
+});
+
+export const ClientMessageSchemas = {
+  hello: HelloMessageSchema,
+  subscribe_chunks: SubscribeChunksMessageSchema,
+  unsubscribe_chunks: UnsubscribeChunksMessageSchema,
+  move: MoveMessageSchema,
+  login: LoginMessageSchema,
+  logout: LogoutMessageSchema,
+  set_view: SetViewMessageSchema,
+  move_dir: MoveDirMessageSchema,
+  jump: JumpMessageSchema,
+  crouch: CrouchMessageSchema,
+  fly_dir: FlyDirMessageSchema,
+  interact: InteractMessageSchema,
+  chat: ChatMessageSchema,
+  add_contract: AddContractMessageSchema,
+  remove_contract: RemoveContractMessageSchema,
+  raycast: RaycastMessageSchema,
+  move_to: MoveToMessageSchema,
+} satisfies Record<EnhancedClientMessage['type'], z.ZodTypeAny>;
+
+export type ClientMessageParseResult =
+  | { success: true; message: EnhancedClientMessage }
+  | { success: false; error: ErrorMessage };
+
+/**
+ * Validate a decoded frame before dispatch. Failures carry a catalog code and, for
+ * schema errors, the offending field paths (e.g. `chunkKeys.0.cx`).
+ */
+export function parseClientMessage(raw: unknown): ClientMessageParseResult {
+  const type =
+    typeof raw === 'object' && raw !== null ? (raw as { type?: unknown }).type : undefined;
+  if (typeof type !== 'string' || !Object.hasOwn(ClientMessageSchemas, type)) {
+    return {
+      success: false,
+      error: {
+        type: 'error',
+        code: 'UNKNOWN_MESSAGE_TYPE',
+        message: `Unknown message type: ${String(type)}`,
+      },
+    };
+  }
+
+  const schema = ClientMessageSchemas[type as EnhancedClientMessage['type']];
+  const parsed = schema.safeParse(raw);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => ({
+      path: issue.path.join('.'),
+      message: issue.message,
+    }));
+    return {
+      success: false,
+      error: {
+        type: 'error',
+        code: 'VALIDATION_FAILED',
+        message: `Invalid ${type} message: ${issues.map(i => `${i.path || '(root)'}: ${i.message}`).join('; ')}`,
+        issues,
+      },
+    };
+  }
+
+  return { success: true, message: parsed.data as EnhancedClientMessage };
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { createHmac, generateKeyPairSync, sign } from 'node:crypto';
+import type { KeyObject } from 'node:crypto';
+import { LoginTokenVerifier, playerIdForSubject } from '../src/auth.js';
+
+const SECRET = 'test-secret';
+const NOW = 1_700_000_000_000;
+
+function encode(value: unknown): string {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function hs256(claims: Record<string, unknown>, secret = SECRET): string {
+  const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${body}.${createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+function signWithKey(alg: 'ES256' | 'EdDSA', claims: Record<string, unknown>, key: KeyObject) {
+  const body = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  const signature =
+    alg === 'ES256'
+      ? sign('sha256', Buffer.from(body), { key, dsaEncoding: 'ieee-p1363' })
+      : sign(null, Buffer.from(body), key);
+  return `${body}.${signature.toString('base64url')}`;
+}
+
+describe('Login Tokens', () => {
+  const verifier = new LoginTokenVerifier({ secret: SECRET });
+
+  it('should accept a valid HS256 token and return its claims', () => {
+    const token = hs256({ sub: 'alice', name: 'Alice', commands: ['login', 'move_dir'] });
+
+    const claims = verifier.verify(token, NOW);
+
+    expect(claims.sub).toBe('alice');
+    expect(claims.name).toBe('Alice');
+    expect(claims.commands).toEqual(['login', 'move_dir']);
+  });
+
+  it('should reject tampered, wrongly signed and unsigned tokens', () => {
+    const token = hs256({ sub: 'alice' });
+    const [header, , signature] = token.split('.');
+    const forged = `${header}.${encode({ sub: 'admin' })}.${signature}`;
+    const unsigned = `${encode({ alg: 'none' })}.${encode({ sub: 'alice' })}.`;
+
+    expect(() => verifier.verify(forged, NOW)).toThrow('Invalid token signature');
+    expect(() => verifier.verify(hs256({ sub: 'alice' }, 'other'), NOW)).toThrow(
+      'Invalid token signature'
+    );
+    expect(() => verifier.verify(unsigned, NOW)).toThrow('not accepted');
+    expect(() => verifier.verify('not-a-token', NOW)).toThrow('Malformed token');
+  });
+
+  it('should enforce expiry and not-before with clock skew', () => {
+    const seconds = NOW / 1000;
+
+    expect(() => verifier.verify(hs256({ sub: 'a', exp: seconds - 60 }), NOW)).toThrow('expired');
+    expect(() => verifier.verify(hs256({ sub: 'a', nbf: seconds + 60 }), NOW)).toThrow(
+      'not valid yet'
+    );
+    expect(verifier.verify(hs256({ sub: 'a', exp: seconds - 10 }), NOW).sub).toBe('a');
+  });
+
+  it('should check issuer, audience and claim shapes', () => {
+    const strict = new LoginTokenVerifier({ secret: SECRET, issuer: 'hub', audience: 'world' });
+
+    expect(strict.verify(hs256({ sub: 'a', iss: 'hub', aud: ['world'] }), NOW).sub).toBe('a');
+    expect(() => strict.verify(hs256({ sub: 'a', iss: 'x', aud: 'world' }), NOW)).toThrow('issuer');
+    expect(() => strict.verify(hs256({ sub: 'a', iss: 'hub', aud: 'x' }), NOW)).toThrow('audience');
+    expect(() => verifier.verify(hs256({ sub: '../etc' }), NOW)).toThrow('subject');
+    expect(() => verifier.verify(hs256({ sub: 'a', commands: 'all' }), NOW)).toThrow('commands');
+  });
+
+  it('should verify ES256 and EdDSA tokens against a public key', () => {
+    for (const [alg, type] of [
+      ['ES256', 'ec'],
+      ['EdDSA', 'ed25519'],
+    ] as const) {
+      const { publicKey, privateKey } =
+        type === 'ec'
+          ? generateKeyPairSync('ec', { namedCurve: 'P-256' })
+          : generateKeyPairSync('ed25519');
+      const pem = publicKey.export({ type: 'spki', format: 'pem' }).toString();
+      const keyed = new LoginTokenVerifier({ publicKey: pem });
+
+      expect(keyed.verify(signWithKey(alg, { sub: 'bob' }, privateKey), NOW).sub).toBe('bob');
+      // HMAC tokens cannot be used once only a public key is trusted
+      expect(() => keyed.verify(hs256({ sub: 'bob' }), NOW)).toThrow('not accepted');
+    }
+  });
+
+  it('should only be enabled with a secret or key, and map subjects to player ids', () => {
+    expect(new LoginTokenVerifier({}).enabled).toBe(false);
+    expect(verifier.enabled).toBe(true);
+    expect(playerIdForSubject('alice')).toBe('user-alice');
+  });
+});
@@ -0,0 +1,257 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import type { Mobility, Vec3 } from '@worldhost/shared';
+import type { LayerBoundaries } from '../src/world/space.js';
+import { ChunkUtils } from '@worldhost/shared';
+import { createECSWorld } from '../src/world/ecs.js';
+import type { ECSWorld } from '../src/world/ecs.js';
+import { ChunkManager } from '../src/world/chunks.js';
+import { layerRegistry, isChunkInBounds } from '../src/world/space.js';
+import { BasicMovementSystem } from '../src/world/systems/movement.js';
+import type { BoundaryEvent } from '../src/world/systems/movement.js';
+import {
+  ORIGIN,
+  createMobility,
+  createBoxShape,
+  createSolidity,
+  createKinematic,
+  createSolidBoxContracts,
+} from '../src/world/contracts.js';
+import { createAppContext, runTick } from '../src/app.js';
+import type { AppContext } from '../src/app.js';
+import { startTestServer } from './ws-harness.js';
+import type { TestClient, TestServer } from './ws-harness.js';
+
+const SPAWN = { x: 0, y: 5, z: 0 };
+
+describe('Layer boundaries', () => {
+  let ecsWorld: ECSWorld;
+  let chunkManager: ChunkManager;
+  let movementSystem: BasicMovementSystem;
+  let events: BoundaryEvent[];
+
+  const mobility = (id: string) => ecsWorld.getContract<Mobility>(id, 'mobility');
+  const run = (ticks: number) => {
+    for (let tick = 0; tick < ticks; tick++) movementSystem.update(0.1);
+  };
+
+  const createArena = (boundaries: Omit<LayerBoundaries, 'min' | 'max'>) => {
+    layerRegistry.createLayer({
+      id: 'arena',
+      name: 'Arena',
+      chunkSize: 8,
+      spawnPoint: SPAWN,
+      boundaries: {
+        min: { x: -10, y: -10, z: -10 },
+        max: { x: 10, y: 10, z: 10 },
+        ...boundaries,
+      },
+      properties: {},
+    });
+  };
+
+  const spawn = (id: string, at: Vec3, velocity?: Vec3) => {
+    ecsWorld.createEntity(id, [
+      createMobility(at, velocity),
+      createBoxShape(ORIGIN, { x: 1, y: 1, z: 1 }),
+    ]);
+  };
+
+  beforeEach(() => {
+    ecsWorld = createECSWorld();
+    chunkManager = new ChunkManager(ecsWorld);
+    movementSystem = new BasicMovementSystem(ecsWorld, chunkManager);
+    movementSystem.setWorld({ getEntityLayer: () => 'arena', placeEntity: () => {} });
+    events = [];
+    movementSystem.onBoundary(event => events.push(event));
+  });
+
+  afterEach(() => {
+    layerRegistry.removeLayer('arena');
+  });
+
+  it('should hold entities inside clamp boundaries like walls and a floor', () => {
+    createArena({});
+    spawn('runner', { x: 8, y: 0, z: 0 }, { x: 20, y: 0, z: 0 });
+
+    run(30);
+
+    const position = mobility('runner')!.position;
+    expect(position.x).toBeLessThanOrEqual(9.5);
+    expect(position.x).toBeGreaterThan(9.4);
+    // Resting on the bottom face instead of falling through it
+    expect(position.y).toBeGreaterThanOrEqual(-9.5);
+    expect(position.y).toBeLessThan(-9.4);
+    expect(events).toEqual([]);
+  });
+
+  it('should wrap entities across the horizontal edges of wrap boundaries', () => {
+    createArena({ mode: 'wrap' });
+    spawn('runner', { x: 9.8, y: 0, z: -9.9 }, { x: 5, y: 0, z: -5 });
+
+    run(1);
+
+    const position = mobility('runner')!.position;
+    expect(position.x).toBeLessThan(-9);
+    expect(position.z).toBeGreaterThan(9);
+    expect(events).toEqual([{ entityId: 'runner', layerId: 'arena', action: 'wrapped', position }]);
+
+    // The floor still holds
+    run(30);
+    expect(mobility('runner')!.position.y).toBeGreaterThanOrEqual(-9.5);
+  });
+
+  it('should respawn entities that fall out of void boundaries', () => {
+    createArena({ mode: 'void' });
+    spawn('faller', { x: 3, y: -9, z: 0 }, { x: 0, y: -20, z: 0 });
+
+    run(1);
+
+    expect(mobility('faller')).toMatchObject({ position: SPAWN, velocity: ORIGIN });
+    expect(events).toEqual([
+      { entityId: 'faller', layerId: 'arena', action: 'respawned', position: SPAWN },
+    ]);
+  });
+
+  it('should destroy entities that leave void boundaries when asked to', () => {
+    createArena({ mode: 'void', onVoid: 'destroy' });
+    spawn('faller', { x: 3, y: -9, z: 0 }, { x: 0, y: -20, z: 0 });
+
+    run(1);
+
+    expect(ecsWorld.hasEntity('faller')).toBe(false);
+    expect(events).toEqual([{ entityId: 'faller', layerId: 'arena', action: 'destroyed' }]);
+  });
+
+  it('should stop kinematic bodies and their riders at clamp boundaries', () => {
+    createArena({});
+    const size = { x: 4, y: 0.5, z: 4 };
+    const velocity = { x: 5, y: 0, z: 0 };
+    ecsWorld.createEntity('platform', [
+      ...createSolidBoxContracts({ x: 5, y: 0, z: 0 }, size, createSolidity(true), velocity),
+      createKinematic(),
+    ]);
+    // Standing on the platform's far edge
+    spawn('rider', { x: 6.5, y: 0.25 + 0.5 + 0.01, z: 0 });
+
+    run(20);
+
+    expect(mobility('platform')).toMatchObject({
+      position: { x: 8, y: 0, z: 0 },
+      velocity: ORIGIN,
+    });
+    expect(mobility('rider')!.position.x).toBeLessThanOrEqual(9.5);
+    expect(mobility('rider')!.position.x).toBeGreaterThan(9.4);
+  });
+
+  it('should refuse to create or load chunks outside the boundaries', () => {
+    createArena({});
+    chunkManager.setLayerResolver(() => 'arena');
+    const inside = ChunkUtils.create('arena', 1, 0, -2);
+    const outside = ChunkUtils.create('arena', 2, 0, 0);
+
+    expect(isChunkInBounds(inside)).toBe(true);
+    expect(isChunkInBounds(outside)).toBe(false);
+    expect(isChunkInBounds(ChunkUtils.create('default', 100, 0, 0))).toBe(true);
+    expect(chunkManager.loadChunk(inside).loaded).toBe(true);
+    expect(() => chunkManager.loadChunk(outside)).toThrow('outside the layer boundaries');
+    expect(() => chunkManager.getChunk(outside)).toThrow('outside the layer boundaries');
+    expect(chunkManager.getEntitiesInChunk(outside)).toEqual([]);
+
+    // Straddling the edge: indexed in the chunk inside only
+    spawn('straddler', { x: 15.8, y: 5, z: 0 });
+    spawn('stray', { x: 20, y: 5, z: 0 });
+    expect(chunkManager.getEntityChunks('straddler')).toEqual([
+      ChunkUtils.create('arena', 1, 0, 0),
+    ]);
+    expect(chunkManager.getEntityChunks('stray')).toEqual([]);
+    expect(chunkManager.getStats().totalChunks).toBe(2);
+  });
+});
+
+describe('Layer boundaries seen by connected players', () => {
+  let context: AppContext;
+  let server: TestServer;
+
+  const createArena = (boundaries: Omit<LayerBoundaries, 'min' | 'max'>) => {
+    context.worldState.createLayer({
+      id: 'arena',
+      name: 'Arena',
+      chunkSize: 8,
+      spawnPoint: SPAWN,
+      boundaries: { min: { x: -10, y: -10, z: -10 }, max: { x: 10, y: 10, z: 10 }, ...boundaries },
+      properties: {},
+    });
+  };
+
+  // Log in on the arena and head out through its east face
+  const leaveArena = async (player: TestClient) => {
+    player.send({ type: 'login', layerId: 'arena' });
+    const { playerId } = await player.next('login_ok');
+    player.send({ type: 'set_view', radius: 1 });
+    await player.next('set_view_ok');
+    context.worldState
+      .getECSWorld()
+      .addContract(playerId, createMobility({ x: 9, y: 5, z: 0 }, { x: 60, y: 0, z: 0 }));
+    const after = player.messages.length;
+    const event = await vi.waitFor(() => {
+      runTick(context);
+      const [boundary] = player.received('entity_boundary');
+      expect(boundary).toBeDefined();
+      return boundary!;
+    });
+    return { playerId, event, after };
+  };
+
+  beforeEach(async () => {
+    context = createAppContext();
+    server = await startTestServer(context);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    layerRegistry.removeLayer('arena');
+  });
+
+  it('should move the view and tell watchers when a player is respawned', async () => {
+    createArena({ mode: 'void' });
+    const watcher = await server.connect();
+    await watcher.subscribe([ChunkUtils.create('arena', 0, 0, 0)]);
+    const player = await server.connect();
+
+    const { playerId, event, after } = await leaveArena(player);
+
+    expect(event).toMatchObject({ entityId: playerId, action: 'respawned', position: SPAWN });
+    // The view around x = 9 did not reach the chunk west of the spawn point
+    await vi.waitFor(() => {
+      const snapshots = player.messages
+        .slice(after)
+        .flatMap(message => (message.type === 'chunk_snapshot' ? [message.chunkKey] : []));
+      expect(snapshots).toContainEqual(ChunkUtils.create('arena', -1, 0, 0));
+    });
+    // The watcher of the spawn chunk saw the player leave for the east face and come back
+    await vi.waitFor(() => {
+      const deltas = watcher.received('chunk_delta').map(message => message.delta.type);
+      expect(deltas.slice(-2)).toEqual(['entity_despawn', 'entity_spawn']);
+    });
+  });
+
+  it('should log a player out of the world when the boundaries destroy it', async () => {
+    createArena({ mode: 'void', onVoid: 'destroy' });
+    const player = await server.connect();
+
+    const { playerId, event } = await leaveArena(player);
+
+    expect(event).toEqual({
+      type: 'entity_boundary',
+      entityId: playerId,
+      layerId: 'arena',
+      action: 'destroyed',
+    });
+    expect(context.worldState.getECSWorld().hasEntity(playerId)).toBe(false);
+    // Logging in again puts a player back in the world
+    const after = player.messages.length;
+    player.send({ type: 'login', layerId: 'arena' });
+    const { playerId: rejoined } = await player.next('login_ok', after);
+    expect(context.worldState.getECSWorld().hasEntity(rejoined)).toBe(true);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import type { ServerChatMessage, ChatChannel } from '@worldhost/shared';
+import { ChatService } from '../src/chat.js';
+
+function chatMessage(
+  channel: ChatChannel,
+  text: string,
+  playerId = 'player-1',
+  to?: string
+): ServerChatMessage {
+  return { type: 'chat', playerId, playerName: playerId, message: text, timestamp: 0, channel, to };
+}
+
+describe('Chat Service', () => {
+  it('should allow bursts and then refill at the per-minute rate', () => {
+    const chat = new ChatService({ historySize: 10, messagesPerMinute: 6, burst: 2 });
+
+    expect(chat.allow('player-1', 0)).toBe(true);
+    expect(chat.allow('player-1', 0)).toBe(true);
+    expect(chat.allow('player-1', 0)).toBe(false);
+    // Other players have their own allowance
+    expect(chat.allow('player-2', 0)).toBe(true);
+    // 6/minute refills one message every 10 seconds
+    expect(chat.allow('player-1', 5000)).toBe(false);
+    expect(chat.allow('player-1', 10000)).toBe(true);
+  });
+
+  it('should keep refusing rather than escalate', () => {
+    const chat = new ChatService({ historySize: 10, messagesPerMinute: 1, burst: 1 });
+    chat.allow('player-1', 0);
+
+    for (let i = 0; i < 100; i++) {
+      expect(chat.allow('player-1', 0)).toBe(false);
+    }
+    expect(chat.allow('player-1', 60000)).toBe(true);
+  });
+
+  it('should replay global, same-layer and own whisper history', () => {
+    const chat = new ChatService({ historySize: 10, messagesPerMinute: 60, burst: 5 });
+    chat.record(chatMessage('global', 'hello all'), 'default');
+    chat.record(chatMessage('layer', 'default layer'), 'default');
+    chat.record(chatMessage('layer', 'cave layer'), 'cave');
+    chat.record(chatMessage('proximity', 'nearby'), 'default');
+    chat.record(chatMessage('whisper', 'psst', 'player-1', 'player-2'), 'default');
+
+    const texts = (playerId: string, layerId: string) =>
+      chat.historyFor(playerId, layerId).map(m => m.message);
+
+    expect(texts('player-2', 'default')).toEqual(['hello all', 'default layer', 'psst']);
+    expect(texts('player-3', 'cave')).toEqual(['hello all', 'cave layer']);
+    expect(texts('player-1', 'cave')).toEqual(['hello all', 'cave layer', 'psst']);
+  });
+
+  it('should keep only the most recent messages', () => {
+    const chat = new ChatService({ historySize: 2, messagesPerMinute: 60, burst: 5 });
+    chat.record(chatMessage('global', 'one'), 'default');
+    chat.record(chatMessage('global', 'two'), 'default');
+    chat.record(chatMessage('global', 'three'), 'default');
+
+    expect(chat.historyFor('player-9', 'default').map(m => m.message)).toEqual(['two', 'three']);
+  });
+});
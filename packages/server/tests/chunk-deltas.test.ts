@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createECSWorld } from '../src/world/ecs.js';
+import { ChunkManager } from '../src/world/chunks.js';
+import type { ECSWorld } from '../src/world/ecs.js';
+import type { ChunkDelta } from '../src/world/chunks.js';
+import type { Mobility } from '@worldhost/shared';
+import { ChunkUtils } from '@worldhost/shared';
+import { CHUNK_DELTA_HISTORY } from '../src/config.js';
+
+describe('Chunk Delta Ring', () => {
+  let ecsWorld: ECSWorld;
+  let chunkManager: ChunkManager;
+
+  beforeEach(() => {
+    ecsWorld = createECSWorld();
+    chunkManager = new ChunkManager(ecsWorld);
+  });
+
+  afterEach(() => {
+    chunkManager.dispose();
+  });
+
+  const origin = ChunkUtils.create('default', 0, 0, 0);
+  const east = ChunkUtils.create('default', 1, 0, 0);
+
+  const spawnAt = (id: string, x: number) =>
+    ecsWorld.createEntity(id, [
+      { type: 'mobility', position: { x, y: 1, z: 10 } } satisfies Mobility,
+    ]);
+
+  const moveTo = (id: string, x: number) =>
+    ecsWorld.addContract(id, { type: 'mobility', position: { x, y: 1, z: 10 } } satisfies Mobility);
+
+  it('should record spawn and despawn deltas with monotonic versions', () => {
+    const start = chunkManager.getChunk(origin).version;
+
+    spawnAt('walker', 10);
+    moveTo('walker', 40);
+
+    const deltas = chunkManager.getDeltasSince(origin, start);
+    expect(deltas?.map(d => [d.type, d.entityId, d.version])).toEqual([
+      ['entity_spawn', 'walker', start + 1],
+      ['entity_despawn', 'walker', start + 2],
+    ]);
+    expect(chunkManager.getChunk(origin).version).toBe(start + 2);
+    expect(chunkManager.getDeltasSince(east, 1)?.map(d => d.type)).toEqual(['entity_spawn']);
+  });
+
+  it('should return only the deltas after the given version', () => {
+    spawnAt('a', 5);
+    const seen = chunkManager.getChunk(origin).version;
+    spawnAt('b', 6);
+    chunkManager.recordEntityUpdate('a', origin);
+
+    const deltas = chunkManager.getDeltasSince(origin, seen);
+    expect(deltas?.map(d => [d.type, d.entityId])).toEqual([
+      ['entity_spawn', 'b'],
+      ['entity_update', 'a'],
+    ]);
+    expect(chunkManager.getDeltasSince(origin, chunkManager.getChunk(origin).version)).toEqual([]);
+  });
+
+  it('should require a snapshot once the ring has rolled past the version', () => {
+    spawnAt('churn', 5);
+    const seen = chunkManager.getChunk(origin).version;
+
+    for (let i = 0; i < CHUNK_DELTA_HISTORY; i++) {
+      chunkManager.recordEntityUpdate('churn', origin);
+    }
+    expect(chunkManager.getDeltasSince(origin, seen)).toHaveLength(CHUNK_DELTA_HISTORY);
+
+    chunkManager.recordEntityUpdate('churn', origin);
+    expect(chunkManager.getDeltasSince(origin, seen)).toBeUndefined();
+    expect(chunkManager.getDeltasSince(origin, seen + 1)).toHaveLength(CHUNK_DELTA_HISTORY);
+  });
+
+  it('should require a snapshot for versions the chunk has not reached', () => {
+    spawnAt('a', 5);
+    const version = chunkManager.getChunk(origin).version;
+
+    expect(chunkManager.getDeltasSince(origin, version + 10)).toBeUndefined();
+  });
+
+  it('should require a snapshot after changes the ring cannot describe', () => {
+    spawnAt('a', 5);
+    const seen = chunkManager.getChunk(origin).version;
+    const chunk = chunkManager.getChunk(origin);
+    chunkManager.initializeSolidGrid(chunk);
+
+    chunkManager.setSolid(chunk, 1, 1, 1, true);
+
+    expect(chunkManager.getDeltasSince(origin, seen)).toBeUndefined();
+  });
+
+  it('should tell resync listeners about changes the ring cannot describe', () => {
+    const chunk = chunkManager.getChunk(origin);
+    chunkManager.initializeSolidGrid(chunk);
+    const resynced: string[] = [];
+    const stop = chunkManager.onResync(chunkKey => resynced.push(ChunkUtils.toString(chunkKey)));
+
+    chunkManager.setSolid(chunk, 1, 1, 1, true);
+    spawnAt('a', 5);
+    stop();
+    chunkManager.setSolid(chunk, 2, 1, 1, true);
+
+    expect(resynced).toEqual([ChunkUtils.toString(origin)]);
+  });
+
+  it('should only record updates for entities in the chunk', () => {
+    spawnAt('a', 5);
+
+    expect(chunkManager.recordEntityUpdate('a', east)).toBeUndefined();
+    expect(chunkManager.recordEntityUpdate('a', origin)?.type).toBe('entity_update');
+  });
+
+  it('should notify delta listeners until they are removed', () => {
+    const received: Array<[string, ChunkDelta['type']]> = [];
+    const stop = chunkManager.onDelta((chunkKey, delta) =>
+      received.push([ChunkUtils.toString(chunkKey), delta.type])
+    );
+
+    spawnAt('a', 5);
+    stop();
+    moveTo('a', 40);
+
+    expect(received).toEqual([[ChunkUtils.toString(origin), 'entity_spawn']]);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import type { ChunkKey, Mobility } from '@worldhost/shared';
+import { ChunkUtils } from '@worldhost/shared';
+import { createAppContext } from '../src/app.js';
+import type { AppContext } from '../src/app.js';
+import { CHUNK_SIZE } from '../src/config.js';
+import { startTestServer } from './ws-harness.js';
+import type { TestClient, TestServer } from './ws-harness.js';
+
+describe('Chunk delta fan-out', () => {
+  let context: AppContext;
+  let server: TestServer;
+
+  const west = ChunkUtils.create('default', 0, 0, 0);
+  const east = ChunkUtils.create('default', 1, 0, 0);
+
+  const moveTo = (id: string, x: number) =>
+    context.worldState
+      .getECSWorld()
+      .addContract(id, { type: 'mobility', position: { x, y: 1, z: 10 } } satisfies Mobility);
+
+  // The chunk and delta type of each chunk_delta the client was sent
+  const deltas = (client: TestClient) =>
+    client
+      .received('chunk_delta')
+      .map(message => [ChunkUtils.toString(message.chunkKey), message.delta.type]);
+
+  const watch = async (...chunkKeys: ChunkKey[]) => {
+    const client = await server.connect();
+    await client.subscribe(chunkKeys);
+    return client;
+  };
+
+  beforeEach(async () => {
+    context = createAppContext();
+    server = await startTestServer(context);
+    context.worldState.getECSWorld().createEntity('walker', []);
+    moveTo('walker', CHUNK_SIZE - 2);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should send one update to clients that see both sides of a chunk crossing', async () => {
+    const both = await watch(west, east);
+    const westOnly = await watch(west);
+    const eastOnly = await watch(east);
+
+    moveTo('walker', CHUNK_SIZE + 2);
+
+    await vi.waitFor(() => {
+      expect(deltas(eastOnly)).toEqual([[ChunkUtils.toString(east), 'entity_spawn']]);
+      expect(deltas(westOnly)).toEqual([[ChunkUtils.toString(west), 'entity_despawn']]);
+      expect(deltas(both)).toEqual([[ChunkUtils.toString(east), 'entity_update']]);
+    });
+  });
+
+  it('should despawn entities for clients that see none of the chunks they entered', async () => {
+    const westOnly = await watch(west);
+    const both = await watch(west, east);
+
+    moveTo('walker', CHUNK_SIZE * 2 + 2);
+
+    await vi.waitFor(() => {
+      expect(deltas(westOnly)).toEqual([[ChunkUtils.toString(west), 'entity_despawn']]);
+      // Neither chunk holds the walker any more
+      expect(deltas(both)).toEqual([[ChunkUtils.toString(west), 'entity_despawn']]);
+    });
+  });
+
+  it('should spawn entities for clients that only see the chunk they entered', async () => {
+    const eastOnly = await watch(east);
+
+    moveTo('walker', CHUNK_SIZE + 2);
+    await vi.waitFor(() => expect(deltas(eastOnly)).toHaveLength(1));
+    context.worldState.getECSWorld().removeEntity('walker');
+
+    await vi.waitFor(() => {
+      expect(deltas(eastOnly)).toEqual([
+        [ChunkUtils.toString(east), 'entity_spawn'],
+        [ChunkUtils.toString(east), 'entity_despawn'],
+      ]);
+    });
+  });
+
+  it('should send a fresh snapshot when terrain changes empty the delta ring', async () => {
+    const watcher = await watch(west);
+    const chunk = context.chunkManager.getChunk(west);
+    if (!chunk.solidGrid) context.chunkManager.initializeSolidGrid(chunk);
+
+    for (let x = 0; x < 3; x++) context.chunkManager.setSolid(chunk, x, 0, 0, true);
+    const resync = await watcher.next('chunk_snapshot');
+    context.worldState.getECSWorld().createEntity('crate', []);
+    moveTo('crate', 6);
+
+    // One snapshot for the whole batch, and later deltas carry on from its version
+    const spawned = await watcher.next('chunk_delta');
+    expect(watcher.received('chunk_snapshot')).toHaveLength(2);
+    expect(watcher.received('chunk_delta')).toHaveLength(1);
+    expect(resync.version).toBe(chunk.version - 1);
+    expect(spawned).toMatchObject({ version: chunk.version, delta: { entityId: 'crate' } });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createECSWorld } from '../src/world/ecs.js';
+import { ChunkManager } from '../src/world/chunks.js';
+import type { ECSWorld } from '../src/world/ecs.js';
+import type { Mobility, Shape } from '@worldhost/shared';
+import { ChunkUtils } from '@worldhost/shared';
+
+describe('Entity Chunk Index', () => {
+  let ecsWorld: ECSWorld;
+  let chunkManager: ChunkManager;
+
+  beforeEach(() => {
+    ecsWorld = createECSWorld();
+    chunkManager = new ChunkManager(ecsWorld);
+  });
+
+  afterEach(() => {
+    chunkManager.dispose();
+  });
+
+  const origin = ChunkUtils.create('default', 0, 0, 0);
+  const east = ChunkUtils.create('default', 1, 0, 0);
+
+  it('should index entities by their position', () => {
+    ecsWorld.createEntity('point', [
+      { type: 'mobility', position: { x: 10, y: 1, z: 10 } } satisfies Mobility,
+    ]);
+
+    expect(chunkManager.getEntitiesInChunk(origin)).toEqual(['point']);
+    expect(chunkManager.getEntitiesInChunk(east)).toEqual([]);
+    expect(chunkManager.getEntityChunks('point').map(ChunkUtils.toString)).toEqual([
+      ChunkUtils.toString(origin),
+    ]);
+  });
+
+  it('should follow entities across chunk boundaries', () => {
+    ecsWorld.createEntity('walker', [
+      { type: 'mobility', position: { x: 10, y: 1, z: 10 } } satisfies Mobility,
+    ]);
+
+    ecsWorld.addContract('walker', {
+      type: 'mobility',
+      position: { x: 40, y: 1, z: 10 },
+    } satisfies Mobility);
+
+    expect(chunkManager.getEntitiesInChunk(origin)).toEqual([]);
+    expect(chunkManager.getEntitiesInChunk(east)).toEqual(['walker']);
+  });
+
+  it('should place entities whose bounds straddle a boundary in every chunk they touch', () => {
+    ecsWorld.createEntity('wide', [
+      { type: 'mobility', position: { x: 32, y: 1, z: 10 } } satisfies Mobility,
+      {
+        type: 'shape',
+        bounds: { min: { x: -2, y: -0.5, z: -0.5 }, max: { x: 2, y: 0.5, z: 0.5 } },
+        geometry: 'box',
+      } satisfies Shape,
+    ]);
+
+    expect(chunkManager.getEntitiesInChunk(origin)).toEqual(['wide']);
+    expect(chunkManager.getEntitiesInChunk(east)).toEqual(['wide']);
+  });
+
+  it('should drop entities from the index when they are removed', () => {
+    ecsWorld.createEntity('temp', [
+      { type: 'mobility', position: { x: 10, y: 1, z: 10 } } satisfies Mobility,
+    ]);
+
+    ecsWorld.removeEntity('temp');
+
+    expect(chunkManager.getEntitiesInChunk(origin)).toEqual([]);
+    expect(chunkManager.getEntityChunks('temp')).toEqual([]);
+  });
+
+  it('should not touch chunk versions when an entity moves within the same chunk', () => {
+    ecsWorld.createEntity('idle', [
+      { type: 'mobility', position: { x: 10, y: 1, z: 10 } } satisfies Mobility,
+    ]);
+    const version = chunkManager.getChunk(origin).version;
+
+    ecsWorld.addContract('idle', {
+      type: 'mobility',
+      position: { x: 11, y: 1, z: 10 },
+    } satisfies Mobility);
+
+    expect(chunkManager.getChunk(origin).version).toBe(version);
+    expect(chunkManager.getEntitiesInChunk(origin)).toEqual(['idle']);
+  });
+
+  it('should use the layer resolver for chunk keys', () => {
+    chunkManager.setLayerResolver(entityId => (entityId === 'nether-imp' ? 'nether' : undefined));
+
+    ecsWorld.createEntity('nether-imp', [
+      { type: 'mobility', position: { x: 10, y: 1, z: 10 } } satisfies Mobility,
+    ]);
+
+    expect(chunkManager.getEntitiesInChunk(ChunkUtils.create('nether', 0, 0, 0))).toEqual([
+      'nether-imp',
+    ]);
+    expect(chunkManager.getEntitiesInChunk(origin)).toEqual([]);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import type { Vec3 } from '@worldhost/shared';
+import { createECSWorld } from '../src/world/ecs.js';
+import { ChunkManager } from '../src/world/chunks.js';
+import { BasicMovementSystem } from '../src/world/systems/movement.js';
+import { sweepCollider, toCollider } from '../src/world/collision.js';
+import {
+  ORIGIN,
+  createBoxShape,
+  createSphereShape,
+  createCylinderShape,
+  createMobility,
+  createSolidBoxContracts,
+} from '../src/world/contracts.js';
+
+const sphere = (at: Vec3, radius = 0.5) => toCollider(createSphereShape(ORIGIN, radius), at);
+const box = (at: Vec3, size = 1) =>
+  toCollider(createBoxShape(ORIGIN, { x: size, y: size, z: size }), at);
+const cylinder = (at: Vec3) => toCollider(createCylinderShape(ORIGIN, 0.5, 2), at);
+
+describe('Collision Shapes', () => {
+  it('should hit sphere against sphere when the centers are a radius sum apart', () => {
+    const hit = sweepCollider(sphere(ORIGIN), { x: 4, y: 0, z: 0 }, sphere({ x: 3, y: 0, z: 0 }));
+
+    expect(hit?.t).toBeCloseTo(0.5);
+    expect(hit?.normal.x).toBeCloseTo(-1);
+  });
+
+  it('should give a sphere hitting a box edge the normal of the edge, not the face', () => {
+    // Box spans z 1.5..2.5: the sphere's bounds overlap it, but the center passes 0.4 from the edge
+    const hit = sweepCollider(
+      sphere({ x: 0, y: 0, z: 1.1 }),
+      { x: 4, y: 0, z: 0 },
+      box({ x: 2, y: 0, z: 2 })
+    );
+
+    // Contact at x = 1.5 - 0.3, later than the x = 1 where the bounds meet
+    expect(hit?.t).toBeCloseTo(1.2 / 4);
+    expect(hit?.normal.x).toBeCloseTo(-0.6);
+    expect(hit?.normal.z).toBeCloseTo(-0.8);
+  });
+
+  it('should let a sphere pass a box corner its bounds would clip', () => {
+    const hit = sweepCollider(
+      sphere({ x: 0, y: 0.9, z: 1.1 }),
+      { x: 4, y: 0, z: 0 },
+      box({ x: 2, y: 0, z: 2 })
+    );
+
+    expect(hit).toBeNull();
+    expect(
+      sweepCollider(box({ x: 0, y: 0.9, z: 1.1 }), { x: 4, y: 0, z: 0 }, box({ x: 2, y: 0, z: 2 }))
+    ).not.toBeNull();
+  });
+
+  it('should round a cylinder around box edges but land flat on top', () => {
+    const side = sweepCollider(
+      cylinder({ x: 0, y: 0, z: 1.1 }),
+      { x: 4, y: 0, z: 0 },
+      box({ x: 2, y: 0, z: 2 })
+    );
+    expect(side?.normal.x).toBeCloseTo(-0.6);
+    expect(side?.normal.y).toBeCloseTo(0);
+    expect(side?.normal.z).toBeCloseTo(-0.8);
+
+    // Bottom at y = 3 - 1, falling onto the box top at y = 0.5
+    const landing = sweepCollider(
+      cylinder({ x: 2, y: 3, z: 2.4 }),
+      { x: 0, y: -3, z: 0 },
+      box({ x: 2, y: 0, z: 2 })
+    );
+    expect(landing?.t).toBeCloseTo(1.5 / 3);
+    expect(landing?.normal).toEqual({ x: 0, y: 1, z: 0 });
+  });
+
+  it('should move sphere entities past corners that block box entities', () => {
+    const ecsWorld = createECSWorld();
+    const movementSystem = new BasicMovementSystem(ecsWorld, new ChunkManager(ecsWorld));
+    ecsWorld.createEntity('block', createSolidBoxContracts({ x: 2, y: 0, z: 2 }));
+    ecsWorld.createEntity('ball', [
+      createMobility({ x: 0, y: 0.9, z: 1.1 }, undefined, 10),
+      createSphereShape(ORIGIN, 0.5),
+    ]);
+    ecsWorld.createEntity('crate', [
+      createMobility({ x: 0, y: 0.9, z: 1.1 }, undefined, 10),
+      createBoxShape(ORIGIN, { x: 1, y: 1, z: 1 }),
+    ]);
+
+    expect(movementSystem.attemptMove('ball', { x: 4, y: 0.9, z: 1.1 }, 1).ok).toBe(true);
+    expect(movementSystem.attemptMove('crate', { x: 4, y: 0.9, z: 1.1 }, 1).blockedReason).toBe(
+      'Blocked by entity block'
+    );
+  });
+});
@@ -2,6 +2,17 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import { createECSWorld } from '../src/world/ecs.js';
 import { ChunkManager } from '../src/world/chunks.js';
 import { BasicMovementSystem } from '../src/world/systems/movement.js';
+import {
+  createPlayerContracts,
+  createBlockContracts,
+  createSolidity,
+  createWorldConditions,
+  createBoxShape,
+  createMobility,
+  createMovementRules,
+  createSolidBoxContracts,
+  ORIGIN,
+} from '../src/world/contracts.js';
 import type { ECSWorld } from '../src/world/ecs.js';
 import type { Vec3, Mobility, Shape, Solidity } from '@worldhost/shared';
 
@@ -282,6 +293,174 @@ describe('Collision System', () => {
     });
   });
 
+  describe('Template entities', () => {
+    it('should keep shape bounds local to the entity position', () => {
+      const contracts = createPlayerContracts('p1', 'Player', { x: 10, y: 1, z: 10 });
+      const shape = contracts.find(c => c.type === 'shape') as Shape;
+
+      expect(shape.bounds.min).toEqual({ x: -0.3, y: -0.9, z: -0.3 });
+      expect(shape.bounds.max).toEqual({ x: 0.3, y: 0.9, z: 0.3 });
+    });
+
+    it('should stop a player walking into a block', () => {
+      ecsWorld.createEntity('p1', createPlayerContracts('p1', 'Player', { x: 10, y: 1, z: 10 }));
+      ecsWorld.createEntity('b1', createBlockContracts('b1', { x: 12, y: 1, z: 10 }));
+
+      // maxSpeed 5 over 1s would reach the target, but the block is in the way
+      const result = movementSystem.attemptMove('p1', { x: 14, y: 1, z: 10 }, 1);
+
+      expect(result.ok).toBe(false);
+      expect(result.blockedReason).toBe('Blocked by entity b1');
+      expect(result.collisionNormal).toEqual({ x: -1, y: 0, z: 0 });
+      expect(result.position.x).toBeLessThanOrEqual(12 - 0.5 - 0.3);
+    });
+  });
+
+  describe('Sliding and Step-Up', () => {
+    const spawnWall = (id: string, center: Vec3, size: Vec3) => {
+      ecsWorld.createEntity(id, createSolidBoxContracts(center, size));
+    };
+    const spawnWalker = (stepHeight?: number) => {
+      ecsWorld.createEntity('walker', [
+        createMobility({ x: 0, y: 0.5, z: 0 }, undefined, 10),
+        createBoxShape(ORIGIN, { x: 1, y: 1, z: 1 }),
+        createMovementRules(1, true, true, stepHeight),
+      ]);
+    };
+
+    it('should slide along a wall hit at an angle', () => {
+      spawnWalker();
+      spawnWall('wall', { x: 1.5, y: 0.5, z: 0 }, { x: 1, y: 1, z: 20 });
+
+      const result = movementSystem.attemptMove('walker', { x: 3, y: 0.5, z: 3 }, 1);
+
+      expect(result.ok).toBe(false);
+      expect(result.blockedReason).toBe('Blocked by entity wall');
+      expect(result.collisionNormal).toEqual({ x: -1, y: 0, z: 0 });
+      // Stopped at the wall in x, but kept all of the z movement
+      expect(result.position.x).toBeLessThanOrEqual(0.5);
+      expect(result.position.z).toBeCloseTo(3);
+    });
+
+    it('should step onto ledges up to the movement_rules step height', () => {
+      spawnWalker(0.5);
+      spawnWall('ledge', { x: 2, y: 0.15, z: 0 }, { x: 1, y: 0.3, z: 1 });
+
+      const result = movementSystem.attemptMove('walker', { x: 2, y: 0.5, z: 0 }, 1);
+
+      expect(result.ok).toBe(true);
+      expect(result.position.x).toBeCloseTo(2);
+      // Standing on the ledge top
+      expect(result.position.y).toBeCloseTo(0.8, 2);
+    });
+
+    it('should not step onto ledges taller than the step height', () => {
+      spawnWalker(0.5);
+      spawnWall('ledge', { x: 2, y: 0.4, z: 0 }, { x: 1, y: 0.8, z: 1 });
+
+      const result = movementSystem.attemptMove('walker', { x: 2, y: 0.5, z: 0 }, 1);
+
+      expect(result.ok).toBe(false);
+      expect(result.position.x).toBeLessThan(1);
+      expect(result.position.y).toBe(0.5);
+    });
+
+    it('should keep velocity along a wall and drop velocity into it', () => {
+      spawnWalker();
+      spawnWall('wall', { x: 1.5, y: 0.5, z: 0 }, { x: 1, y: 1, z: 20 });
+      // Just below the walker; touching counts as overlapping
+      spawnWall('floor', { x: 0, y: -0.51, z: 0 }, { x: 20, y: 1, z: 20 });
+      movementSystem.setVelocity('walker', { x: 4, y: 0, z: 4 });
+
+      movementSystem.update(0.5);
+
+      const mobility = ecsWorld.getContract<Mobility>('walker', 'mobility');
+      expect(mobility?.velocity?.x).toBe(0);
+      expect(mobility?.velocity?.z).toBeGreaterThan(0);
+      expect(mobility?.position.z).toBeGreaterThan(1);
+    });
+
+    it('should stop at solid grid cells and slide along them', () => {
+      // Cells are 2 x 16 x 2; a wall of them spans x 4..6 and z 0..32
+      const chunk = chunkManager.getChunk({ layerId: 'default', cx: 0, cy: 0, cz: 0 });
+      chunkManager.initializeSolidGrid(chunk, 16);
+      for (let z = 0; z < 16; z++) chunkManager.setSolid(chunk, 2, 0, z, true);
+      ecsWorld.createEntity('walker', [
+        createMobility({ x: 1, y: 0.5, z: 8 }, undefined, 10),
+        createBoxShape(ORIGIN, { x: 1, y: 1, z: 1 }),
+      ]);
+
+      const straight = movementSystem.attemptMove('walker', { x: 8, y: 0.5, z: 8 }, 1);
+      expect(straight.ok).toBe(false);
+      expect(straight.blockedReason).toBe('Blocked by solid');
+      expect(straight.collisionNormal).toEqual({ x: -1, y: 0, z: 0 });
+      expect(straight.position.x).toBeLessThanOrEqual(3.5);
+      expect(straight.position.x).toBeGreaterThan(3.4);
+
+      const angled = movementSystem.attemptMove('walker', { x: 8, y: 0.5, z: 12 }, 1);
+      expect(angled.position.x).toBeLessThanOrEqual(3.5);
+      expect(angled.position.z).toBeCloseTo(12);
+    });
+  });
+
+  describe('Collision Layers', () => {
+    const spawn = (id: string, x: number, solidity: Solidity) => {
+      ecsWorld.createEntity(id, [
+        { type: 'mobility', position: { x, y: 0, z: 0 }, maxSpeed: 20 } satisfies Mobility,
+        {
+          type: 'shape',
+          bounds: { min: { x: -0.5, y: -0.5, z: -0.5 }, max: { x: 0.5, y: 0.5, z: 0.5 } },
+          geometry: 'box',
+        } satisfies Shape,
+        solidity,
+      ]);
+    };
+
+    it('should let ghosts pass through walls and report the overlap as a trigger', () => {
+      spawn('ghost', 0, createSolidity(true, ['ghost']));
+      spawn('wall', 3, createSolidity(true));
+
+      const result = movementSystem.attemptMove('ghost', { x: 6, y: 0, z: 0 }, 1);
+
+      expect(result.ok).toBe(true);
+      expect(result.position.x).toBe(6);
+      expect(result.triggers).toEqual(['wall']);
+    });
+
+    it('should not report triggers beyond the distance travelled', () => {
+      spawn('ghost', 0, createSolidity(true, ['ghost']));
+      spawn('wall', 5, createSolidity(true));
+
+      expect(movementSystem.attemptMove('ghost', { x: 2, y: 0, z: 0 }, 1).triggers).toBeUndefined();
+    });
+
+    it('should let projectiles ignore their shooter but hit others', () => {
+      spawn('shooter', 3, createSolidity(true, ['player']));
+      spawn('bullet', 0, createSolidity(true, ['projectile'], 'shooter'));
+      spawn('target', 6, createSolidity(true, ['npc']));
+
+      const result = movementSystem.attemptMove('bullet', { x: 10, y: 0, z: 0 }, 1);
+
+      expect(result.ok).toBe(false);
+      expect(result.blockedReason).toBe('Blocked by entity target');
+    });
+
+    it('should apply the world collision matrix over the defaults and emit trigger events', () => {
+      spawn('npc', 0, createSolidity(true, ['npc']));
+      spawn('other', 3, createSolidity(true, ['npc']));
+      ecsWorld.createEntity('world', [
+        { ...createWorldConditions(), collisionMatrix: { npc: { npc: 'trigger' } } },
+      ]);
+      const events: Array<{ entityId: string; otherId: string }> = [];
+      movementSystem.onTrigger(event => events.push(event));
+
+      const result = movementSystem.moveEntity('npc', { x: 6, y: 0, z: 0 }, 1);
+
+      expect(result.ok).toBe(true);
+      expect(events).toEqual([{ entityId: 'npc', otherId: 'other' }]);
+    });
+  });
+
   describe('Legacy checkCollision method', () => {
     it('should work as a simple collision check', () => {
       const entityId = 'test-entity';
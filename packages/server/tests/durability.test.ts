@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import type { AnyContract, Durability } from '@worldhost/shared';
+import { createECSWorld } from '../src/world/ecs.js';
+import type { ECSWorld } from '../src/world/ecs.js';
+import { BasicDurabilitySystem } from '../src/world/systems/durability.js';
+import {
+  createIdentity,
+  createDurability,
+  createResistances,
+  validateContract,
+} from '../src/world/contracts.js';
+
+describe('Damage types, resistances and armor', () => {
+  let ecsWorld: ECSWorld;
+  let durability: BasicDurabilitySystem;
+
+  const health = (id: string) => ecsWorld.getContract<Durability>(id, 'durability')?.health;
+  const spawn = (id: string, contracts: AnyContract[]) => {
+    ecsWorld.createEntity(id, [createIdentity(id, id), ...contracts]);
+  };
+
+  beforeEach(() => {
+    ecsWorld = createECSWorld();
+    durability = new BasicDurabilitySystem(ecsWorld);
+  });
+
+  it('should scale and reduce damage per type before armor', () => {
+    spawn('golem', [
+      createDurability(100),
+      createResistances({ fire: { multiplier: 0.5 }, fall: { multiplier: 2, flat: 5 } }),
+    ]);
+
+    expect(durability.applyDamage('golem', 10, 'imp', 'fire')).toBe(true);
+    expect(health('golem')).toBe(95);
+    expect(durability.applyDamage('golem', 10, undefined, 'fall')).toBe(true);
+    expect(health('golem')).toBe(80);
+    // Untyped damage is physical, which it has no resistance to
+    expect(durability.applyDamage('golem', 10)).toBe(true);
+    expect(health('golem')).toBe(70);
+
+    expect(durability.getDamageHistory('golem').map(event => event.damageType)).toEqual([
+      'fire',
+      'fall',
+      'physical',
+    ]);
+  });
+
+  it('should reduce damage with the armor formula the durability names', () => {
+    spawn('knight', [createDurability(100, 100, 4, 'flat')]);
+    spawn('squire', [createDurability(100, 100, 50)]);
+    spawn('paladin', [createDurability(100, 100, 100, 'diminishing')]);
+
+    for (const id of ['knight', 'squire', 'paladin']) {
+      durability.applyDamage(id, 10);
+    }
+
+    expect(health('knight')).toBe(94);
+    // Percentage is the default
+    expect(health('squire')).toBe(95);
+    expect(health('paladin')).toBe(95);
+  });
+
+  it('should use registered armor formulas', () => {
+    spawn('turtle', [createDurability(100, 100, 3, 'shell')]);
+    durability.registerArmorFormula('shell', (damage, armor) => damage / armor);
+
+    durability.applyDamage('turtle', 30);
+
+    expect(health('turtle')).toBe(90);
+  });
+
+  it('should record effective damage and mitigation, including fully mitigated hits', () => {
+    spawn('salamander', [
+      createDurability(100, 100, 5, 'flat'),
+      createResistances({ fire: { multiplier: 0 }, physical: { flat: 2 } }),
+    ]);
+
+    expect(durability.applyDamage('salamander', 10, 'troll')).toBe(true);
+    expect(durability.applyDamage('salamander', 50, 'dragon', 'fire')).toBe(false);
+    expect(health('salamander')).toBe(97);
+
+    expect(durability.getDamageHistory('salamander')).toMatchObject([
+      {
+        damageType: 'physical',
+        rawDamage: 10,
+        damage: 3,
+        mitigation: { resistance: 2, armor: 5 },
+        source: 'troll',
+      },
+      {
+        damageType: 'fire',
+        rawDamage: 50,
+        damage: 0,
+        mitigation: { resistance: 50, armor: 0 },
+        source: 'dragon',
+      },
+    ]);
+  });
+
+  it('should validate resistances and armor formulas', () => {
+    expect(validateContract(createResistances({ fire: { multiplier: 0.5 } })).success).toBe(true);
+    expect(validateContract(createResistances({ fire: { multiplier: -1 } })).success).toBe(false);
+    expect(validateContract(createDurability(10, 10, 1, '')).success).toBe(false);
+  });
+});
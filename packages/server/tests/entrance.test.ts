@@ -1,7 +1,18 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { createECSWorld } from '../src/world/ecs.js';
 import type { ECSWorld } from '../src/world/ecs.js';
-import type { Entrance, Mobility, Shape, Identity } from '@worldhost/shared';
+import { ChunkManager } from '../src/world/chunks.js';
+import { layerRegistry } from '../src/world/space.js';
+import { BasicMovementSystem } from '../src/world/systems/movement.js';
+import type { EntityTransfer, MovementWorld } from '../src/world/systems/movement.js';
+import {
+  createPlayerContracts,
+  createDoorContracts,
+  createMobility,
+  createBoxShape,
+  createSolidity,
+} from '../src/world/contracts.js';
+import type { Entrance, Mobility, Shape, Identity, EntityId, LayerId, Vec3 } from '@worldhost/shared';
 
 describe('Entrance System', () => {
   let ecsWorld: ECSWorld;
@@ -343,4 +354,105 @@ describe('Entrance System', () => {
       }
     });
   });
+
+  describe('Entrance Traversal', () => {
+    let movementSystem: BasicMovementSystem;
+    let layers: Map<EntityId, LayerId>;
+    let transfers: EntityTransfer[];
+
+    const position = (id: EntityId) => ecsWorld.getContract<Mobility>(id, 'mobility')?.position;
+
+    beforeEach(() => {
+      layerRegistry.createLayer({
+        id: 'destination',
+        name: 'Destination',
+        chunkSize: 32,
+        gravity: -9.81,
+        spawnPoint: { x: 0, y: 0, z: 0 },
+        properties: {},
+      });
+      layers = new Map();
+      const world: MovementWorld = {
+        getEntityLayer: id => layers.get(id) ?? 'default',
+        placeEntity: (id: EntityId, layerId: LayerId, target: Vec3) => {
+          layers.set(id, layerId);
+          const mobility = ecsWorld.getContract<Mobility>(id, 'mobility')!;
+          ecsWorld.addContract(id, { ...mobility, position: target });
+        },
+      };
+      movementSystem = new BasicMovementSystem(ecsWorld, new ChunkManager(ecsWorld));
+      movementSystem.setWorld(world);
+      transfers = [];
+      movementSystem.onTransfer(transfer => transfers.push(transfer));
+
+      // Door spans z -0.05..0.05 around z = 2
+      ecsWorld.createEntity(
+        'door',
+        createDoorContracts('door', { x: 0, y: 1, z: 2 }, 'destination', { x: 100, y: 5, z: 100 })
+      );
+      ecsWorld.createEntity('player', createPlayerContracts('player', 'Player', { x: 0, y: 1, z: 0 }));
+    });
+
+    afterEach(() => {
+      layerRegistry.removeLayer('destination');
+    });
+
+    it('should carry an entity that moves into an enabled entrance', () => {
+      movementSystem.moveEntity('player', { x: 0, y: 1, z: 1.9 }, 1);
+
+      expect(layers.get('player')).toBe('destination');
+      expect(position('player')).toEqual({ x: 100, y: 5, z: 100 });
+      expect(transfers).toEqual([
+        {
+          entityId: 'player',
+          entranceId: 'door',
+          fromLayerId: 'default',
+          toLayerId: 'destination',
+          position: { x: 100, y: 5, z: 100 },
+        },
+      ]);
+    });
+
+    it('should ignore disabled entrances and entrances on other layers', () => {
+      const entrance = ecsWorld.getContract<Entrance>('door', 'entrance')!;
+      ecsWorld.addContract('door', { ...entrance, enabled: false });
+      movementSystem.moveEntity('player', { x: 0, y: 1, z: 1.9 }, 1);
+      expect(position('player')?.z).toBeCloseTo(1.9);
+
+      ecsWorld.addContract('door', entrance);
+      layers.set('door', 'destination');
+      movementSystem.moveEntity('player', { x: 0, y: 1, z: 1.8 }, 1);
+      movementSystem.moveEntity('player', { x: 0, y: 1, z: 2 }, 1);
+
+      expect(layers.get('player')).toBeUndefined();
+      expect(transfers).toHaveLength(0);
+    });
+
+    it('should not transfer an entity that was already standing in the entrance', () => {
+      // Arriving through another door onto this one must not bounce straight back
+      const mobility = ecsWorld.getContract<Mobility>('player', 'mobility')!;
+      ecsWorld.addContract('player', { ...mobility, position: { x: 0, y: 1, z: 2 } });
+      movementSystem.moveEntity('player', { x: 0.2, y: 1, z: 2 }, 1);
+
+      expect(transfers).toHaveLength(0);
+      expect(position('player')?.x).toBeCloseTo(0.2);
+    });
+
+    it('should only collide with solids on the layer the entity was carried to', () => {
+      movementSystem.moveEntity('player', { x: 0, y: 1, z: 1.9 }, 1);
+      // Same spot on both layers; it starts out on the layer the player left
+      ecsWorld.createEntity('wall', [
+        createMobility({ x: 100, y: 5, z: 101 }),
+        createBoxShape({ x: 0, y: 0, z: 0 }, { x: 4, y: 4, z: 0.2 }),
+        createSolidity(true),
+      ]);
+
+      movementSystem.moveEntity('player', { x: 100, y: 5, z: 102 }, 1);
+      expect(position('player')?.z).toBeCloseTo(102);
+
+      layers.set('wall', 'destination');
+      movementSystem.moveEntity('player', { x: 100, y: 5, z: 100 }, 1);
+      expect(position('player')?.z).toBeGreaterThan(101);
+    });
+  });
 });
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import type { Mobility } from '@worldhost/shared';
+import { InputQueue } from '../src/inputs.js';
+import { createAppContext, runTick } from '../src/app.js';
+import type { AppContext } from '../src/app.js';
+import { startTestServer } from './ws-harness.js';
+import type { TestServer } from './ws-harness.js';
+
+describe('Input Queue', () => {
+  it('should drain inputs in arrival order and acknowledge the ones applied', () => {
+    const queue = new InputQueue<string>();
+    expect(queue.lastProcessedSeq).toBeUndefined();
+
+    queue.push('a', 1, 100);
+    queue.push('b', 2, 110);
+    queue.push('c', 5, 120);
+    // Queued inputs are not acknowledged until processed
+    expect(queue.lastProcessedSeq).toBeUndefined();
+
+    const drained = queue.drain();
+    expect(drained.map(i => i.input)).toEqual(['a', 'b', 'c']);
+    expect(drained.map(i => i.receivedAt)).toEqual([100, 110, 120]);
+    expect(queue.size).toBe(0);
+    expect(queue.drain()).toEqual([]);
+    // Draining is not applying
+    expect(queue.lastProcessedSeq).toBeUndefined();
+
+    queue.acknowledge(2);
+    expect(queue.lastProcessedSeq).toBe(2);
+    queue.acknowledge(1);
+    expect(queue.lastProcessedSeq).toBe(2);
+  });
+
+  it('should drop inputs whose seq is not newer', () => {
+    const queue = new InputQueue<string>();
+    expect(queue.push('a', 3)).toBe(true);
+    expect(queue.push('dup', 3)).toBe(false);
+    expect(queue.push('old', 2)).toBe(false);
+    queue.drain();
+    // Still stale after processing
+    expect(queue.push('replay', 3)).toBe(false);
+    expect(queue.push('b', 4)).toBe(true);
+  });
+
+  it('should accept inputs without seq and keep the previous ack', () => {
+    const queue = new InputQueue<string>();
+    queue.push('a', 7);
+    queue.acknowledge(queue.drain()[0]?.seq);
+    queue.push('b');
+    queue.push('c');
+
+    const drained = queue.drain();
+    for (const { seq } of drained) queue.acknowledge(seq);
+    expect(drained.map(i => i.input)).toEqual(['b', 'c']);
+    expect(queue.lastProcessedSeq).toBe(7);
+  });
+
+  it('should drop the oldest inputs when full', () => {
+    const queue = new InputQueue<string>(2);
+    queue.push('a', 1);
+    queue.push('b', 2);
+    queue.push('c', 3);
+
+    expect(queue.size).toBe(2);
+    expect(queue.drain().map(i => i.input)).toEqual(['b', 'c']);
+  });
+});
+
+describe('Queued inputs applied by the game loop', () => {
+  let context: AppContext;
+  let server: TestServer;
+
+  beforeEach(async () => {
+    context = createAppContext();
+    server = await startTestServer(context);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should keep applying inputs after one fails and acknowledge only those applied', async () => {
+    const player = await server.connect();
+    const playerId = await player.login();
+    const startX = context.worldState.getECSWorld().getContract<Mobility>(playerId, 'mobility')!
+      .position.x;
+    const attemptMove = context.movementSystem.attemptMove.bind(context.movementSystem);
+    const moves = vi.spyOn(context.movementSystem, 'attemptMove');
+    moves.mockImplementationOnce((_entityId, want) => ({
+      ok: false,
+      position: want,
+      blockedReason: 'Too tired',
+    }));
+    moves.mockImplementationOnce(() => {
+      throw new Error('Move failed');
+    });
+    moves.mockImplementationOnce(attemptMove);
+    moves.mockImplementationOnce(() => {
+      throw new Error('Move failed');
+    });
+
+    for (let seq = 1; seq <= 4; seq++) {
+      player.send({ type: 'move_dir', directions: ['east'], seq });
+    }
+    // Messages are handled in order, so every input is queued once the view is set
+    player.send({ type: 'set_view', radius: 0 });
+    await player.next('set_view_ok');
+    runTick(context);
+
+    const result = await player.next('move_result', 0);
+    // The blocked move is the first failure; the ones that threw were never applied
+    expect(result).toMatchObject({ success: false, blockedReason: 'Too tired', ack: 3 });
+    expect(result.reason).toBeUndefined();
+    expect(result.position.x).toBeGreaterThan(startX);
+    expect(player.received('move_result')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import type { EntityId, LayerId, Vec3, Inventory, Durability, Mobility } from '@worldhost/shared';
+import { createECSWorld } from '../src/world/ecs.js';
+import type { ECSWorld } from '../src/world/ecs.js';
+import { layerRegistry } from '../src/world/space.js';
+import type { Archetype } from '../src/world/state.js';
+import { BasicDurabilitySystem } from '../src/world/systems/durability.js';
+import { BasicInteractionSystem } from '../src/world/systems/interaction.js';
+import type { InteractionWorld } from '../src/world/systems/interaction.js';
+import {
+  createIdentity,
+  createMobility,
+  createInventory,
+  createPortable,
+  createDurability,
+} from '../src/world/contracts.js';
+
+// Stands in for WorldState: layer tracking and archetypes only
+class TestWorld implements InteractionWorld {
+  layers = new Map<EntityId, LayerId>();
+  archetypes = new Map<string, Archetype>();
+
+  constructor(private ecsWorld: ECSWorld) {}
+
+  getEntityLayer(entityId: EntityId): LayerId | undefined {
+    return this.layers.get(entityId) ?? (this.ecsWorld.hasEntity(entityId) ? 'default' : undefined);
+  }
+
+  placeEntity(entityId: EntityId, layerId: LayerId, position: Vec3): void {
+    this.layers.set(entityId, layerId);
+    const mobility = this.ecsWorld.getContract<Mobility>(entityId, 'mobility');
+    this.ecsWorld.addContract(
+      entityId,
+      mobility ? { ...mobility, position } : createMobility(position)
+    );
+  }
+
+  getArchetype(id: string): Archetype | undefined {
+    return this.archetypes.get(id);
+  }
+}
+
+describe('Interaction System', () => {
+  let ecsWorld: ECSWorld;
+  let world: TestWorld;
+  let interactions: BasicInteractionSystem;
+
+  const position = (id: EntityId) => ecsWorld.getContract<Mobility>(id, 'mobility')?.position;
+  const items = (id: EntityId) => ecsWorld.getContract<Inventory>(id, 'inventory')?.items;
+
+  beforeEach(() => {
+    ecsWorld = createECSWorld();
+    world = new TestWorld(ecsWorld);
+    interactions = new BasicInteractionSystem(
+      ecsWorld,
+      world,
+      new BasicDurabilitySystem(ecsWorld),
+      3
+    );
+
+    ecsWorld.createEntity('hero', [
+      createIdentity('hero', 'Hero'),
+      createMobility({ x: 0, y: 0, z: 0 }),
+      createInventory(1),
+      createDurability(100),
+    ]);
+    ecsWorld.createEntity('gem', [
+      createIdentity('gem', 'Gem'),
+      createMobility({ x: 1, y: 0, z: 0 }),
+      createPortable(true),
+    ]);
+  });
+
+  it('should pick up portable items within range and capacity', () => {
+    ecsWorld.createEntity('far-gem', [
+      createIdentity('far-gem', 'Far Gem'),
+      createMobility({ x: 10, y: 0, z: 0 }),
+      createPortable(true),
+    ]);
+    ecsWorld.createEntity('near-gem', [
+      createIdentity('near-gem', 'Near Gem'),
+      createMobility({ x: 0, y: 1, z: 0 }),
+      createPortable(true),
+    ]);
+
+    const far = interactions.interact({ actorId: 'hero', action: 'pickup', targetId: 'far-gem' });
+    expect(far).toMatchObject({ success: false, reason: 'Target is out of range' });
+
+    const result = interactions.interact({ actorId: 'hero', action: 'pickup', targetId: 'gem' });
+    expect(result).toMatchObject({ success: true, changed: ['hero'] });
+    expect(items('hero')).toEqual(['gem']);
+    // Carried items leave the world
+    expect(position('gem')).toBeUndefined();
+
+    const full = interactions.interact({ actorId: 'hero', action: 'pickup', targetId: 'near-gem' });
+    expect(full).toMatchObject({ success: false, reason: 'Inventory is full' });
+  });
+
+  it('should refuse to pick up entities that are not portable', () => {
+    ecsWorld.createEntity('rock', [
+      createIdentity('rock', 'Rock'),
+      createMobility({ x: 1, y: 0, z: 0 }),
+    ]);
+
+    const result = interactions.interact({ actorId: 'hero', action: 'pickup', targetId: 'rock' });
+
+    expect(result).toMatchObject({ success: false, reason: 'Target cannot be picked up' });
+  });
+
+  it('should drop items at the actor position on its layer', () => {
+    interactions.interact({ actorId: 'hero', action: 'pickup', targetId: 'gem' });
+    world.placeEntity('hero', 'default', { x: 5, y: 2, z: 5 });
+
+    const result = interactions.interact({ actorId: 'hero', action: 'drop' });
+
+    expect(result).toMatchObject({ success: true, targetId: 'gem' });
+    expect(items('hero')).toEqual([]);
+    expect(position('gem')).toEqual({ x: 5, y: 2, z: 5 });
+    expect(interactions.interact({ actorId: 'hero', action: 'drop' }).success).toBe(false);
+  });
+
+  it('should use enabled entrances to move the actor to the target layer', () => {
+    layerRegistry.createLayer({
+      id: 'cellar',
+      name: 'Cellar',
+      chunkSize: 32,
+      gravity: -9.81,
+      spawnPoint: { x: 0, y: 0, z: 0 },
+      properties: {},
+    });
+    const entrance = {
+      type: 'entrance' as const,
+      targetLayerId: 'cellar',
+      targetPosition: { x: 7, y: 1, z: 7 },
+      enabled: false,
+    };
+    ecsWorld.createEntity('door', [
+      createIdentity('door', 'Door'),
+      createMobility({ x: 0, y: 0, z: 2 }),
+      entrance,
+    ]);
+
+    const locked = interactions.interact({ actorId: 'hero', action: 'use', targetId: 'door' });
+    expect(locked).toMatchObject({ success: false, reason: 'Entrance is disabled' });
+
+    ecsWorld.addContract('door', { ...entrance, enabled: true });
+    const result = interactions.interact({ actorId: 'hero', action: 'use', targetId: 'door' });
+
+    expect(result).toMatchObject({ success: true, details: { layerId: 'cellar' } });
+    expect(world.getEntityLayer('hero')).toBe('cellar');
+    expect(position('hero')).toEqual({ x: 7, y: 1, z: 7 });
+    layerRegistry.removeLayer('cellar');
+  });
+
+  it('should run archetype use behaviors, including on carried items', () => {
+    world.archetypes.set('potion', {
+      id: 'potion',
+      name: 'Potion',
+      contracts: [],
+      tags: [],
+      created: 0,
+      use: { behavior: 'heal', params: { amount: 30, consume: true } },
+    });
+    ecsWorld.addContract('hero', createDurability(100, 50));
+    ecsWorld.createEntity('potion-1', [
+      { ...createIdentity('potion-1', 'Potion'), archetype: 'potion' },
+      createMobility({ x: 0, y: 0, z: 1 }),
+      createPortable(true),
+    ]);
+    interactions.interact({ actorId: 'hero', action: 'pickup', targetId: 'potion-1' });
+
+    const result = interactions.interact({ actorId: 'hero', action: 'use', targetId: 'potion-1' });
+
+    expect(result).toMatchObject({ success: true, details: { health: 80 } });
+    expect(ecsWorld.hasEntity('potion-1')).toBe(false);
+    expect(items('hero')).toEqual([]);
+
+    const plain = interactions.interact({ actorId: 'hero', action: 'use', targetId: 'gem' });
+    expect(plain).toMatchObject({ success: false, reason: 'Target cannot be used' });
+  });
+
+  it('should damage targets through the durability system until destroyed', () => {
+    ecsWorld.createEntity('crate', [
+      createIdentity('crate', 'Crate'),
+      createMobility({ x: 0, y: 0, z: 1 }),
+      createDurability(15),
+    ]);
+
+    const first = interactions.interact({ actorId: 'hero', action: 'attack', targetId: 'crate' });
+    expect(first).toMatchObject({ success: true, changed: ['crate'] });
+    expect(ecsWorld.getContract<Durability>('crate', 'durability')?.health).toBe(5);
+
+    const second = interactions.interact({ actorId: 'hero', action: 'attack', targetId: 'crate' });
+    expect(second).toMatchObject({ success: true, changed: [], details: { destroyed: true } });
+    expect(ecsWorld.hasEntity('crate')).toBe(false);
+
+    const self = interactions.interact({ actorId: 'hero', action: 'attack', targetId: 'hero' });
+    expect(self.success).toBe(false);
+  });
+
+  it('should dispatch registered actions and reject unknown ones', () => {
+    interactions.registerAction('wave', request => ({
+      success: true,
+      action: request.action,
+      changed: [],
+    }));
+
+    expect(interactions.interact({ actorId: 'hero', action: 'wave' }).success).toBe(true);
+    expect(interactions.interact({ actorId: 'hero', action: 'dance' })).toMatchObject({
+      success: false,
+      reason: 'Unknown action: dance',
+    });
+  });
+});
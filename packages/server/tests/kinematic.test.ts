@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import type { Kinematic, Mobility, Vec3 } from '@worldhost/shared';
+import { ChunkUtils } from '@worldhost/shared';
+import { createECSWorld } from '../src/world/ecs.js';
+import type { ECSWorld } from '../src/world/ecs.js';
+import { ChunkManager } from '../src/world/chunks.js';
+import { BasicMovementSystem } from '../src/world/systems/movement.js';
+import {
+  ORIGIN,
+  createMobility,
+  createBoxShape,
+  createSolidity,
+  createKinematic,
+  createSolidBoxContracts,
+} from '../src/world/contracts.js';
+import { createAppContext, runTick } from '../src/app.js';
+import type { AppContext } from '../src/app.js';
+import { startTestServer } from './ws-harness.js';
+import type { TestServer } from './ws-harness.js';
+
+// Platform is 4 x 0.5 x 4, so a 1.8 tall rider resting on it stands 1.16 above its center
+const RIDER_HEIGHT = 0.25 + 0.9 + 0.01;
+
+describe('Kinematic bodies', () => {
+  let ecsWorld: ECSWorld;
+  let movementSystem: BasicMovementSystem;
+
+  const position = (id: string) => ecsWorld.getContract<Mobility>(id, 'mobility')!.position;
+  const run = (ticks: number) => {
+    for (let tick = 0; tick < ticks; tick++) movementSystem.update(0.1);
+  };
+
+  beforeEach(() => {
+    ecsWorld = createECSWorld();
+    movementSystem = new BasicMovementSystem(ecsWorld, new ChunkManager(ecsWorld));
+  });
+
+  const spawnPlatform = (at: Vec3, kinematic: Kinematic, velocity?: Vec3) => {
+    ecsWorld.createEntity('platform', [
+      ...createSolidBoxContracts(at, { x: 4, y: 0.5, z: 4 }, createSolidity(true), velocity),
+      kinematic,
+    ]);
+  };
+
+  const spawnRider = (id: string, at: Vec3) => {
+    ecsWorld.createEntity(id, [
+      createMobility(at),
+      createBoxShape(ORIGIN, { x: 0.8, y: 1.8, z: 0.8 }),
+    ]);
+  };
+
+  it('should follow its path without gravity and turn around at the ends', () => {
+    const path = [ORIGIN, { x: 2, y: 0, z: 0 }];
+    spawnPlatform({ x: 0, y: 10, z: 0 }, createKinematic(path, 1));
+    // Off the path to begin with: it heads for the first waypoint first
+    expect(position('platform').y).toBe(10);
+
+    run(100);
+    expect(position('platform').x).toBeCloseTo(0);
+    expect(position('platform').y).toBeCloseTo(0);
+
+    run(15);
+    expect(position('platform').x).toBeCloseTo(1.5);
+    expect(ecsWorld.getContract<Mobility>('platform', 'mobility')?.velocity?.x).toBeCloseTo(1);
+
+    run(10);
+    expect(position('platform').x).toBeCloseTo(1.5);
+    expect(ecsWorld.getContract<Kinematic>('platform', 'kinematic')).toMatchObject({
+      waypoint: 0,
+      reverse: true,
+    });
+  });
+
+  it('should keep its scripted velocity when it has no path', () => {
+    spawnPlatform(ORIGIN, createKinematic(), { x: 0, y: 0.5, z: 0 });
+
+    run(10);
+
+    expect(position('platform').y).toBeCloseTo(0.5);
+    expect(ecsWorld.getContract<Mobility>('platform', 'mobility')?.velocity).toEqual({
+      x: 0,
+      y: 0.5,
+      z: 0,
+    });
+  });
+
+  it('should carry entities standing on it, and only those', () => {
+    spawnPlatform(ORIGIN, createKinematic([ORIGIN, { x: 0, y: 3, z: 0 }], 1, 'once'));
+    spawnRider('rider', { x: 1, y: RIDER_HEIGHT, z: 0 });
+    // Beside the platform, falling
+    spawnRider('bystander', { x: 5, y: RIDER_HEIGHT, z: 0 });
+
+    run(10);
+
+    expect(position('platform').y).toBeCloseTo(1);
+    expect(position('rider').x).toBeCloseTo(1);
+    expect(position('rider').y).toBeCloseTo(1 + RIDER_HEIGHT);
+    expect(position('bystander').y).toBeLessThan(RIDER_HEIGHT);
+  });
+
+  it('should still stop carried riders at walls', () => {
+    spawnPlatform(ORIGIN, createKinematic([ORIGIN, { x: 6, y: 0, z: 0 }], 2, 'once'));
+    spawnRider('rider', { x: 0, y: RIDER_HEIGHT, z: 0 });
+    ecsWorld.createEntity('wall', [
+      ...createSolidBoxContracts({ x: 2, y: 2, z: 0 }, { x: 0.2, y: 2, z: 4 }),
+      // Without a path or velocity it just stays put
+      createKinematic(),
+    ]);
+
+    run(30);
+
+    expect(position('platform').x).toBeCloseTo(6);
+    // Held at the wall; the platform moved on from under it
+    expect(position('rider').x).toBeLessThanOrEqual(1.5);
+    expect(position('rider').x).toBeGreaterThan(1.4);
+  });
+});
+
+describe('Kinematic bodies seen by chunk subscribers', () => {
+  let context: AppContext;
+  let server: TestServer;
+
+  beforeEach(async () => {
+    context = createAppContext();
+    server = await startTestServer(context);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should send every tick of a platform and its rider moving inside a chunk', async () => {
+    const ecsWorld = context.worldState.getECSWorld();
+    const start = { x: 4, y: 20, z: 4 };
+    ecsWorld.createEntity('platform', [
+      ...createSolidBoxContracts(start, { x: 4, y: 0.5, z: 4 }),
+      createKinematic([start, { x: 10, y: 20, z: 4 }], 2, 'once'),
+    ]);
+    ecsWorld.createEntity('rider', [
+      createMobility({ ...start, y: start.y + RIDER_HEIGHT }),
+      createBoxShape(ORIGIN, { x: 0.8, y: 1.8, z: 0.8 }),
+    ]);
+    const watcher = await server.connect();
+    await watcher.subscribe([ChunkUtils.create('default', 0, 0, 0)]);
+
+    for (let tick = 0; tick < 30; tick++) {
+      runTick(context);
+      // Let each tick's deltas go out before the next one moves things again
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const xs = (id: string) =>
+      watcher
+        .received('chunk_delta')
+        .filter(message => message.delta.entityId === id && message.delta.type === 'entity_update')
+        .map(message => {
+          const mobility = message.delta.contracts?.find(c => c.type === 'mobility') as Mobility;
+          return mobility.position.x;
+        });
+    await vi.waitFor(() => {
+      expect(xs('platform')).toHaveLength(30);
+      expect(xs('rider')).toHaveLength(30);
+    });
+    // 2 m/s for half a second, one step per tick
+    expect(xs('platform').at(-1)).toBeCloseTo(5);
+    expect(xs('rider').at(-1)).toBeCloseTo(5);
+    expect(new Set(xs('rider')).size).toBe(30);
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import type { MovementRules, Mobility, Shape, Vec3 } from '@worldhost/shared';
+import { ChunkUtils } from '@worldhost/shared';
+import { createECSWorld } from '../src/world/ecs.js';
+import type { ECSWorld } from '../src/world/ecs.js';
+import { ChunkManager } from '../src/world/chunks.js';
+import { BasicMovementSystem } from '../src/world/systems/movement.js';
+import {
+  ORIGIN,
+  createMobility,
+  createBoxShape,
+  createKinematic,
+  createMovementRules,
+  createSolidBoxContracts,
+} from '../src/world/contracts.js';
+import { createAppContext, runTick } from '../src/app.js';
+import type { AppContext } from '../src/app.js';
+import { startTestServer } from './ws-harness.js';
+import type { TestServer } from './ws-harness.js';
+
+// Standing on the floor below: its top is at 0.5, the 1.8 tall body's center 0.9 above that
+const STANDING_Y = 0.5 + 0.9 + 0.01;
+
+describe('Jump, crouch and fly', () => {
+  let ecsWorld: ECSWorld;
+  let movementSystem: BasicMovementSystem;
+
+  const mobility = (id: string) => ecsWorld.getContract<Mobility>(id, 'mobility')!;
+  const height = (id: string) => {
+    const { bounds } = ecsWorld.getContract<Shape>(id, 'shape')!;
+    return bounds.max.y - bounds.min.y;
+  };
+
+  beforeEach(() => {
+    ecsWorld = createECSWorld();
+    movementSystem = new BasicMovementSystem(ecsWorld, new ChunkManager(ecsWorld));
+    // Static floor; kinematic so gravity leaves it where it is
+    ecsWorld.createEntity('floor', [
+      ...createSolidBoxContracts(ORIGIN, { x: 20, y: 1, z: 20 }),
+      createKinematic(),
+    ]);
+  });
+
+  const spawn = (id: string, at: Vec3, abilities: Parameters<typeof createMovementRules>[4]) => {
+    ecsWorld.createEntity(id, [
+      createMobility(at, undefined, 5),
+      createBoxShape(ORIGIN, { x: 0.6, y: 1.8, z: 0.6 }),
+      createMovementRules(1, true, true, 0, abilities),
+    ]);
+  };
+
+  it('should only jump from the ground and with a jump velocity', () => {
+    spawn('jumper', { x: 0, y: STANDING_Y, z: 0 }, { jumpVelocity: 5 });
+    spawn('walker', { x: 3, y: STANDING_Y, z: 0 }, {});
+
+    expect(movementSystem.jump('walker')).toEqual({ ok: false, reason: 'Jumping is not allowed' });
+    expect(movementSystem.jump('jumper')).toEqual({ ok: true });
+    expect(mobility('jumper').velocity?.y).toBe(5);
+
+    movementSystem.update(0.1);
+    expect(mobility('jumper').position.y).toBeGreaterThan(STANDING_Y + 0.3);
+    expect(movementSystem.jump('jumper')).toEqual({ ok: false, reason: 'Not on the ground' });
+  });
+
+  it('should scale moves in the air by airControl', () => {
+    spawn('grounded', { x: 0, y: STANDING_Y, z: 0 }, { airControl: 0.25 });
+    spawn('airborne', { x: 0, y: 10, z: 3 }, { airControl: 0.25 });
+
+    movementSystem.moveEntity('grounded', { x: 5, y: STANDING_Y, z: 0 }, 0.2);
+    movementSystem.moveEntity('airborne', { x: 5, y: 10, z: 3 }, 0.2);
+
+    expect(mobility('grounded').position.x).toBeCloseTo(1);
+    expect(mobility('airborne').position.x).toBeCloseTo(0.25);
+  });
+
+  it('should shrink the shape to crouchHeight and stand up only with room overhead', () => {
+    spawn('sneaker', { x: 0, y: STANDING_Y, z: 0 }, { crouchHeight: 1 });
+    const feet = () =>
+      mobility('sneaker').position.y +
+      ecsWorld.getContract<Shape>('sneaker', 'shape')!.bounds.min.y;
+    const feetBefore = feet();
+
+    expect(movementSystem.crouch('sneaker', true)).toEqual({ ok: true });
+    expect(movementSystem.isCrouching('sneaker')).toBe(true);
+    expect(height('sneaker')).toBeCloseTo(1);
+    expect(feet()).toBeCloseTo(feetBefore);
+
+    // Ceiling right above the crouched head
+    ecsWorld.createEntity('ceiling', [
+      ...createSolidBoxContracts({ x: 0, y: feetBefore + 1.25, z: 0 }, { x: 4, y: 0.4, z: 4 }),
+      createKinematic(),
+    ]);
+    expect(movementSystem.crouch('sneaker', false)).toEqual({
+      ok: false,
+      reason: 'No room to stand up',
+    });
+
+    ecsWorld.removeEntity('ceiling');
+    expect(movementSystem.crouch('sneaker', false)).toEqual({ ok: true });
+    expect(height('sneaker')).toBeCloseTo(1.8);
+    expect(movementSystem.isCrouching('sneaker')).toBe(false);
+  });
+
+  it('should hover without gravity in fly mode and climb or sink on fly commands', () => {
+    spawn('flier', { x: 0, y: 10, z: 0 }, { fly: true });
+    spawn('faller', { x: 3, y: 10, z: 0 }, {});
+
+    movementSystem.update(0.1);
+    expect(mobility('flier').position.y).toBe(10);
+    expect(mobility('faller').position.y).toBeLessThan(10);
+    expect(movementSystem.fly('faller', 'up')).toEqual({ ok: false, reason: 'Fly mode is off' });
+
+    movementSystem.fly('flier', 'up');
+    movementSystem.update(0.1);
+    movementSystem.update(0.1);
+    expect(mobility('flier').position.y).toBeCloseTo(11);
+
+    movementSystem.fly('flier', 'stop');
+    movementSystem.update(0.1);
+    expect(mobility('flier').position.y).toBeCloseTo(11);
+
+    const rules = ecsWorld.getContract<MovementRules>('flier', 'movement_rules')!;
+    ecsWorld.addContract('flier', { ...rules, fly: false });
+    movementSystem.update(0.1);
+    expect(mobility('flier').position.y).toBeLessThan(11);
+  });
+});
+
+describe('Jumps seen by chunk subscribers', () => {
+  let context: AppContext;
+  let server: TestServer;
+
+  const step = async () => {
+    runTick(context);
+    // Let the tick's deltas go out before the next one moves things again
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  beforeEach(async () => {
+    context = createAppContext();
+    server = await startTestServer(context);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should send the rise and fall of a jump to watchers', async () => {
+    context.worldState
+      .getECSWorld()
+      .createEntity('floor', [
+        ...createSolidBoxContracts(ORIGIN, { x: 20, y: 1, z: 20 }),
+        createKinematic(),
+      ]);
+    const jumper = await server.connect();
+    const playerId = await jumper.login();
+    for (let tick = 0; tick < 60; tick++) await step();
+    const watcher = await server.connect();
+    await watcher.subscribe([ChunkUtils.create('default', 0, 0, 0)]);
+
+    jumper.send({ type: 'jump', seq: 1 });
+    // Inputs are applied on the next tick after they arrive
+    await vi.waitFor(async () => {
+      await step();
+      expect(jumper.received('move_result')).toHaveLength(1);
+    });
+    for (let tick = 0; tick < 90; tick++) await step();
+
+    const heights = watcher
+      .received('chunk_delta')
+      .filter(message => message.delta.entityId === playerId)
+      .map(message => {
+        const mobility = message.delta.contracts?.find(c => c.type === 'mobility') as Mobility;
+        return mobility.position.y;
+      });
+    const apex = Math.max(...heights);
+    // 5 m/s up against -9.81 m/s² peaks about 1.27 m above the floor
+    expect(apex).toBeGreaterThan(STANDING_Y + 1);
+    expect(heights.indexOf(apex)).toBeGreaterThan(10);
+    expect(heights.at(-1)).toBeCloseTo(STANDING_Y, 1);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import type { Mobility, Vec3 } from '@worldhost/shared';
+import { ChunkUtils } from '@worldhost/shared';
+import { createECSWorld } from '../src/world/ecs.js';
+import type { ECSWorld } from '../src/world/ecs.js';
+import { ChunkManager } from '../src/world/chunks.js';
+import { BasicMovementSystem } from '../src/world/systems/movement.js';
+import { BasicPathfindingSystem } from '../src/world/systems/pathfinding.js';
+import type { PathStep } from '../src/world/systems/pathfinding.js';
+import {
+  ORIGIN,
+  createMobility,
+  createBoxShape,
+  createSolidBoxContracts,
+} from '../src/world/contracts.js';
+import { CHUNK_SIZE } from '../src/config.js';
+
+const START = { x: 1.5, y: 1, z: 8.5 };
+const GOAL = { x: 9.5, y: 1, z: 8.5 };
+
+describe('Pathfinding', () => {
+  let ecsWorld: ECSWorld;
+  let chunkManager: ChunkManager;
+  let pathfinding: BasicPathfindingSystem;
+
+  beforeEach(() => {
+    ecsWorld = createECSWorld();
+    chunkManager = new ChunkManager(ecsWorld);
+    const movementSystem = new BasicMovementSystem(ecsWorld, chunkManager);
+    pathfinding = new BasicPathfindingSystem(ecsWorld, chunkManager, movementSystem);
+    ecsWorld.createEntity('walker', [
+      createMobility(START, undefined, 5),
+      createBoxShape(ORIGIN, { x: 0.8, y: 1.8, z: 0.8 }),
+    ]);
+  });
+
+  const spawnBlock = (id: string, position: Vec3) => {
+    ecsWorld.createEntity(id, createSolidBoxContracts(position));
+  };
+
+  // Wall of unit blocks across x = 5..6 from z = 4 to z = 13
+  const buildWall = () => {
+    for (let z = 4; z < 13; z++) spawnBlock(`wall-${z}`, { x: 5.5, y: 1, z: z + 0.5 });
+  };
+
+  it('should route around solid entities and end exactly at the goal', () => {
+    buildWall();
+
+    const result = pathfinding.findPath('walker', GOAL);
+
+    expect(result.ok).toBe(true);
+    expect(result.path.at(-1)).toEqual(GOAL);
+    // Goes past one end of the wall rather than through it
+    expect(result.path.some(p => p.z < 4 || p.z > 13)).toBe(true);
+    expect(result.path.every(p => p.x < 5 || p.x > 6 || p.z < 4 || p.z > 13)).toBe(true);
+  });
+
+  it('should treat solid grid cells as obstacles and reject blocked goals', () => {
+    const chunk = chunkManager.getChunk(ChunkUtils.create('default', 0, 0, 0));
+    chunkManager.initializeSolidGrid(chunk, 16);
+    const voxel = CHUNK_SIZE / 16;
+    chunkManager.setSolid(chunk, Math.floor(GOAL.x / voxel), 0, Math.floor(GOAL.z / voxel), true);
+
+    expect(pathfinding.findPath('walker', GOAL)).toMatchObject({
+      ok: false,
+      reason: 'Goal is blocked',
+    });
+    expect(pathfinding.findPath('walker', { x: 9.5, y: 1, z: 4.5 }).ok).toBe(true);
+  });
+
+  it('should stop searching at the node budget', () => {
+    // Goal boxed in on all sides
+    for (const [dx, dz] of [
+      [-1, -1],
+      [-1, 0],
+      [-1, 1],
+      [0, -1],
+      [0, 1],
+      [1, -1],
+      [1, 0],
+      [1, 1],
+    ]) {
+      spawnBlock(`box-${dx}-${dz}`, { x: GOAL.x + dx!, y: 1, z: GOAL.z + dz! });
+    }
+
+    const result = pathfinding.findPath('walker', GOAL, 50);
+
+    expect(result).toMatchObject({ ok: false, reason: 'No path within 50 cells', expanded: 50 });
+  });
+
+  it('should reuse cached paths until a solid changes inside the searched area', () => {
+    buildWall();
+    const first = pathfinding.findPath('walker', GOAL);
+    expect(pathfinding.findPath('walker', GOAL)).toMatchObject({ cached: true, path: first.path });
+
+    // Far outside anything the search looked at
+    spawnBlock('far-away', { x: 200, y: 1, z: 200 });
+    expect(pathfinding.findPath('walker', GOAL).cached).toBe(true);
+
+    // Block the end of the wall the path went around
+    const detour = first.path.find(p => p.z < 4 || p.z > 13)!;
+    spawnBlock('plug', { x: 5.5, y: 1, z: detour.z });
+    const second = pathfinding.findPath('walker', GOAL);
+    expect(second.cached).toBe(false);
+    expect(second.path).not.toEqual(first.path);
+
+    const chunk = chunkManager.getChunk(ChunkUtils.create('default', 0, 0, 0));
+    chunkManager.initializeSolidGrid(chunk, 16);
+    expect(pathfinding.findPath('walker', GOAL).cached).toBe(false);
+  });
+
+  it('should walk a moving entity along the path through the movement system', () => {
+    buildWall();
+    const steps: PathStep[] = [];
+    pathfinding.onStep(step => steps.push(step));
+
+    expect(pathfinding.moveTo('walker', GOAL).ok).toBe(true);
+    for (let tick = 0; tick < 100 && pathfinding.isFollowing('walker'); tick++) {
+      pathfinding.update(0.1);
+    }
+
+    const position = ecsWorld.getContract<Mobility>('walker', 'mobility')?.position;
+    expect(steps.at(-1)).toMatchObject({ entityId: 'walker', status: 'arrived', position: GOAL });
+    expect(position).toEqual(GOAL);
+    // At 5 m/s, every tick but the last covers half a meter
+    expect(steps.filter(step => step.status === 'moving').length).toBeGreaterThan(10);
+  });
+});
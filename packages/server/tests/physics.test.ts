@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import type { EntityId, LayerId, Mobility } from '@worldhost/shared';
+import { createECSWorld } from '../src/world/ecs.js';
+import type { ECSWorld } from '../src/world/ecs.js';
+import { ChunkManager } from '../src/world/chunks.js';
+import { layerRegistry } from '../src/world/space.js';
+import { BasicMovementSystem } from '../src/world/systems/movement.js';
+import { createMobility, createBoxShape, createWorldConditions } from '../src/world/contracts.js';
+import { GRAVITY, TERMINAL_VELOCITY, GROUND_FRICTION, AIR_FRICTION } from '../src/config.js';
+
+describe('Layer Physics', () => {
+  let ecsWorld: ECSWorld;
+  let movementSystem: BasicMovementSystem;
+  let layers: Map<EntityId, LayerId>;
+
+  const velocity = (id: EntityId) => ecsWorld.getContract<Mobility>(id, 'mobility')?.velocity;
+
+  beforeEach(() => {
+    layerRegistry.createLayer({
+      id: 'moon',
+      name: 'Moon',
+      chunkSize: 32,
+      gravity: -1.62,
+      airFriction: 0.5,
+      spawnPoint: { x: 0, y: 0, z: 0 },
+      properties: {},
+    });
+    ecsWorld = createECSWorld();
+    layers = new Map();
+    movementSystem = new BasicMovementSystem(ecsWorld, new ChunkManager(ecsWorld));
+    movementSystem.setWorld({
+      getEntityLayer: id => layers.get(id) ?? 'default',
+      placeEntity: () => {},
+    });
+
+    for (const id of ['earthling', 'astronaut']) {
+      ecsWorld.createEntity(id, [
+        createMobility({ x: 0, y: 100, z: 0 }, { x: 4, y: 0, z: 0 }),
+        createBoxShape({ x: 0, y: 0, z: 0 }, { x: 1, y: 1, z: 1 }),
+      ]);
+    }
+    layers.set('astronaut', 'moon');
+  });
+
+  afterEach(() => {
+    layerRegistry.removeLayer('moon');
+  });
+
+  it('should use the server defaults where the layer sets nothing', () => {
+    expect(movementSystem.resolvePhysics('default')).toEqual({
+      gravity: -9.81,
+      terminalVelocity: TERMINAL_VELOCITY,
+      groundFriction: GROUND_FRICTION,
+      airFriction: AIR_FRICTION,
+    });
+    expect(movementSystem.resolvePhysics('missing').gravity).toBe(GRAVITY);
+  });
+
+  it('should apply each layer its own gravity and friction in the same update', () => {
+    movementSystem.update(1);
+
+    expect(velocity('earthling')?.y).toBeCloseTo(-9.81);
+    expect(velocity('astronaut')?.y).toBeCloseTo(-1.62);
+    expect(velocity('earthling')?.x).toBeCloseTo(4 * AIR_FRICTION);
+    expect(velocity('astronaut')?.x).toBeCloseTo(2);
+  });
+
+  it('should let world_conditions override layers, then per-layer entries override that', () => {
+    const conditions = createWorldConditions(-20);
+    ecsWorld.createEntity('world', [conditions]);
+    expect(movementSystem.resolvePhysics('moon')).toMatchObject({ gravity: -20, airFriction: 0.5 });
+
+    ecsWorld.addContract('world', {
+      ...conditions,
+      terminalVelocity: -15,
+      layers: { moon: { gravity: -0.5 } },
+    });
+    movementSystem.update(1);
+
+    // Earth gravity is capped by the new terminal velocity
+    expect(velocity('earthling')?.y).toBeCloseTo(-15);
+    expect(velocity('astronaut')?.y).toBeCloseTo(-0.5);
+  });
+});
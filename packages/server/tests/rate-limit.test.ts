@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { ConnectionLimiter } from '../src/rate-limit.js';
+
+describe('Connection Limiter', () => {
+  it('should allow a burst up to the bucket size', () => {
+    const limiter = new ConnectionLimiter({ messagesPerSecond: 5 }, 0);
+
+    const actions = Array.from({ length: 6 }, () => limiter.consume(0));
+
+    expect(actions.slice(0, 5)).toEqual(Array(5).fill('allow'));
+    expect(actions[5]).toBe('warn');
+  });
+
+  it('should refill tokens over time', () => {
+    const limiter = new ConnectionLimiter({ messagesPerSecond: 10 }, 0);
+    for (let i = 0; i < 10; i++) limiter.consume(0);
+
+    expect(limiter.consume(0)).toBe('warn');
+    expect(limiter.consume(100)).toBe('allow');
+    expect(limiter.consume(100)).not.toBe('allow');
+  });
+
+  it('should escalate from warnings to throttling to disconnect', () => {
+    const limiter = new ConnectionLimiter(
+      { messagesPerSecond: 1, warnViolations: 2, maxViolations: 4 },
+      0
+    );
+    limiter.consume(0);
+
+    const actions = Array.from({ length: 5 }, () => limiter.consume(0));
+
+    expect(actions).toEqual(['warn', 'warn', 'throttle', 'throttle', 'disconnect']);
+  });
+
+  it('should reset the violation count after a quiet period', () => {
+    const limiter = new ConnectionLimiter(
+      { messagesPerSecond: 1, warnViolations: 1, violationResetMs: 1000 },
+      0
+    );
+
+    expect(limiter.violate(0)).toBe('warn');
+    expect(limiter.violate(500)).toBe('throttle');
+    expect(limiter.getViolations(500)).toBe(2);
+    expect(limiter.violate(2000)).toBe('warn');
+  });
+
+  it('should count quota violations alongside rate violations', () => {
+    const limiter = new ConnectionLimiter(
+      { messagesPerSecond: 1, warnViolations: 1, maxViolations: 2 },
+      0
+    );
+
+    expect(limiter.violate(0)).toBe('warn');
+    limiter.consume(0);
+    expect(limiter.consume(0)).toBe('throttle');
+    expect(limiter.violate(0)).toBe('disconnect');
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import type { EntityId, LayerId, Vec3 } from '@worldhost/shared';
+import { ChunkUtils } from '@worldhost/shared';
+import { createECSWorld } from '../src/world/ecs.js';
+import type { ECSWorld } from '../src/world/ecs.js';
+import { ChunkManager } from '../src/world/chunks.js';
+import { BasicMovementSystem } from '../src/world/systems/movement.js';
+import { ORIGIN, createSolidity, createSolidBoxContracts } from '../src/world/contracts.js';
+import { CHUNK_SIZE, CHUNK_HEIGHT } from '../src/config.js';
+
+const EAST = { x: 1, y: 0, z: 0 };
+
+describe('Raycast', () => {
+  let ecsWorld: ECSWorld;
+  let chunkManager: ChunkManager;
+  let movementSystem: BasicMovementSystem;
+  let layers: Map<EntityId, LayerId>;
+
+  beforeEach(() => {
+    ecsWorld = createECSWorld();
+    chunkManager = new ChunkManager(ecsWorld);
+    movementSystem = new BasicMovementSystem(ecsWorld, chunkManager);
+    layers = new Map();
+    movementSystem.setWorld({
+      getEntityLayer: id => layers.get(id) ?? 'default',
+      placeEntity: () => {},
+    });
+  });
+
+  const spawnBlock = (id: string, position: Vec3, layers?: string[]) => {
+    ecsWorld.createEntity(
+      id,
+      createSolidBoxContracts(position, undefined, createSolidity(true, layers))
+    );
+  };
+
+  it('should hit the first solid grid cell with the face it entered through', () => {
+    const chunk = chunkManager.getChunk(ChunkUtils.create('default', 0, 0, 0));
+    chunkManager.initializeSolidGrid(chunk, 16);
+    chunkManager.setSolid(chunk, 5, 0, 0, true);
+    chunkManager.setSolid(chunk, 9, 0, 0, true);
+    const voxel = { x: CHUNK_SIZE / 16, y: CHUNK_HEIGHT / 16, z: CHUNK_SIZE / 16 };
+
+    const hit = movementSystem.raycast(
+      'default',
+      { x: 0.1, y: voxel.y / 2, z: voxel.z / 2 },
+      EAST,
+      100
+    );
+
+    expect(hit?.voxel).toEqual({ chunkKey: chunk.key, x: 5, y: 0, z: 0 });
+    expect(hit?.distance).toBeCloseTo(5 * voxel.x - 0.1);
+    expect(hit?.point.x).toBeCloseTo(5 * voxel.x);
+    expect(hit?.normal).toEqual({ x: -1, y: 0, z: 0 });
+    expect(movementSystem.raycast('default', { x: 0.1, y: 0, z: 0 }, EAST, 1)).toBeUndefined();
+  });
+
+  it('should return the nearest solid entity and its surface normal', () => {
+    spawnBlock('far', { x: 20, y: 0, z: 0 });
+    spawnBlock('near', { x: 10, y: 0, z: 0 });
+    spawnBlock('aside', { x: 5, y: 0, z: 3 });
+
+    const hit = movementSystem.raycast('default', ORIGIN, { x: 2, y: 0, z: 0 }, 100);
+
+    expect(hit?.entityId).toBe('near');
+    expect(hit?.distance).toBeCloseTo(9.5);
+    expect(hit?.point.x).toBeCloseTo(9.5);
+    expect(hit?.normal).toEqual({ x: -1, y: 0, z: 0 });
+    expect(movementSystem.raycast('default', ORIGIN, EAST, 9)).toBeUndefined();
+  });
+
+  it('should skip ignored entities, other layers and unwanted collision layers', () => {
+    spawnBlock('self', ORIGIN);
+    spawnBlock('ghost', { x: 5, y: 0, z: 0 });
+    spawnBlock('wall', { x: 10, y: 0, z: 0 }, ['wall']);
+    spawnBlock('target', { x: 15, y: 0, z: 0 }, ['npc']);
+    layers.set('ghost', 'underworld');
+
+    const look = (filter = {}) => movementSystem.raycast('default', ORIGIN, EAST, 100, filter);
+
+    // Starting inside the caster hits it at distance 0 with no normal
+    expect(look()).toMatchObject({ entityId: 'self', distance: 0, normal: ORIGIN });
+    expect(look({ ignore: ['self'] })?.entityId).toBe('wall');
+    expect(look({ ignore: ['self'], collisionLayers: ['npc'] })?.entityId).toBe('target');
+    expect(look({ entities: false })).toBeUndefined();
+  });
+});
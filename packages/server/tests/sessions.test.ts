@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionStore } from '../src/sessions.js';
+import type { ParkedSession } from '../src/sessions.js';
+
+describe('Session Store', () => {
+  let store: SessionStore;
+
+  const session = (): ParkedSession => ({
+    playerId: 'player-1',
+    subscribedChunks: new Set(['default:0,0,0']),
+    viewRadius: 32,
+    parkedAt: Date.now(),
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    store = new SessionStore(1000);
+  });
+
+  afterEach(() => {
+    store.dispose();
+    vi.useRealTimers();
+  });
+
+  it('should issue distinct, unguessable tokens', () => {
+    const a = store.issueToken();
+    const b = store.issueToken();
+
+    expect(a).not.toBe(b);
+    expect(a.length).toBeGreaterThanOrEqual(32);
+  });
+
+  it('should hand a parked session back within the grace period', () => {
+    const onExpire = vi.fn();
+    const parked = session();
+    expect(store.park('token', parked, onExpire)).toBe(true);
+
+    vi.advanceTimersByTime(999);
+
+    expect(store.resume('token')).toBe(parked);
+    vi.advanceTimersByTime(5000);
+    expect(onExpire).not.toHaveBeenCalled();
+  });
+
+  it('should expire sessions that are not resumed', () => {
+    const onExpire = vi.fn();
+    const parked = session();
+    store.park('token', parked, onExpire);
+
+    vi.advanceTimersByTime(1000);
+
+    expect(onExpire).toHaveBeenCalledWith(parked);
+    expect(store.resume('token')).toBeUndefined();
+  });
+
+  it('should only resume a token once', () => {
+    store.park('token', session(), () => {});
+
+    expect(store.resume('token')).toBeDefined();
+    expect(store.resume('token')).toBeUndefined();
+    expect(store.resume('unknown')).toBeUndefined();
+  });
+
+  it('should not park anything when the grace period is disabled', () => {
+    const disabled = new SessionStore(0);
+    const onExpire = vi.fn();
+
+    expect(disabled.park('token', session(), onExpire)).toBe(false);
+    expect(disabled.resume('token')).toBeUndefined();
+  });
+
+  it('should release a player taken over by a fresh login', () => {
+    const onExpire = vi.fn();
+    store.park('token', session(), onExpire);
+
+    expect(store.releasePlayer('player-2')).toBe(false);
+    expect(store.releasePlayer('player-1')).toBe(true);
+    vi.advanceTimersByTime(5000);
+
+    expect(onExpire).not.toHaveBeenCalled();
+    expect(store.resume('token')).toBeUndefined();
+  });
+
+  it('should drop parked sessions on dispose without expiring them', () => {
+    const onExpire = vi.fn();
+    store.park('token', session(), onExpire);
+
+    store.dispose();
+    vi.advanceTimersByTime(5000);
+
+    expect(onExpire).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import type { AnyContract, Mobility } from '@worldhost/shared';
+import { createECSWorld } from '../src/world/ecs.js';
+import { ChunkManager } from '../src/world/chunks.js';
+import { BasicMovementSystem } from '../src/world/systems/movement.js';
+import { BasicPathfindingSystem } from '../src/world/systems/pathfinding.js';
+import {
+  ORIGIN,
+  createIdentity,
+  createMobility,
+  createBoxShape,
+  createSolidity,
+  createDurability,
+  createSolidBoxContracts,
+} from '../src/world/contracts.js';
+import { FixedStepLoop, createRandom, createSeededClock } from '../src/simulation.js';
+import { createAppContext, runTick } from '../src/app.js';
+
+describe('FixedStepLoop', () => {
+  it('should spend elapsed time in whole steps and carry the remainder', () => {
+    const loop = new FixedStepLoop(10, 100);
+
+    expect(loop.advance(25)).toBe(2);
+    expect(loop.untilNextStepMs).toBe(5);
+    expect(loop.advance(4)).toBe(0);
+    expect(loop.advance(1)).toBe(1);
+    expect(loop.stepSeconds).toBe(0.01);
+  });
+
+  it('should clamp a long pause to one frame of steps and record the rest as dropped', () => {
+    const loop = new FixedStepLoop(10, 100);
+
+    expect(loop.advance(5000)).toBe(10);
+    expect(loop.droppedMs).toBe(4900);
+    expect(loop.advance(-20)).toBe(0);
+  });
+});
+
+describe('Seeded simulation', () => {
+  it('should repeat random sequences and derive time from the tick', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const sequence = Array.from({ length: 5 }, () => a());
+
+    expect(Array.from({ length: 5 }, () => b())).toEqual(sequence);
+    expect(sequence.every(n => n >= 0 && n < 1)).toBe(true);
+    expect(createRandom(43)()).not.toBe(sequence[0]);
+
+    let tick = 3;
+    const clock = createSeededClock(42, 50, () => tick);
+    expect(clock.now()).toBe(150);
+    tick = 4;
+    expect(clock.now()).toBe(200);
+    expect(clock.random()).toBe(sequence[0]);
+  });
+
+  it('should reach identical world states from identical inputs on identical ticks', () => {
+    const run = () => {
+      const ecsWorld = createECSWorld();
+      const chunkManager = new ChunkManager(ecsWorld);
+      const movementSystem = new BasicMovementSystem(ecsWorld, chunkManager);
+      const pathfinding = new BasicPathfindingSystem(ecsWorld, chunkManager, movementSystem);
+      ecsWorld.createEntity('walker', [
+        createMobility({ x: 1.5, y: 1, z: 1.5 }, undefined, 5),
+        createBoxShape(ORIGIN, { x: 0.8, y: 1.8, z: 0.8 }),
+        createSolidity(true),
+      ]);
+      const drift = { x: 1.3, y: 0, z: -0.7 };
+      ecsWorld.createEntity(
+        'crate',
+        createSolidBoxContracts({ x: 4, y: 6, z: 2 }, undefined, createSolidity(true), drift)
+      );
+      for (let z = 0; z < 4; z++) {
+        ecsWorld.createEntity(`wall-${z}`, createSolidBoxContracts({ x: 4.5, y: 1, z: z + 0.5 }));
+      }
+
+      const stepSeconds = 1 / 60;
+      for (let tick = 1; tick <= 120; tick++) {
+        if (tick === 10) pathfinding.moveTo('walker', { x: 8.5, y: 1, z: 1.5 });
+        pathfinding.update(stepSeconds);
+        movementSystem.update(stepSeconds);
+      }
+      return ['walker', 'crate'].map(id => ecsWorld.getContracts(id) as AnyContract[]);
+    };
+
+    const first = run();
+    expect(run()).toEqual(first);
+    // Something actually moved
+    const walker = first[0]!.find(contract => contract.type === 'mobility') as Mobility;
+    expect(walker.position.x).toBeGreaterThan(1.5);
+  });
+
+  it('should replay ids, timestamps and contracts through runTick with the same seed', () => {
+    const run = (seed: number) => {
+      const context = createAppContext(seed);
+      const { worldState, durabilitySystem, chunkManager } = context;
+      const ecsWorld = worldState.getECSWorld();
+      worldState.defineArchetype({
+        id: 'crate',
+        name: 'Crate',
+        contracts: [
+          createIdentity('', 'Crate'),
+          ...createSolidBoxContracts(ORIGIN),
+          createDurability(50),
+        ],
+        tags: [],
+        created: 0,
+      });
+      const spawned: string[] = [];
+      context.tickHandlers.add(tick => {
+        if (tick === 2) spawned.push(worldState.spawn('crate', 'default', { x: 3, y: 10, z: 3 }));
+        if (tick === 3) spawned.push(worldState.spawn('crate', 'default', { x: -2, y: 4, z: 1 }));
+        if (tick === 5) durabilitySystem.applyDamage(spawned[0]!, 20, spawned[1], 'fire');
+        if (tick === 8) durabilitySystem.applyDamage(spawned[0]!, 40);
+      });
+      for (let tick = 0; tick < 12; tick++) runTick(context);
+
+      return {
+        spawned,
+        contracts: spawned.map(id => ecsWorld.getContracts(id)),
+        damage: durabilitySystem.getDamageHistory(),
+        destroyed: durabilitySystem.getDestroyHistory(),
+        chunks: spawned
+          .flatMap(id => chunkManager.getEntityChunks(id))
+          .map(key => chunkManager.getChunk(key).lastModified),
+      };
+    };
+
+    const first = run(7);
+    expect(run(7)).toEqual(first);
+    expect(run(8).spawned).not.toEqual(first.spawned);
+
+    // Time is the tick count times the step
+    const stepMs = 1000 / 60;
+    expect(first.spawned[0]).toMatch(new RegExp(`^crate-${2 * stepMs}-`));
+    expect(first.damage.map(event => event.timestamp)).toEqual([5 * stepMs, 8 * stepMs]);
+    expect(first.destroyed).toMatchObject([{ entityId: first.spawned[0], timestamp: 8 * stepMs }]);
+    expect(first.contracts[0]).toEqual([]);
+    expect(first.chunks.length).toBeGreaterThan(0);
+  });
+});
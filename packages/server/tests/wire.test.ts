@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { encodeBinary, decodeBinary, encodeWireMessage, decodeWireMessage } from '../src/wire.js';
+
+describe('Wire Encoding', () => {
+  it('should round-trip JSON-like values through the binary format', () => {
+    const message = {
+      type: 'chunk_delta',
+      chunkKey: { layerId: 'default', cx: -3, cy: 0, cz: 2147483647 },
+      delta: {
+        type: 'entity_update',
+        entityId: 'player-1',
+        contracts: [{ type: 'visual', visible: true }],
+      },
+      version: 42,
+      position: { x: 1.5, y: -0.25, z: 1e12 },
+      tags: ['a', 'ü', ''],
+      nothing: null,
+    };
+
+    expect(decodeBinary(encodeBinary(message))).toEqual(message);
+  });
+
+  it('should drop undefined fields and non-finite numbers the way JSON does', () => {
+    const value = { a: undefined, b: [undefined, NaN, Infinity], c: 1 };
+
+    expect(decodeBinary(encodeBinary(value))).toEqual(JSON.parse(JSON.stringify(value)));
+  });
+
+  it('should send typed arrays as raw bytes', () => {
+    const grid = new Uint8Array(16 * 16 * 16);
+    grid[5] = 1;
+    const heights = new Float32Array([0.5, -2, 3.25]);
+
+    const encoded = encodeBinary({ data: grid, heights });
+    const decoded = decodeBinary(encoded) as { data: Uint8Array; heights: Float32Array };
+
+    expect(decoded.data).toBeInstanceOf(Uint8Array);
+    expect(Array.from(decoded.data)).toEqual(Array.from(grid));
+    expect(decoded.heights).toBeInstanceOf(Float32Array);
+    expect(Array.from(decoded.heights)).toEqual([0.5, -2, 3.25]);
+    // Raw bytes plus a few bytes of framing, versus ~5 bytes per cell as JSON
+    expect(encoded.byteLength).toBeLessThan(grid.byteLength + 64);
+    expect(JSON.stringify({ data: grid }).length).toBeGreaterThan(grid.byteLength * 5);
+  });
+
+  it('should be smaller than JSON for typical entity updates', () => {
+    const message = {
+      type: 'chunk_delta',
+      chunkKey: { layerId: 'default', cx: 0, cy: 0, cz: 0 },
+      delta: {
+        type: 'entity_update',
+        entityId: 'player-1',
+        contracts: [
+          { type: 'mobility', position: { x: 10, y: 1, z: 10 }, velocity: { x: 0, y: 0, z: 0 } },
+        ],
+      },
+      version: 1234,
+    };
+
+    expect(encodeBinary(message).byteLength).toBeLessThan(JSON.stringify(message).length);
+  });
+
+  it('should reject malformed binary input', () => {
+    const valid = encodeBinary({ type: 'hello' });
+
+    expect(() => decodeBinary(valid.subarray(0, valid.length - 1))).toThrow(/Malformed/);
+    expect(() => decodeBinary(new Uint8Array([0x7f]))).toThrow(/unknown tag/);
+    expect(() => decodeBinary(new Uint8Array([...valid, 0x00]))).toThrow(/trailing/);
+  });
+
+  it('should not let decoded keys reach the prototype chain', () => {
+    const bytes = encodeBinary(JSON.parse('{"__proto__": {"polluted": true}}'));
+    const decoded = decodeBinary(bytes) as Record<string, unknown>;
+
+    expect(({} as Record<string, unknown>).polluted).toBeUndefined();
+    expect(Object.getPrototypeOf(decoded)).toBe(Object.prototype);
+  });
+
+  it('should decode frames according to their frame type', () => {
+    const message = { type: 'move', want: { x: 1, y: 2, z: 3 } };
+    const binary = encodeWireMessage(message, 'binary') as Uint8Array;
+    const text = encodeWireMessage(message, 'json') as string;
+
+    expect(decodeWireMessage(Buffer.from(binary), true)).toEqual(message);
+    expect(decodeWireMessage(Buffer.from(text), false)).toEqual(message);
+  });
+});
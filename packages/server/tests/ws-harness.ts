@@ -0,0 +1,88 @@
+import { createServer } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { expect, vi } from 'vitest';
+import { WebSocket } from 'ws';
+import type { ChunkKey } from '@worldhost/shared';
+import type { AppContext } from '../src/app.js';
+import { setupEnhancedWebSocketServer } from '../src/ws-enhanced.js';
+import type { EnhancedClientMessage, EnhancedServerMessage } from '../src/ws-enhanced.js';
+
+type ServerMessageOf<T extends EnhancedServerMessage['type']> = Extract<
+  EnhancedServerMessage,
+  { type: T }
+>;
+
+export interface TestClient {
+  // Everything the server sent, decoded, in arrival order
+  messages: EnhancedServerMessage[];
+  send(message: EnhancedClientMessage): void;
+  received<T extends EnhancedServerMessage['type']>(type: T): Array<ServerMessageOf<T>>;
+  // Wait for the next message of a type, counting only those after `after` messages
+  next<T extends EnhancedServerMessage['type']>(
+    type: T,
+    after?: number
+  ): Promise<ServerMessageOf<T>>;
+  // Subscribe and wait for a snapshot of each chunk
+  subscribe(chunkKeys: ChunkKey[]): Promise<void>;
+  login(): Promise<string>;
+}
+
+export interface TestServer {
+  connect(): Promise<TestClient>;
+  close(): Promise<void>;
+}
+
+/**
+ * Serve the enhanced WebSocket protocol for `context` on a free local port, for tests that
+ * need to see what real clients are sent
+ */
+export async function startTestServer(context: AppContext): Promise<TestServer> {
+  const server = createServer();
+  const { wss } = setupEnhancedWebSocketServer(server, context);
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+  const sockets: WebSocket[] = [];
+
+  const connect = async (): Promise<TestClient> => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/ws`);
+    sockets.push(ws);
+    const messages: EnhancedServerMessage[] = [];
+    ws.on('message', data => messages.push(JSON.parse(data.toString())));
+    await new Promise(resolve => ws.once('open', resolve));
+
+    const received = <T extends EnhancedServerMessage['type']>(type: T, after = 0) =>
+      messages.slice(after).filter((m): m is ServerMessageOf<T> => m.type === type);
+    const client: TestClient = {
+      messages,
+      send: message => ws.send(JSON.stringify(message)),
+      received: type => received(type),
+      next: (type, after = messages.length) =>
+        vi.waitFor(() => {
+          const [message] = received(type, after);
+          expect(message).toBeDefined();
+          return message!;
+        }),
+      subscribe: async chunkKeys => {
+        const before = received('chunk_snapshot').length;
+        client.send({ type: 'subscribe_chunks', chunkKeys });
+        await vi.waitFor(() =>
+          expect(received('chunk_snapshot').length - before).toBe(chunkKeys.length)
+        );
+      },
+      login: async () => {
+        const after = messages.length;
+        client.send({ type: 'login' });
+        return (await client.next('login_ok', after)).playerId;
+      },
+    };
+    return client;
+  };
+
+  const close = async () => {
+    for (const ws of sockets) ws.terminate();
+    await new Promise(resolve => wss.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  };
+
+  return { connect, close };
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { parseClientMessage, WS_ERROR_CODES, ClientMessageSchemas } from '../src/ws-messages.js';
+
+describe('Client Message Validation', () => {
+  it('should accept well-formed messages of every type', () => {
+    const messages = [
+      { type: 'hello', clientVersion: '1.0.0', encodings: ['binary', 'json'] },
+      {
+        type: 'subscribe_chunks',
+        chunkKeys: [{ layerId: 'default', cx: 0, cy: 0, cz: 0, sinceVersion: 3 }],
+      },
+      { type: 'unsubscribe_chunks', chunkKeys: [{ layerId: 'default', cx: 1, cy: 0, cz: -1 }] },
+      { type: 'move', want: { x: 1, y: 2, z: 3 } },
+      { type: 'login', playerName: 'Alice' },
+      { type: 'logout' },
+      { type: 'set_view', radius: 64 },
+      { type: 'move_dir', directions: ['north', 'east'] },
+      { type: 'jump', seq: 4 },
+      { type: 'crouch', crouching: true },
+      { type: 'fly_dir', direction: 'up' },
+      { type: 'interact', action: 'pickup', targetId: 'item-1' },
+      { type: 'chat', message: 'hi', channel: 'whisper', to: 'player-2' },
+      { type: 'add_contract', entityId: 'player-1', contract: { type: 'visual', visible: true } },
+      { type: 'remove_contract', entityId: 'player-1', contractType: 'visual' },
+      { type: 'raycast', direction: { x: 0, y: 0, z: 1 }, maxDistance: 50, requestId: 'look' },
+      { type: 'move_to', target: { x: 10, y: 0, z: -4 }, requestId: 'walk' },
+    ];
+
+    expect(messages.map(m => m.type).sort()).toEqual(Object.keys(ClientMessageSchemas).sort());
+    for (const message of messages) {
+      const result = parseClientMessage(message);
+      expect(result.success, message.type).toBe(true);
+    }
+  });
+
+  it('should report missing fields with their path', () => {
+    const result = parseClientMessage({ type: 'subscribe_chunks' });
+
+    expect(result.success).toBe(false);
+    if (result.success) return;
+    expect(result.error.code).toBe('VALIDATION_FAILED');
+    expect(result.error.issues?.map(i => i.path)).toEqual(['chunkKeys']);
+  });
+
+  it('should report nested type errors with their path', () => {
+    const move = parseClientMessage({ type: 'move', want: 'north' });
+    const subscribe = parseClientMessage({
+      type: 'subscribe_chunks',
+      chunkKeys: [
+        { layerId: 'default', cx: 0, cy: 0, cz: 0 },
+        { layerId: 'default', cx: 0.5, cy: 0, cz: 0 },
+      ],
+    });
+
+    expect(move.success === false && move.error.issues?.map(i => i.path)).toEqual(['want']);
+    expect(subscribe.success === false && subscribe.error.issues?.map(i => i.path)).toEqual([
+      'chunkKeys.1.cx',
+    ]);
+  });
+
+  it('should validate contracts with the contract schemas', () => {
+    const result = parseClientMessage({
+      type: 'add_contract',
+      entityId: 'player-1',
+      contract: { type: 'mobility', position: { x: 'a', y: 0, z: 0 } },
+    });
+
+    expect(result.success === false && result.error.issues?.map(i => i.path)).toEqual([
+      'contract.position.x',
+    ]);
+  });
+
+  it('should reject unknown or missing message types', () => {
+    for (const raw of [{ type: 'teleport' }, { type: 'toString' }, {}, null, 'move', 42]) {
+      const result = parseClientMessage(raw);
+      expect(result.success === false && result.error.code).toBe('UNKNOWN_MESSAGE_TYPE');
+    }
+  });
+
+  it('should only use catalogued error codes', () => {
+    const result = parseClientMessage({ type: 'set_view', radius: -1 });
+
+    expect(result.success).toBe(false);
+    if (result.success) return;
+    expect(Object.keys(WS_ERROR_CODES)).toContain(result.error.code);
+  });
+});
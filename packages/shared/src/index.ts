@@ -28,6 +28,7 @@ export interface Identity extends Contract {
   id: EntityId;
   name?: string;
   description?: string;
+  archetype?: string; // archetype the entity was spawned from
 }
 
 // Base contract interface
@@ -45,9 +46,17 @@ export interface Shape extends Contract {
 export interface Solidity extends Contract {
   type: 'solidity';
   solid: boolean;
-  collisionLayers?: string[];
+  collisionLayers?: string[]; // e.g. ['player']; none means ['default']
+  owner?: EntityId; // never collides with this entity (e.g. a projectile's shooter)
 }
 
+// How two collision layers meet: block movement, report the overlap, or pass silently
+export type CollisionResponse = 'block' | 'trigger' | 'ignore';
+
+// Responses keyed by collision layer, then the other layer; lookups are symmetric and
+// unlisted pairs block
+export type CollisionMatrix = Record<string, Record<string, CollisionResponse>>;
+
 export interface Visual extends Contract {
   type: 'visual';
   color?: string;
@@ -71,6 +80,17 @@ export interface Mobility extends Contract {
   acceleration?: number;
 }
 
+// Body that moves itself: along `path` when it has one, otherwise at mobility.velocity.
+// Gravity, friction and collisions do not apply to it; entities standing on it ride along.
+export interface Kinematic extends Contract {
+  type: 'kinematic';
+  path?: Vec3[]; // waypoints, visited in order
+  speed?: number; // m/s along the path; defaults to mobility.maxSpeed
+  mode?: 'loop' | 'pingpong' | 'once'; // what happens after the last waypoint; default 'pingpong'
+  waypoint?: number; // index of the waypoint being approached
+  reverse?: boolean; // pingpong only: heading back toward the first waypoint
+}
+
 export interface Portable extends Contract {
   type: 'portable';
   canPickup: boolean;
@@ -88,6 +108,19 @@ export interface Durability extends Contract {
   health: number;
   maxHealth: number;
   armor?: number;
+  armorFormula?: string; // 'flat', 'percentage' (default), 'diminishing' or a registered formula
+}
+
+// How one damage type is reduced, before armor: scaled by `multiplier`, then less `flat`
+export interface DamageResistance {
+  multiplier?: number; // 0 is immune, 0.5 halves, 2 doubles; default 1
+  flat?: number; // subtracted after the multiplier; default 0
+}
+
+// Per damage type resistances, keyed by the type passed to applyDamage (e.g. 'fire', 'fall')
+export interface Resistances extends Contract {
+  type: 'resistances';
+  damage: Record<string, DamageResistance>;
 }
 
 export interface ContractLimit extends Contract {
@@ -104,15 +137,30 @@ export interface MovementRules extends Contract {
   stepDistance: number; // distance moved per command
   allowDiagonal?: boolean; // default true
   diagonalNormalized?: boolean; // if true, diagonals are normalized by sqrt(2)
+  stepHeight?: number; // tallest ledge walked onto without jumping; default 0
+  jumpVelocity?: number; // upward speed a jump starts with, m/s; no jumping when unset
+  airControl?: number; // share of a move that still steers while airborne (0..1); default 1
+  crouchHeight?: number; // shape height while crouching; no crouching when unset
+  fly?: boolean; // fly mode: no gravity, and fly_dir moves up and down at maxSpeed
 }
 
 // World conditions and rules toggles
-export interface WorldConditions extends Contract {
+// Movement physics; unset values fall through to the next source (see world_conditions)
+export interface PhysicsConditions {
+  gravity?: number; // m/s², negative pulls down
+  terminalVelocity?: number; // fastest fall, negative
+  groundFriction?: number; // share of horizontal velocity kept per second on the ground (0..1)
+  airFriction?: number; // same, in the air
+}
+
+// Physics values here override the layer's own; `layers` overrides per layer id
+export interface WorldConditions extends Contract, PhysicsConditions {
   type: 'world_conditions';
-  gravity?: number;
   weather?: 'clear' | 'rain' | 'storm' | 'snow';
   timeOfDay?: 'day' | 'night' | 'dawn' | 'dusk';
   terrainSeed?: string;
+  layers?: Record<LayerId, PhysicsConditions>;
+  collisionMatrix?: CollisionMatrix; // merged over the server's default matrix
   properties?: Record<string, any>;
 }
 
@@ -120,6 +168,7 @@ export interface WorldConditions extends Contract {
 export interface WorldCommands extends Contract {
   type: 'world_commands';
   commands: string[]; // e.g., ['login','logout','set_view','move_dir']
+  guest?: string[]; // message types allowed before login (default: login and chunk subscriptions)
 }
 
 // Per-entity command access gate (capabilities)
@@ -136,9 +185,11 @@ export type AnyContract =
   | Visual 
   | Entrance 
   | Mobility 
+  | Kinematic
   | Portable 
   | Inventory 
   | Durability
+  | Resistances
   | ContractLimit
   | MovementRules
   | WorldConditions
@@ -186,9 +237,15 @@ export interface ClientInteractMessage {
   action: 'pickup' | 'drop' | 'use' | 'attack';
 }
 
+// proximity: players within earshot; layer: everyone on the sender's layer;
+// global: every logged-in player; whisper: one player (see `to`)
+export type ChatChannel = 'proximity' | 'layer' | 'global' | 'whisper';
+
 export interface ClientChatMessage {
   type: 'chat';
   message: string;
+  channel?: ChatChannel; // defaults to proximity
+  to?: EntityId; // whisper recipient
 }
 
 export type ClientMessage = 
@@ -216,6 +273,59 @@ export interface ClientSetViewMessage {
 export interface ClientMoveDirMessage {
   type: 'move_dir';
   directions: Array<'north' | 'south' | 'east' | 'west'>; // up to 2
+  seq?: number; // input sequence number, acknowledged in move_result.ack
+}
+
+// Jump, crouch and fly_dir are queued with moves and acknowledged the same way
+export interface ClientJumpMessage {
+  type: 'jump';
+  seq?: number;
+}
+
+export interface ClientCrouchMessage {
+  type: 'crouch';
+  crouching: boolean; // false stands back up
+  seq?: number;
+}
+
+// Fly mode only: climb, sink, or hold the current height
+export interface ClientFlyDirMessage {
+  type: 'fly_dir';
+  direction: 'up' | 'down' | 'stop';
+  seq?: number;
+}
+
+// What a raycast may hit; everything solid by default
+export interface RaycastFilter {
+  ignore?: EntityId[]; // entities the ray passes through, e.g. the caster
+  collisionLayers?: string[]; // only hit entities in one of these collision layers
+  entities?: boolean; // hit solid entities (default true)
+  voxels?: boolean; // hit chunk solid grid cells (default true)
+}
+
+export interface RaycastHit {
+  entityId?: EntityId; // set for entity hits
+  voxel?: { chunkKey: ChunkKey; x: number; y: number; z: number }; // grid cell, for terrain hits
+  point: Vec3;
+  normal: Vec3; // zero when the ray starts inside what it hit
+  distance: number;
+}
+
+// Cast from the player's position (or `origin`) on the player's layer; the player is never hit
+export interface ClientRaycastMessage {
+  type: 'raycast';
+  direction: Vec3;
+  origin?: Vec3;
+  maxDistance?: number;
+  filter?: RaycastFilter;
+  requestId?: string; // echoed in raycast_result
+}
+
+// Walk the player to `target` around obstacles; progress is reported in move_to_result
+export interface ClientMoveToMessage {
+  type: 'move_to';
+  target: Vec3;
+  requestId?: string; // echoed in every move_to_result for this request
 }
 
 export type ClientEnhancedMessage =
@@ -223,7 +333,12 @@ export type ClientEnhancedMessage =
   | ClientLoginMessage
   | ClientLogoutMessage
   | ClientSetViewMessage
-  | ClientMoveDirMessage;
+  | ClientMoveDirMessage
+  | ClientJumpMessage
+  | ClientCrouchMessage
+  | ClientFlyDirMessage
+  | ClientRaycastMessage
+  | ClientMoveToMessage;
 
 // WebSocket message types - Server to Client
 export interface ServerWelcomeMessage {
@@ -254,6 +369,8 @@ export interface ServerChatMessage {
   playerName: string;
   message: string;
   timestamp: number;
+  channel?: ChatChannel;
+  to?: EntityId;
 }
 
 export interface ServerErrorMessage {
@@ -288,7 +405,29 @@ export interface ServerSetViewOkMessage {
 export interface ServerMoveResultMessage {
   type: 'move_result';
   success: boolean;
+  position: Vec3; // authoritative, after the speed clamp and collisions
+  reason?: string;
+  blockedReason?: string;
+  collisionNormal?: Vec3;
+  ack?: number; // last input seq processed
+  tick?: number; // server tick the inputs were processed in
+}
+
+export interface ServerRaycastResultMessage {
+  type: 'raycast_result';
+  requestId?: string;
+  hit: RaycastHit | null; // null when nothing was hit within maxDistance
+}
+
+// moving: a path was found (sent once, with the waypoints); arrived/blocked: the walk ended
+export type PathStatus = 'moving' | 'arrived' | 'blocked';
+
+export interface ServerMoveToResultMessage {
+  type: 'move_to_result';
+  requestId?: string;
+  status: PathStatus;
   position: Vec3;
+  path?: Vec3[];
   reason?: string;
 }
 
@@ -297,7 +436,9 @@ export type ServerEnhancedMessage =
   | ServerLoginOkMessage
   | ServerLogoutOkMessage
   | ServerSetViewOkMessage
-  | ServerMoveResultMessage;
+  | ServerMoveResultMessage
+  | ServerRaycastResultMessage
+  | ServerMoveToResultMessage;
 
 // Utility functions for working with Vec3
 export const Vec3Utils = {